@@ -6,6 +6,8 @@ const morgan = require("morgan");
 
 const app = express();
 const printRoutes = require('./routes/print');
+const { startPrintQueue } = require('./utils/printQueue');
+const { startReservationExpiry } = require('./utils/reservationExpiry');
 
 // Middleware
 app.use(express.json());
@@ -15,7 +17,8 @@ app.use(morgan("combined"));
 app.use(cors({
   origin: true,
   methods: ["GET", "HEAD", "PUT", "PATCH", "POST", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Authorization", "Content-Type", "Accept", "X-Requested-With"],
+  allowedHeaders: ["Authorization", "Content-Type", "Accept", "X-Requested-With", "Idempotency-Key"],
+  exposedHeaders: ["Idempotent-Replayed"],
   credentials: false,
   optionsSuccessStatus: 200,
 }));
@@ -37,6 +40,12 @@ app.use("/api/expenses", require("./routes/expenses")); // ✅ Added expense rou
 app.use("/api/exchange-rates", require("./routes/exchangeRates"));
 app.use("/api/entries", require("./routes/entries"));
 app.use("/api/settings", require("./routes/settings"));
+app.use("/api/promotions", require("./routes/promotions"));
+app.use("/api/cash-sessions", require("./routes/cashSessions"));
+app.use("/api/closings", require("./routes/closings"));
+app.use("/api/period-locks", require("./routes/periodLocks"));
+app.use("/api/held-carts", require("./routes/heldCarts"));
+app.use("/api/quotations", require("./routes/quotations"));
 // Default route
 app.get("/", (req, res) => {
   res.send("ERP/POS System Backend is running...");
@@ -45,8 +54,22 @@ app.get("/", (req, res) => {
 // ====== DB + Server Startup ======
 mongoose
   .connect(MONGO_URI)
-  .then(() => {
+  .then(async () => {
     console.log("✅ Connected to MongoDB Atlas");
+
+    // Sales are written in transactions, which need a replica set (Atlas
+    // clusters are; a plain local mongod is not — see docker-compose.yml)
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== "isdbgrid") {
+      console.warn("⚠️ MongoDB is not a replica set: sale creation will fail (transactions unsupported)");
+    }
+
+    // Print jobs queued by /api/print (retried while the printer is offline)
+    startPrintQueue();
+
+    // Overdue reservations: staff warning, then cancellation with stock release
+    startReservationExpiry();
+
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
     });
@@ -0,0 +1,123 @@
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/IdempotencyKey");
+
+// How long a stored response is replayed for retries of the same key
+const WINDOW_HOURS = Number(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24;
+// A key still "in progress" after this long belongs to a request that died
+// (crash, restart) and can be claimed by a retry
+const STALE_CLAIM_SECONDS = Number(process.env.IDEMPOTENCY_STALE_SECONDS) || 120;
+
+function hashBody(body) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(body || {}))
+    .digest("hex");
+}
+
+// Honor the Idempotency-Key header on creation routes (must run after
+// authMiddleware). The first successful response is stored and replayed for
+// retries; failed attempts, and requests closed without a JSON response,
+// release the key so the client can try again.
+async function idempotency(req, res, next) {
+  const key = req.header("Idempotency-Key");
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({ error: "Idempotency-Key must be at most 255 characters" });
+  }
+
+  const fingerprint = {
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`,
+    requestHash: hashBody(req.body),
+  };
+
+  const expiresAt = new Date(Date.now() + WINDOW_HOURS * 60 * 60 * 1000);
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      user: req.user._id,
+      ...fingerprint,
+      expiresAt,
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error("Idempotency middleware error:", error);
+      return res.status(500).json({ error: "Server error" });
+    }
+
+    const existing = await IdempotencyKey.findOne({ key, user: req.user._id }).lean();
+    if (!existing) {
+      return res.status(409).json({ error: "Idempotency-Key conflict, please retry" });
+    }
+
+    if (
+      existing.method !== fingerprint.method ||
+      existing.path !== fingerprint.path ||
+      existing.requestHash !== fingerprint.requestHash
+    ) {
+      return res.status(422).json({
+        error: "This Idempotency-Key was already used for a different request",
+      });
+    }
+
+    if (existing.state === "completed") {
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.statusCode).json(existing.responseBody);
+    }
+
+    // Take over a stale claim; guarded on updatedAt so only one retry wins
+    const stale = existing.updatedAt < new Date(Date.now() - STALE_CLAIM_SECONDS * 1000);
+    record = stale
+      ? await IdempotencyKey.findOneAndUpdate(
+          { _id: existing._id, state: "in_progress", updatedAt: existing.updatedAt },
+          { expiresAt },
+          { new: true }
+        ).lean()
+      : null;
+    if (!record) {
+      return res.status(409).json({
+        error: "A request with this Idempotency-Key is still being processed",
+      });
+    }
+  }
+
+  // Answered without res.json (e.g. res.send or an error page): nothing
+  // to replay, release the key. When the client went away before any
+  // answer, the handler may still finish and store its response; if it
+  // never does, the claim goes stale and a retry takes it over.
+  let settled = false;
+  res.on("close", () => {
+    if (settled || !res.headersSent) return;
+    IdempotencyKey.deleteOne({ _id: record._id, state: "in_progress" })
+      .catch((error) => console.error("Error releasing idempotency record:", error));
+  });
+
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    settled = true;
+    const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+    const persist = succeeded
+      ? IdempotencyKey.updateOne(
+          { _id: record._id },
+          {
+            state: "completed",
+            statusCode: res.statusCode,
+            responseBody: JSON.parse(JSON.stringify(body)),
+          }
+        )
+      : IdempotencyKey.deleteOne({ _id: record._id });
+
+    persist
+      .catch((error) => console.error("Error saving idempotency record:", error))
+      .finally(() => sendJson(body));
+    return res;
+  };
+
+  next();
+}
+
+module.exports = idempotency;
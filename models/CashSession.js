@@ -0,0 +1,103 @@
+const mongoose = require("mongoose");
+
+// Cash amounts per currency: the drawer holds both USD and FC
+const cashAmountsSchema = new mongoose.Schema({
+  USD: {
+    type: Number,
+    default: 0
+  },
+  FC: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// A cashier's shift at the till, from the opening float to the count at
+// closing. Cash tenders, repayments, entries, expenses and refunds taken
+// while it is open are tagged with it (utils/cashSessions.js).
+const cashSessionSchema = new mongoose.Schema({
+  // e.g. CAISSE-2026-10-18-2
+  sessionNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Till the shift runs on
+  register: {
+    type: String,
+    trim: true,
+    default: "Caisse principale"
+  },
+  status: {
+    type: String,
+    enum: ["open", "closed"],
+    default: "open"
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  openedByName: {
+    type: String,
+    default: ""
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  openingFloat: {
+    type: cashAmountsSchema,
+    default: () => ({})
+  },
+  openingNotes: {
+    type: String,
+    default: ""
+  },
+  // Computed at closing: float + cash in - cash out, with the detail
+  expected: {
+    type: cashAmountsSchema,
+    default: null
+  },
+  movements: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Counted by the cashier, and counted - expected
+  counted: {
+    type: cashAmountsSchema,
+    default: null
+  },
+  variance: {
+    type: cashAmountsSchema,
+    default: null
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  closedByName: {
+    type: String,
+    default: ""
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  closingNotes: {
+    type: String,
+    default: ""
+  }
+}, {
+  timestamps: true
+});
+
+// One open shift per cashier
+cashSessionSchema.index(
+  { openedBy: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+cashSessionSchema.index({ openedAt: -1 });
+
+module.exports = mongoose.model("CashSession", cashSessionSchema);
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// Named sequences (invoice numbers, daily stub numbers...). Incremented with
+// $inc inside the transaction that uses the number, so an aborted
+// transaction never leaves a gap.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model("Counter", counterSchema);
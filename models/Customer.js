@@ -30,6 +30,23 @@ const customerSchema = new mongoose.Schema({
   },
   lastPurchaseDate: {
     type: Date
+  },
+  // Amount owed on credit sales, in USD (see utils/customerAccounts.js)
+  balance: {
+    type: Number,
+    default: 0
+  },
+  // Maximum balance allowed, in USD (0 = no credit)
+  creditLimit: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Credit from returned goods, in USD; spent as a "store_credit" tender
+  storeCredit: {
+    type: Number,
+    min: 0,
+    default: 0
   }
 }, {
   timestamps: true
@@ -39,5 +56,6 @@ const customerSchema = new mongoose.Schema({
 // NOTE: Removed duplicate index for phone (already created by unique: true)
 customerSchema.index({ name: "text" });
 customerSchema.index({ totalSpent: -1 });
+customerSchema.index({ balance: -1 });
 
 module.exports = mongoose.model("Customer", customerSchema);
\ No newline at end of file
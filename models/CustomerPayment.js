@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+
+// Repayment of a customer's credit sales. The amount is allocated to the
+// oldest unpaid sales first (see utils/customerAccounts.js).
+const allocationSchema = new mongoose.Schema({
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Sale",
+    required: true
+  },
+  saleNumber: {
+    type: String,
+    default: ""
+  },
+  // Amount applied, in the sale currency
+  amount: {
+    type: Number,
+    required: true
+  },
+  amountUSD: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const customerPaymentSchema = new mongoose.Schema({
+  paymentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ["cash", "card", "mpesa", "bank", "other"],
+    default: "cash"
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    enum: ["USD", "FC"],
+    default: "USD"
+  },
+  exchangeRate: {
+    type: Number,
+    default: null
+  },
+  amountUSD: {
+    type: Number,
+    required: true
+  },
+  // M-Pesa transaction code, transfer reference...
+  reference: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  allocations: [allocationSchema],
+  // Cash drawer session it was received in (utils/cashSessions.js)
+  cashSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "CashSession",
+    default: null
+  },
+  notes: {
+    type: String,
+    default: ""
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  receivedByName: {
+    type: String,
+    default: ""
+  }
+}, {
+  timestamps: true
+});
+
+customerPaymentSchema.index({ customer: 1, createdAt: -1 });
+customerPaymentSchema.index({ createdAt: -1 });
+customerPaymentSchema.index({ "allocations.sale": 1 });
+
+module.exports = mongoose.model("CustomerPayment", customerPaymentSchema);
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// End-of-day closing (Z report). Generated once per day from the day's
+// documents (utils/dailyClosing.js) and frozen: later changes to those
+// documents do not alter it. Printed on the thermal printer for signature.
+const dailyClosingSchema = new mongoose.Schema({
+  // Sequential per year, e.g. Z-2026-0042
+  closingNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Business day closed, YYYY-MM-DD (server timezone)
+  date: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  // Totals of the day (see buildClosingTotals)
+  report: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  notes: {
+    type: String,
+    default: ""
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  generatedByName: {
+    type: String,
+    default: ""
+  },
+  // Server-side prints; any print after the first is a DUPLICATA
+  printCount: {
+    type: Number,
+    default: 0
+  },
+  lastPrintedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model("DailyClosing", dailyClosingSchema);
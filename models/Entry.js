@@ -12,6 +12,25 @@ const entrySchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Currency of amount (see utils/currency.js)
+  currency: {
+    type: String,
+    enum: ["USD", "FC"],
+    default: "USD"
+  },
+  // FC per USD in force when the document was created (null if no rate was set)
+  exchangeRate: {
+    type: Number,
+    default: null
+  },
+  amountUSD: {
+    type: Number,
+    default: null
+  },
+  amountFC: {
+    type: Number,
+    default: null
+  },
   source: {
     type: String,
     required: true,
@@ -51,6 +70,12 @@ const entrySchema = new mongoose.Schema({
       default: ""
     }
   },
+  // Cash drawer session it was received in (utils/cashSessions.js)
+  cashSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "CashSession",
+    default: null
+  },
   // Status and audit (following your Sale pattern)
   status: {
     type: String,
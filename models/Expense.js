@@ -26,11 +26,36 @@ const expenseSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Currency of amount (see utils/currency.js)
+  currency: {
+    type: String,
+    enum: ["USD", "FC"],
+    default: "USD"
+  },
+  // FC per USD in force when the document was created (null if no rate was set)
+  exchangeRate: {
+    type: Number,
+    default: null
+  },
+  amountUSD: {
+    type: Number,
+    default: null
+  },
+  amountFC: {
+    type: Number,
+    default: null
+  },
   paymentMethod: {
     type: String,
     enum: ["cash", "mpesa", "bank", "card", "other"],
     default: "cash"
   },
+  // Cash drawer session it was paid from (utils/cashSessions.js)
+  cashSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "CashSession",
+    default: null
+  },
   status: {
     type: String,
     enum: ["pending", "validated", "rejected"],
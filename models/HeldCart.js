@@ -0,0 +1,127 @@
+const mongoose = require("mongoose");
+
+const heldCartItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+  name: {
+    type: String,
+    default: ""
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Price typed by the cashier; null = catalog price when the sale is taken
+  price: {
+    type: Number,
+    default: null
+  },
+  // { type: percent|fixed, value, reason } as sent to POST /api/sales
+  discount: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+// Basket parked mid-checkout (e.g. the customer stepped away). Holding a
+// cart does not move stock; it may soft-reserve its quantities until
+// reservedUntil (utils/heldCarts.js). Resumed with POST /api/sales and
+// heldCartId, which turns it into a sale.
+const heldCartSchema = new mongoose.Schema({
+  // ATT-YYYY-MM-DD-n, sequential per day
+  cartNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Till the cart was parked at (CashSession.register)
+  register: {
+    type: String,
+    trim: true,
+    default: "Caisse principale"
+  },
+  items: {
+    type: [heldCartItemSchema],
+    validate: [(items) => items.length > 0, "A held cart needs at least one item"]
+  },
+  customer: {
+    name: { type: String, default: "" },
+    phone: { type: String, default: "" },
+    email: { type: String, default: "" }
+  },
+  isWalkIn: {
+    type: Boolean,
+    default: true
+  },
+  currency: {
+    type: String,
+    enum: ["USD", "FC"],
+    default: "USD"
+  },
+  // Order discount to apply when the sale is taken
+  discount: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  notes: {
+    type: String,
+    default: ""
+  },
+  status: {
+    type: String,
+    enum: ["held", "converted", "cancelled"],
+    default: "held"
+  },
+  // Soft reservation: other sales cannot use these quantities until then
+  reserveStock: {
+    type: Boolean,
+    default: false
+  },
+  reservedUntil: {
+    type: Date,
+    default: null
+  },
+  heldBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  heldByName: {
+    type: String,
+    default: ""
+  },
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Sale",
+    default: null
+  },
+  convertedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  convertedAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+heldCartSchema.index({ status: 1, register: 1, createdAt: -1 });
+heldCartSchema.index({ status: 1, reserveStock: 1, reservedUntil: 1 });
+
+module.exports = mongoose.model("HeldCart", heldCartSchema);
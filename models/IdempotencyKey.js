@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// First response of a POST sent with an Idempotency-Key header, replayed
+// when the till retries the same request (see middleware/idempotency.js)
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the request body, to reject a key reused for another request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  state: {
+    type: String,
+    enum: ["in_progress", "completed"],
+    default: "in_progress"
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Keys are scoped per user
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+// MongoDB removes keys once their replay window is over
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+// Lock or reopening of the period, kept for the audit trail
+const periodLockEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ["lock", "reopen"],
+    required: true
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  byName: {
+    type: String,
+    default: ""
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    default: ""
+  }
+}, { _id: false });
+
+// Accounting period (a day or a month) closed by an admin, or a day locked
+// by its Z report (utils/dailyClosing.js). While locked, sales, expenses
+// and entries dated inside it cannot be edited, voided or deleted, and no
+// sale can be added to it (utils/periodLocks.js). Reopening requires a reason.
+const periodLockSchema = new mongoose.Schema({
+  // YYYY-MM-DD for a day, YYYY-MM for a month (server timezone)
+  period: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  granularity: {
+    type: String,
+    enum: ["day", "month"],
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["locked", "reopened"],
+    default: "locked"
+  },
+  lockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  lockedByName: {
+    type: String,
+    default: ""
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  history: {
+    type: [periodLockEventSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+periodLockSchema.index({ status: 1, start: 1, end: 1 });
+
+module.exports = mongoose.model("PeriodLock", periodLockSchema);
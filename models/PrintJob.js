@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+
+// A receipt, stub or closing report waiting to be printed. Jobs are processed by the
+// worker in utils/printQueue.js and retried with backoff while the
+// printer is unavailable.
+const printJobSchema = new mongoose.Schema({
+  document: {
+    type: String,
+    enum: ["receipt", "stub", "closing"],
+    required: true
+  },
+  // Stored sale to print; null for prints of till-supplied receiptData
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Sale",
+    default: null
+  },
+  saleNumber: {
+    type: String,
+    default: ""
+  },
+  // Z report to print (document "closing")
+  closing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DailyClosing",
+    default: null
+  },
+  // receiptData and type sent by the till (POST /api/print/receipt, /stub)
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // PrinterProfile.printerId (null = default printer)
+  printerId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ["queued", "printing", "done", "failed", "cancelled"],
+    default: "queued"
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    default: ""
+  },
+  // Whether the printed copy was a DUPLICATA
+  duplicate: {
+    type: Boolean,
+    default: false
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  printedAt: {
+    type: Date,
+    default: null
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  requestedByName: {
+    type: String,
+    default: ""
+  },
+  cancelledBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+printJobSchema.index({ status: 1, nextAttemptAt: 1 });
+printJobSchema.index({ sale: 1 });
+printJobSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("PrintJob", printJobSchema);
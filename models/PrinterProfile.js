@@ -0,0 +1,110 @@
+const path = require("path");
+const mongoose = require("mongoose");
+
+// Virtual printer files are kept under this directory
+const PRINT_FILE_DIR = path.resolve(process.env.PRINT_FILE_DIR || "print-files");
+
+/**
+ * Absolute path of a virtual printer file, confined to PRINT_FILE_DIR
+ * @param {string} filePath - Relative to PRINT_FILE_DIR, e.g. "till-1.bin"
+ * @returns {string|null} null for an absolute path, a ".." segment, or a
+ *   path escaping the directory
+ */
+function resolvePrintFilePath(filePath) {
+  const value = String(filePath || "").trim();
+  if (!value || path.isAbsolute(value) || path.win32.isAbsolute(value)) return null;
+  if (value.split(/[\\/]+/).includes("..")) return null;
+  const resolved = path.resolve(PRINT_FILE_DIR, value);
+  const relative = path.relative(PRINT_FILE_DIR, resolved);
+  if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) return null;
+  return resolved;
+}
+
+// A receipt printer a till can print to, selected by printerId on print
+// requests (see utils/printers.js)
+const printerProfileSchema = new mongoose.Schema({
+  printerId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9_-]+$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Till / cash register this printer sits next to
+  till: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  transport: {
+    type: String,
+    enum: ["usb", "network", "file"],
+    required: true
+  },
+  // USB: optional vendor/product ids (first USB printer found otherwise)
+  vendorId: {
+    type: Number,
+    default: null
+  },
+  productId: {
+    type: Number,
+    default: null
+  },
+  // Network (ESC/POS over TCP/IP)
+  host: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  port: {
+    type: Number,
+    default: 9100
+  },
+  // File (virtual printer): ESC/POS byte stream appended to this file,
+  // relative to PRINT_FILE_DIR
+  filePath: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  // Characters per line: 48 for 80 mm paper, 32 for 58 mm paper
+  columns: {
+    type: Number,
+    enum: [32, 48],
+    default: 48
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+printerProfileSchema.index({ till: 1 });
+
+printerProfileSchema.pre("validate", function(next) {
+  if (this.transport === "network" && !this.host) {
+    this.invalidate("host", "Host is required for network printers");
+  }
+  if (this.transport === "file" && !this.filePath) {
+    this.invalidate("filePath", "File path is required for virtual printers");
+  } else if (this.transport === "file" && !resolvePrintFilePath(this.filePath)) {
+    this.invalidate("filePath", "File path must be relative to the print file directory, without '..'");
+  }
+  next();
+});
+
+printerProfileSchema.statics.resolveFilePath = resolvePrintFilePath;
+
+module.exports = mongoose.model("PrinterProfile", printerProfileSchema);
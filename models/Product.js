@@ -20,6 +20,37 @@ const productSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // Catalog selling price. Sales default to this price when the till
+    // does not send one.
+    price: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Lowest price a sale may use without a manager override (null = no floor)
+    minPrice: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    // Purchase cost per unit, snapshotted onto sale lines for margin reports
+    costPrice: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Code of a rate in ShopSettings.taxRates (null = the shop's default)
+    taxCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+    },
+    // Whether price includes tax (null = ShopSettings.pricesIncludeTax)
+    priceIncludesTax: {
+      type: Boolean,
+      default: null,
+    },
     stock: {
       type: Number,
       required: true,
@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+
+// Offer applied automatically to matching sale lines (utils/promotions.js).
+// Amounts (fixed discount, bundle price, minimum basket) are in USD like
+// catalog prices, and converted for FC sales.
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ""
+  },
+  // percentage: value% off the line
+  // fixed: value USD off each unit
+  // bundle: every bundleQuantity units cost bundlePrice USD
+  // bogo: buy buyQuantity, get getQuantity at getDiscountPercent% off
+  type: {
+    type: String,
+    enum: ["percentage", "fixed", "bundle", "bogo"],
+    required: true
+  },
+  // Products the offer applies to: all, some categories or some products
+  target: {
+    type: String,
+    enum: ["all", "category", "product"],
+    default: "all"
+  },
+  categories: [{
+    type: String,
+    trim: true
+  }],
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product"
+  }],
+  value: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  bundleQuantity: {
+    type: Number,
+    min: 2,
+    default: null
+  },
+  bundlePrice: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  buyQuantity: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  getQuantity: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  getDiscountPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 100
+  },
+  // Basket (before discounts, USD) a sale must reach for the offer to apply
+  minBasket: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  createdByName: {
+    type: String,
+    default: ""
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ active: 1, startsAt: 1, endsAt: 1 });
+
+// Each type needs its own parameters
+promotionSchema.pre("validate", function(next) {
+  if (this.endsAt && this.startsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "endsAt must be after startsAt");
+  }
+  if ((this.type === "percentage" || this.type === "fixed") && !(this.value > 0)) {
+    this.invalidate("value", `A ${this.type} promotion needs a value > 0`);
+  }
+  if (this.type === "percentage" && this.value > 100) {
+    this.invalidate("value", "A percentage cannot exceed 100");
+  }
+  if (this.type === "bundle" && (!this.bundleQuantity || this.bundlePrice == null)) {
+    this.invalidate("bundleQuantity", "A bundle needs bundleQuantity and bundlePrice");
+  }
+  if (this.type === "bogo" && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate("buyQuantity", "A BOGO offer needs buyQuantity and getQuantity");
+  }
+  if (this.target === "category" && this.categories.length === 0) {
+    this.invalidate("categories", "Select at least one category");
+  }
+  if (this.target === "product" && this.products.length === 0) {
+    this.invalidate("products", "Select at least one product");
+  }
+  next();
+});
+
+// Promotions running at a given time
+promotionSchema.statics.findRunning = function(at = new Date()) {
+  return this.find({ active: true, startsAt: { $lte: at }, endsAt: { $gte: at } }).lean();
+};
+
+module.exports = mongoose.model("Promotion", promotionSchema);
@@ -0,0 +1,234 @@
+const mongoose = require("mongoose");
+
+// Quoted line, priced like a sale line (utils/salePricing.js)
+const quotationItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  catalogPrice: {
+    type: Number,
+    default: null
+  },
+  discountType: {
+    type: String,
+    enum: ["percent", "fixed", null],
+    default: null
+  },
+  discountValue: {
+    type: Number,
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  discountReason: {
+    type: String,
+    default: ""
+  },
+  promotionName: {
+    type: String,
+    default: ""
+  },
+  promotionDiscount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  orderDiscountShare: {
+    type: Number,
+    default: 0
+  },
+  taxCode: {
+    type: String,
+    default: null
+  },
+  taxRate: {
+    type: Number,
+    default: null
+  },
+  taxInclusive: {
+    type: Boolean,
+    default: null
+  },
+  taxableAmount: {
+    type: Number,
+    default: null
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const statusEventSchema = new mongoose.Schema({
+  status: String,
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  byName: String,
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    default: ""
+  }
+}, { _id: false });
+
+// Quotation (facture proforma) given to a customer before payment. It has
+// its own numbering, does not touch stock, and once accepted is converted
+// into a sale or reservation (POST /api/sales/quotations/:id/convert),
+// which re-checks stock, prices and discounts.
+const quotationSchema = new mongoose.Schema({
+  // PRO-YYYY-NNNN, sequential per year
+  quotationNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customer: {
+    name: { type: String, required: true, trim: true },
+    phone: { type: String, required: true, trim: true },
+    email: { type: String, trim: true, default: "" },
+    company: { type: String, trim: true, default: "" },
+    address: { type: String, trim: true, default: "" },
+    // Customer's tax number (NIF), printed on the proforma
+    taxNumber: { type: String, trim: true, default: "" }
+  },
+  items: {
+    type: [quotationItemSchema],
+    validate: [(items) => items.length > 0, "A quotation needs at least one item"]
+  },
+  currency: {
+    type: String,
+    enum: ["USD", "FC"],
+    default: "USD"
+  },
+  // FC per USD when the quotation was priced
+  exchangeRate: {
+    type: Number,
+    default: null
+  },
+  // Before promotions and discounts
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  discountType: {
+    type: String,
+    enum: ["percent", "fixed", null],
+    default: null
+  },
+  discountValue: {
+    type: Number,
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  discountReason: {
+    type: String,
+    default: ""
+  },
+  discountTotal: {
+    type: Number,
+    default: 0
+  },
+  promotionTotal: {
+    type: Number,
+    default: 0
+  },
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+  taxBreakdown: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  totalUSD: {
+    type: Number,
+    default: null
+  },
+  totalFC: {
+    type: Number,
+    default: null
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["draft", "sent", "accepted", "rejected", "converted"],
+    default: "draft"
+  },
+  statusHistory: {
+    type: [statusEventSchema],
+    default: []
+  },
+  notes: {
+    type: String,
+    default: ""
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  createdByName: {
+    type: String,
+    default: ""
+  },
+  // Sale or reservation it was converted into
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Sale",
+    default: null
+  },
+  convertedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  convertedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+quotationSchema.index({ status: 1, createdAt: -1 });
+quotationSchema.index({ "customer.phone": 1 });
+
+module.exports = mongoose.model("Quotation", quotationSchema);
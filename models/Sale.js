@@ -20,13 +20,148 @@ const saleItemSchema = new mongoose.Schema({
     required: false, // Made optional for expenses
     min: 0
   },
+  // Product catalog price at the time of the sale
+  catalogPrice: {
+    type: Number,
+    default: null
+  },
+  // Product cost price at the time of the sale (null when unknown)
+  unitCost: {
+    type: Number,
+    default: null
+  },
+  // Line discount (utils/discounts.js): percent or fixed amount, and the
+  // resulting amount in the sale currency
+  discountType: {
+    type: String,
+    enum: ["percent", "fixed", null],
+    default: null
+  },
+  discountValue: {
+    type: Number,
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  discountReason: {
+    type: String,
+    default: ""
+  },
+  // Promotion applied automatically to the line (utils/promotions.js) and
+  // the amount it took off, in the sale currency
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Promotion",
+    default: null
+  },
+  promotionName: {
+    type: String,
+    default: ""
+  },
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Line total: price x quantity less the promotion and the line discount
   total: {
     type: Number,
     required: false, // Made optional for expenses
     min: 0
   },
+  // Part of the order discount borne by this line
+  orderDiscountShare: {
+    type: Number,
+    default: 0
+  },
+  // Tax (utils/taxes.js): rate snapshotted from the shop settings, whether
+  // the price includes it, the amount it applies to and the tax itself
+  taxCode: {
+    type: String,
+    default: null
+  },
+  taxRate: {
+    type: Number,
+    default: null
+  },
+  taxInclusive: {
+    type: Boolean,
+    default: null
+  },
+  taxableAmount: {
+    type: Number,
+    default: null
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  // Units brought back through POST /api/sales/:id/returns
+  returnedQuantity: {
+    type: Number,
+    default: 0
+  },
+});
+
+// One tender of a sale (split payments: cash + M-Pesa, USD + FC...)
+const paymentSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ["cash", "card", "mpesa", "bank", "store_credit", "other"],
+    required: true
+  },
+  // Amount handed over, in the payment currency
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    enum: ["USD", "FC"],
+    default: "USD"
+  },
+  // Amount in the sale currency (converted at the sale's exchangeRate)
+  saleAmount: {
+    type: Number,
+    required: true
+  },
+  amountUSD: {
+    type: Number,
+    default: null
+  },
+  // M-Pesa transaction code, card slip or transfer reference
+  reference: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Cash drawer session the tender was taken in (utils/cashSessions.js)
+  cashSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "CashSession",
+    default: null
+  }
 });
 
+// Tax of a sale for one rate (tax declarations)
+const taxBreakdownSchema = new mongoose.Schema({
+  code: String,
+  label: String,
+  rate: Number,
+  taxableAmount: Number,
+  taxAmount: Number,
+  taxableAmountUSD: Number,
+  taxAmountUSD: Number
+}, { _id: false });
+
 const saleSchema = new mongoose.Schema({
   saleId: {
     type: String,
@@ -62,25 +197,155 @@ const saleSchema = new mongoose.Schema({
     default: false
   },
   items: [saleItemSchema],
+  // Before promotions and discounts (sum of price x quantity)
   subtotal: {
     type: Number,
     required: false, // Made optional for expenses
     min: 0
   },
+  // Order discount, applied after line discounts
+  discountType: {
+    type: String,
+    enum: ["percent", "fixed", null],
+    default: null
+  },
+  discountValue: {
+    type: Number,
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  discountReason: {
+    type: String,
+    default: ""
+  },
+  // Line and order discounts together (sale currency and USD)
+  discountTotal: {
+    type: Number,
+    default: 0
+  },
+  discountTotalUSD: {
+    type: Number,
+    default: 0
+  },
+  // Taken off by promotions, all lines together (sale currency and USD)
+  promotionTotal: {
+    type: Number,
+    default: 0
+  },
+  promotionTotalUSD: {
+    type: Number,
+    default: 0
+  },
+  // Tax of all lines, included in or added to the total (sale currency and USD)
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+  taxTotalUSD: {
+    type: Number,
+    default: 0
+  },
+  taxBreakdown: [taxBreakdownSchema],
+  // Amount due: after discounts, tax included
   total: {
     type: Number,
     required: true,
     min: 0
   },
+  // Currency of prices, subtotal and total (see utils/currency.js)
+  currency: {
+    type: String,
+    enum: ["USD", "FC"],
+    default: "USD"
+  },
+  // FC per USD in force when the sale was created (null if no rate was set)
+  exchangeRate: {
+    type: Number,
+    default: null
+  },
+  totalUSD: {
+    type: Number,
+    default: null
+  },
+  totalFC: {
+    type: Number,
+    default: null
+  },
+  // Summary of payments: the single tender used, "mixed", or "credit" when
+  // nothing was paid at checkout
   paymentMethod: {
     type: String,
-    enum: ["cash", "card", "transfer", "other"],
+    enum: ["cash", "card", "transfer", "mpesa", "mixed", "credit", "store_credit", "other"],
     default: "cash"
   },
+  payments: [paymentSchema],
+  // Credit sales: amount paid so far (checkout tenders + customer
+  // repayments allocated to this sale) and amount still owed, in the sale
+  // currency
+  amountPaid: {
+    type: Number,
+    default: null
+  },
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
+  paymentStatus: {
+    type: String,
+    enum: ["paid", "partial", "unpaid"],
+    default: "paid"
+  },
+  // Value of the lines returned so far (sale currency and USD); the sale
+  // becomes "refunded" once every unit has been returned
+  returnedTotal: {
+    type: Number,
+    default: 0
+  },
+  returnedTotalUSD: {
+    type: Number,
+    default: 0
+  },
+  returns: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SaleReturn"
+  }],
+  // Sequential invoice number (e.g. DM-2026-000123), issued by utils/counters
   saleNumber: {
     type: String,
     unique: true  // ← THIS also creates an index automatically
   },
+  // "SOUCHE N° … DU JOUR": sequential per shop and per day (stubDate)
+  stubNumber: {
+    type: Number,
+    default: null
+  },
+  stubDate: {
+    type: String,
+    default: null
+  },
+  // Server-side prints (routes/print.js); any print after the first is a DUPLICATA
+  receiptPrintCount: {
+    type: Number,
+    default: 0
+  },
+  stubPrintCount: {
+    type: Number,
+    default: 0
+  },
+  lastPrintedAt: {
+    type: Date,
+    default: null
+  },
+  // Cash drawer session the sale (or expense) was recorded in
+  cashSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "CashSession",
+    default: null
+  },
   salesPerson: {
     type: String,
     required: true,
@@ -124,6 +389,21 @@ const saleSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // When the reservation lapses (from reservationDate/Time, or the shop's
+  // hold period). Overdue reservations are flagged, then cancelled after the
+  // grace period by utils/reservationExpiry.js
+  reservationExpiresAt: {
+    type: Date,
+    default: null
+  },
+  overdueNotifiedAt: {
+    type: Date,
+    default: null
+  },
+  expiredAt: {
+    type: Date,
+    default: null
+  },
   notes: {
     type: String,
     default: ""
@@ -157,6 +437,18 @@ const saleSchema = new mongoose.Schema({
     ref: "Sale",
     default: null
   },
+  // Quotation (proforma) this sale was converted from (models/Quotation.js)
+  quotationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Quotation",
+    default: null
+  },
+  // Held cart this sale was resumed from (models/HeldCart.js)
+  heldCartId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "HeldCart",
+    default: null
+  },
   editedBy: {
     type: String,
     default: null
@@ -190,6 +482,11 @@ saleSchema.index({ "customer.phone": 1 }); // Keep this explicit index
 saleSchema.index({ salesPerson: 1 });
 saleSchema.index({ type: 1 }); // Add index for type (sale/reservation/expense)
 saleSchema.index({ status: 1 });
+saleSchema.index({ stubDate: 1, stubNumber: 1 });
+saleSchema.index({ customerId: 1, balanceDue: 1, createdAt: 1 });
+saleSchema.index({ type: 1, status: 1, reservationExpiresAt: 1 });
+saleSchema.index({ "payments.cashSession": 1 });
+saleSchema.index({ cashSession: 1 });
 
 // Pre-save middleware to calculate item totals (only for sales with items)
 saleSchema.pre("save", function(next) {
@@ -197,7 +494,7 @@ saleSchema.pre("save", function(next) {
   if (this.type === "sale" && this.items && this.items.length > 0) {
     this.items.forEach(item => {
       if (item.price && item.quantity) {
-        item.total = item.price * item.quantity;
+        item.total = item.price * item.quantity - (item.promotionDiscount || 0) - (item.discountAmount || 0);
       }
     });
   }
@@ -0,0 +1,168 @@
+const mongoose = require("mongoose");
+
+// Goods brought back from a sale (partial or full). Restocked lines go
+// back to inventory; damaged ones do not. The value of the lines first
+// reduces what the customer still owes on the sale, the rest is refunded or
+// kept as store credit (see utils/saleReturns.js).
+const returnItemSchema = new mongoose.Schema({
+  // _id of the line in Sale.items
+  saleItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+  name: {
+    type: String,
+    default: ""
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Price paid per unit, in the sale currency
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Tax of the sale line for the returned units (credit note)
+  taxCode: {
+    type: String,
+    default: null
+  },
+  taxRate: {
+    type: Number,
+    default: null
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  condition: {
+    type: String,
+    enum: ["restock", "damaged"],
+    default: "restock"
+  }
+}, { _id: false });
+
+const saleReturnSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Sale",
+    required: true
+  },
+  saleNumber: {
+    type: String,
+    default: ""
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    default: null
+  },
+  customerName: {
+    type: String,
+    default: ""
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [(items) => items.length > 0, "A return needs at least one item"]
+  },
+  // Value of the returned lines, in the sale currency
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    enum: ["USD", "FC"],
+    default: "USD"
+  },
+  // The sale's snapshotted rate
+  exchangeRate: {
+    type: Number,
+    default: null
+  },
+  totalUSD: {
+    type: Number,
+    default: null
+  },
+  // Tax included in total, deducted from the tax collected
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  taxAmountUSD: {
+    type: Number,
+    default: 0
+  },
+  // Part of the value that cancelled the sale's balance due
+  appliedToBalance: {
+    type: Number,
+    default: 0
+  },
+  // What the customer gets back for the rest
+  resolution: {
+    type: String,
+    enum: ["refund", "store_credit", "none"],
+    required: true
+  },
+  refundMethod: {
+    type: String,
+    enum: ["cash", "card", "mpesa", "bank", "other"],
+    default: null
+  },
+  // Cash drawer session the refund was paid from (utils/cashSessions.js)
+  cashSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "CashSession",
+    default: null
+  },
+  // Refunded or credited, in the sale currency
+  refundAmount: {
+    type: Number,
+    default: 0
+  },
+  refundAmountUSD: {
+    type: Number,
+    default: 0
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  processedByName: {
+    type: String,
+    default: ""
+  }
+}, {
+  timestamps: true
+});
+
+saleReturnSchema.index({ sale: 1 });
+saleReturnSchema.index({ createdAt: -1 });
+saleReturnSchema.index({ customerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("SaleReturn", saleReturnSchema);
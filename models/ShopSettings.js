@@ -1,8 +1,19 @@
 const mongoose = require("mongoose");
 
+// A tax rate products can refer to by code (e.g. TVA16 = TVA 16%)
+const taxRateSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, trim: true, uppercase: true },
+    label: { type: String, default: "TVA", trim: true },
+    rate: { type: Number, required: true, min: 0, max: 100 },
+  },
+  { _id: false }
+);
+
 const shopSettingsSchema = new mongoose.Schema(
   {
     shopName: { type: String, default: "ETS. DIEU MERCI" },
+    shopTagline: { type: String, default: "_Chez Dan Collection_" },
     shopAddress: {
       type: String,
       default: "Av Manono Coin Munama N°39, C. Kenya, Lubumbashi",
@@ -16,8 +27,57 @@ const shopSettingsSchema = new mongoose.Schema(
       type: String,
       default: "Merci pour votre confiance ! À bientôt.",
     },
+    // Prefix of sequential invoice numbers, e.g. DM-2026-000123
+    invoicePrefix: {
+      type: String,
+      default: "DM",
+      trim: true,
+      uppercase: true,
+      match: /^[A-Z0-9]{1,10}$/,
+    },
+    // Reservations without a date expire this many days after creation
+    reservationHoldDays: { type: Number, default: 14, min: 1 },
+    // Days an overdue reservation is kept before it is cancelled and its
+    // stock released (utils/reservationExpiry.js)
+    reservationGraceDays: { type: Number, default: 7, min: 0 },
+    // Default validity of a quotation (proforma invoice), and the terms
+    // printed at its foot
+    quotationValidityDays: { type: Number, default: 15, min: 1 },
+    quotationTerms: { type: String, default: "" },
+    // Highest discount (percent) each role may give, per line and per order
+    discountLimits: {
+      staff: { type: Number, default: 5, min: 0, max: 100 },
+      cashier_supervisor: { type: Number, default: 10, min: 0, max: 100 },
+      inventory_manager: { type: Number, default: 5, min: 0, max: 100 },
+      manager: { type: Number, default: 20, min: 0, max: 100 },
+      admin: { type: Number, default: 100, min: 0, max: 100 },
+    },
+    // Tax (utils/taxes.js). Disabled, sales carry no tax.
+    taxEnabled: { type: Boolean, default: false },
+    // Tax identification number (NIF) printed on receipts
+    taxNumber: { type: String, default: "", trim: true },
+    taxRates: {
+      type: [taxRateSchema],
+      default: () => [
+        { code: "TVA16", label: "TVA", rate: 16 },
+        { code: "EXO", label: "Exonéré", rate: 0 },
+      ],
+    },
+    // Rate of products without a taxCode
+    defaultTaxCode: { type: String, default: "TVA16", trim: true, uppercase: true },
+    // Whether prices include tax, for products that do not say
+    pricesIncludeTax: { type: Boolean, default: true },
   },
   { timestamps: true }
 );
 
+// The shop has a single settings document, created on first use
+shopSettingsSchema.statics.getCurrent = async function (session = null) {
+  let settings = await this.findOne().session(session);
+  if (!settings) {
+    [settings] = await this.create([{}], { session });
+  }
+  return settings;
+};
+
 module.exports = mongoose.model("ShopSettings", shopSettingsSchema);
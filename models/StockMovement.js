@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+
+// One row per inventory change. Rows are never updated or deleted: a
+// mistake is corrected by recording a compensating movement.
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+  productName: {
+    type: String,
+    default: ""
+  },
+  // Signed quantity change (negative = stock out)
+  delta: {
+    type: Number,
+    required: true
+  },
+  // Product stock right after this movement
+  balance: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ["sale", "edit", "void", "delete", "adjustment", "receiving", "return"],
+    required: true
+  },
+  // Document that caused the movement (e.g. the Sale)
+  sourceType: {
+    type: String,
+    enum: ["Sale", "Product"],
+    default: null
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: "sourceType",
+    default: null
+  },
+  // Human-readable reference of the source (sale number, delivery note...)
+  sourceRef: {
+    type: String,
+    default: ""
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  username: {
+    type: String,
+    default: ""
+  },
+  note: {
+    type: String,
+    default: ""
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ sourceId: 1 });
+stockMovementSchema.index({ reason: 1 });
+
+// Ledger rows are immutable
+function rejectMutation(next) {
+  next(new Error("Stock movements are immutable"));
+}
+
+stockMovementSchema.pre("save", function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((op) => stockMovementSchema.pre(op, rejectMutation));
+
+module.exports = mongoose.model("StockMovement", stockMovementSchema);
@@ -0,0 +1,183 @@
+const express = require("express");
+const router = express.Router();
+const CashSession = require("../models/CashSession");
+const authMiddleware = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
+const { nextSequence, formatDateKey } = require("../utils/counters");
+const { findOpenSession, computeExpectedCash } = require("../utils/cashSessions");
+const { roundMoney } = require("../utils/currency");
+
+router.use(authMiddleware);
+
+// { USD, FC } from the request body; null when a value is not a number >= 0
+function parseCashAmounts(value) {
+  const amounts = {};
+  for (const currency of ["USD", "FC"]) {
+    const amount = Number(value?.[currency] ?? 0);
+    if (!(amount >= 0)) return null;
+    amounts[currency] = roundMoney(amount);
+  }
+  return amounts;
+}
+
+function canSee(user, cashSession) {
+  return user.canValidate || String(cashSession.openedBy) === String(user._id);
+}
+
+function handleError(res, error, message) {
+  console.error(`${message}:`, error);
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.name === "CastError") {
+    return res.status(400).json({ error: "Invalid cash session ID" });
+  }
+  if (error.name === "ValidationError") {
+    const errors = Object.values(error.errors).map((e) => e.message);
+    return res.status(400).json({ error: errors.join(", ") });
+  }
+  res.status(500).json({ error: message });
+}
+
+// GET /api/cash-sessions/current - The cashier's open session, with the
+// cash expected in the drawer so far
+router.get("/current", async (req, res) => {
+  try {
+    const cashSession = await findOpenSession(req.user);
+    if (!cashSession) {
+      return res.status(404).json({ error: "Aucune session de caisse ouverte" });
+    }
+    const { movements, expected } = await computeExpectedCash(cashSession);
+    res.json({ ...cashSession.toObject(), movements, expected });
+  } catch (error) {
+    handleError(res, error, "Failed to fetch cash session");
+  }
+});
+
+// GET /api/cash-sessions - Own sessions; admins and managers see all
+// (?status=open|closed, ?openedBy=userId)
+router.get("/", async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (!req.user.canValidate) {
+      filter.openedBy = req.user._id;
+    } else if (req.query.openedBy) {
+      filter.openedBy = req.query.openedBy;
+    }
+    const sessions = await CashSession.find(filter)
+      .sort({ openedAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200))
+      .lean();
+    res.json(sessions);
+  } catch (error) {
+    handleError(res, error, "Failed to fetch cash sessions");
+  }
+});
+
+// GET /api/cash-sessions/:id
+router.get("/:id", async (req, res) => {
+  try {
+    const cashSession = await CashSession.findById(req.params.id);
+    if (!cashSession || !canSee(req.user, cashSession)) {
+      return res.status(404).json({ error: "Cash session not found" });
+    }
+    if (cashSession.status === "open") {
+      const { movements, expected } = await computeExpectedCash(cashSession);
+      return res.json({ ...cashSession.toObject(), movements, expected });
+    }
+    res.json(cashSession);
+  } catch (error) {
+    handleError(res, error, "Failed to fetch cash session");
+  }
+});
+
+// POST /api/cash-sessions/open - Start a shift with the cash in the drawer
+router.post("/open", idempotency, async (req, res) => {
+  try {
+    const openingFloat = parseCashAmounts(req.body.openingFloat);
+    if (!openingFloat) {
+      return res.status(400).json({ error: "openingFloat must be { USD, FC } amounts >= 0" });
+    }
+    if (await findOpenSession(req.user)) {
+      return res.status(409).json({ error: "Vous avez déjà une session de caisse ouverte" });
+    }
+
+    const dateKey = formatDateKey();
+    const seq = await nextSequence(`cash-session:${dateKey}`);
+    const cashSession = await CashSession.create({
+      sessionNumber: `CAISSE-${dateKey}-${seq}`,
+      register: req.body.register || undefined,
+      openedBy: req.user._id,
+      openedByName: req.user.username,
+      openingFloat,
+      openingNotes: String(req.body.notes || "").trim(),
+    });
+    res.status(201).json(cashSession);
+  } catch (error) {
+    // Unique index: one open session per cashier
+    if (error.code === 11000) {
+      return res.status(409).json({ error: "Vous avez déjà une session de caisse ouverte" });
+    }
+    handleError(res, error, "Failed to open cash session");
+  }
+});
+
+// POST /api/cash-sessions/:id/close - Count the drawer and close the shift.
+// The cashier closes their own session; admins and managers any. A
+// variance must be explained in the closing notes.
+router.post("/:id/close", async (req, res) => {
+  try {
+    const cashSession = await CashSession.findById(req.params.id);
+    if (!cashSession || !canSee(req.user, cashSession)) {
+      return res.status(404).json({ error: "Cash session not found" });
+    }
+    if (cashSession.status !== "open") {
+      return res.status(400).json({ error: "Cash session already closed" });
+    }
+    const counted = parseCashAmounts(req.body.counted);
+    if (!counted || req.body.counted === undefined) {
+      return res.status(400).json({ error: "counted must be { USD, FC } amounts >= 0" });
+    }
+
+    const { movements, expected } = await computeExpectedCash(cashSession);
+    const variance = {
+      USD: roundMoney(counted.USD - expected.USD),
+      FC: roundMoney(counted.FC - expected.FC),
+    };
+    const closingNotes = String(req.body.notes || "").trim();
+    if ((variance.USD !== 0 || variance.FC !== 0) && !closingNotes) {
+      return res.status(400).json({
+        error: "Écart de caisse : expliquez-le dans les notes de clôture",
+        expected,
+        counted,
+        variance,
+      });
+    }
+
+    // Guarded on the status so two closings cannot both apply
+    const closed = await CashSession.findOneAndUpdate(
+      { _id: cashSession._id, status: "open" },
+      {
+        status: "closed",
+        expected,
+        movements,
+        counted,
+        variance,
+        closingNotes,
+        closedBy: req.user._id,
+        closedByName: req.user.username,
+        closedAt: new Date(),
+      },
+      { new: true }
+    );
+    if (!closed) {
+      return res.status(409).json({ error: "Cash session changed meanwhile. Please refresh." });
+    }
+    res.json(closed);
+  } catch (error) {
+    handleError(res, error, "Failed to close cash session");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require("express");
+const router = express.Router();
+const DailyClosing = require("../models/DailyClosing");
+const authMiddleware = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
+const {
+  parseClosingDay,
+  buildClosingTotals,
+  createDailyClosing,
+} = require("../utils/dailyClosing");
+
+// End-of-day closings (Z reports) — admins and managers.
+// Printing: POST /api/print/closings/:id
+router.use(authMiddleware, (req, res, next) => {
+  if (!req.user.canValidate) {
+    return res.status(403).json({ error: "Only admins and managers can manage closings" });
+  }
+  next();
+});
+
+function handleError(res, error, message) {
+  console.error(`${message}:`, error);
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  res.status(500).json({ error: message });
+}
+
+// GET /api/closings - Latest closings (?limit=)
+router.get("/", async (req, res) => {
+  try {
+    const closings = await DailyClosing.find()
+      .select("-report")
+      .sort({ date: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 31, 366))
+      .lean();
+    res.json(closings);
+  } catch (error) {
+    handleError(res, error, "Failed to fetch closings");
+  }
+});
+
+// GET /api/closings/preview?date=YYYY-MM-DD - Totals of a day, not saved
+router.get("/preview", async (req, res) => {
+  try {
+    const day = parseClosingDay(req.query.date);
+    res.json({ preview: true, report: await buildClosingTotals(day) });
+  } catch (error) {
+    handleError(res, error, "Failed to build closing preview");
+  }
+});
+
+// POST /api/closings - Close a day ({ date, notes }); the report is frozen
+// and the day locked (routes/periodLocks.js)
+router.post("/", idempotency, async (req, res) => {
+  try {
+    const closing = await createDailyClosing(req.body.date, req.user, req.body.notes);
+    res.status(201).json(closing);
+  } catch (error) {
+    handleError(res, error, "Failed to generate closing");
+  }
+});
+
+// GET /api/closings/:date - Closing of a day (YYYY-MM-DD)
+router.get("/:date", async (req, res) => {
+  try {
+    const closing = await DailyClosing.findOne({ date: req.params.date }).lean();
+    if (!closing) {
+      return res.status(404).json({ error: "Closing not found" });
+    }
+    res.json(closing);
+  } catch (error) {
+    handleError(res, error, "Failed to fetch closing");
+  }
+});
+
+module.exports = router;
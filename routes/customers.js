@@ -1,7 +1,32 @@
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
 const Customer = require("../models/Customer");
 const Sale = require("../models/Sale"); // Make sure to import Sale model
+const CustomerPayment = require("../models/CustomerPayment");
+const authMiddleware = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
+const {
+  RECEIVABLE_SALE_FILTER,
+  recalculateCustomerStats,
+  recordCustomerPayment,
+} = require("../utils/customerAccounts");
+const { normalizeTenderMethod } = require("../utils/payments");
+const { assertPeriodOpen, assertDayOpen } = require("../utils/periodLocks");
+const {
+  normalizeCurrency,
+  resolveExchangeRate,
+  toUSDExpression,
+  roundMoney,
+} = require("../utils/currency");
+
+// Aging buckets of the receivables report, by days since the sale
+const AGING_BUCKETS = [
+  { key: "0-30", maxDays: 30 },
+  { key: "31-60", maxDays: 60 },
+  { key: "61-90", maxDays: 90 },
+  { key: "90+", maxDays: Infinity },
+];
 
 // GET /api/customers - Get all customers with optional filtering
 router.get("/", async (req, res) => {
@@ -38,6 +63,104 @@ router.get("/", async (req, res) => {
   }
 });
 
+// GET /api/customers/reports/aging - Amounts owed on credit sales by age
+// (USD equivalents), per customer — admin/manager only
+router.get("/reports/aging", authMiddleware, async (req, res) => {
+  try {
+    if (!req.user.canValidate) {
+      return res.status(403).json({ error: "Only admins and managers can view receivables" });
+    }
+
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({ error: "Invalid asOf date. Use YYYY-MM-DD format." });
+    }
+    asOf.setHours(23, 59, 59, 999);
+
+    const ageDays = {
+      $floor: { $divide: [{ $subtract: [asOf, "$createdAt"] }, 24 * 60 * 60 * 1000] },
+    };
+    const bucketExpression = {
+      $switch: {
+        branches: AGING_BUCKETS.filter((bucket) => bucket.maxDays !== Infinity).map((bucket) => ({
+          case: { $lte: ["$ageDays", bucket.maxDays] },
+          then: bucket.key,
+        })),
+        default: AGING_BUCKETS[AGING_BUCKETS.length - 1].key,
+      },
+    };
+
+    const rows = await Sale.aggregate([
+      {
+        $match: {
+          balanceDue: { $gt: 0 },
+          customerId: { $ne: null },
+          createdAt: { $lte: asOf },
+          status: { $in: ["completed", "pending"] },
+          type: { $ne: "expense" },
+          ...RECEIVABLE_SALE_FILTER,
+        },
+      },
+      { $addFields: { ageDays, balanceUSD: toUSDExpression("$balanceDue") } },
+      { $addFields: { bucket: bucketExpression } },
+      {
+        $group: {
+          _id: { customerId: "$customerId", bucket: "$bucket" },
+          amount: { $sum: "$balanceUSD" },
+          sales: { $sum: 1 },
+          oldestSale: { $min: "$createdAt" },
+        },
+      },
+    ]);
+
+    const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket.key, 0]));
+    const byCustomer = new Map();
+    const totals = { ...emptyBuckets(), total: 0 };
+    for (const row of rows) {
+      const id = String(row._id.customerId);
+      if (!byCustomer.has(id)) {
+        byCustomer.set(id, { customerId: id, buckets: emptyBuckets(), total: 0, openSales: 0, oldestSale: null });
+      }
+      const entry = byCustomer.get(id);
+      entry.buckets[row._id.bucket] = roundMoney(entry.buckets[row._id.bucket] + row.amount);
+      entry.total = roundMoney(entry.total + row.amount);
+      entry.openSales += row.sales;
+      if (!entry.oldestSale || row.oldestSale < entry.oldestSale) entry.oldestSale = row.oldestSale;
+      totals[row._id.bucket] = roundMoney(totals[row._id.bucket] + row.amount);
+      totals.total = roundMoney(totals.total + row.amount);
+    }
+
+    const customers = await Customer.find({ _id: { $in: [...byCustomer.keys()] } })
+      .select("name phone creditLimit balance")
+      .lean();
+    const customersById = new Map(customers.map((customer) => [String(customer._id), customer]));
+
+    const data = [...byCustomer.values()]
+      .map((entry) => {
+        const customer = customersById.get(entry.customerId) || {};
+        return {
+          ...entry,
+          name: customer.name || "",
+          phone: customer.phone || "",
+          creditLimit: customer.creditLimit || 0,
+        };
+      })
+      .sort((a, b) => b.total - a.total);
+
+    res.json({
+      success: true,
+      asOf: asOf.toISOString(),
+      currency: "USD",
+      buckets: AGING_BUCKETS.map((bucket) => bucket.key),
+      totals,
+      data,
+    });
+  } catch (error) {
+    console.error("Error building aging report:", error);
+    res.status(500).json({ error: "Failed to build aging report" });
+  }
+});
+
 // GET /api/customers/:id - Get a single customer by ID
 router.get("/:id", async (req, res) => {
   try {
@@ -76,60 +199,19 @@ router.get("/phone/:phone", async (req, res) => {
 });
 
 // POST /api/customers/:id/recalculate - Recalculate customer statistics
-// POST /api/customers/:id/recalculate - Recalculate customer statistics
+// (purchases, amount spent and balance owed, from valid sales only)
 router.post("/:id/recalculate", async (req, res) => {
   try {
     const customerId = req.params.id;
-    
-    // FIX: Only get COMPLETED sales (exclude voided and corrected sales)
-    const sales = await Sale.find({ 
-      customerId: customerId,
-      status: { $in: ["completed", "pending", undefined] } // Include completed, pending, or sales without status
-    }).sort({ createdAt: 1 });
-    
-    // FIX: Also filter out voided sales manually for safety
-    const validSales = sales.filter(sale => 
-      sale.status !== "voided" && sale.status !== "corrected"
-    );
-    
-    if (validSales.length === 0) {
-      // If no valid sales, reset the customer stats
-      const updatedCustomer = await Customer.findByIdAndUpdate(
-        customerId,
-        {
-          totalPurchases: 0,
-          totalSpent: 0,
-          firstPurchaseDate: null,
-          lastPurchaseDate: null,
-        },
-        { new: true }
-      );
-      
-      return res.json(updatedCustomer);
-    }
-    
-    // Recalculate totals from VALID sales only
-    const totalPurchases = validSales.length;
-    const totalSpent = validSales.reduce((sum, sale) => sum + sale.total, 0);
-    const firstPurchaseDate = validSales[0].createdAt;
-    const lastPurchaseDate = validSales[validSales.length - 1].createdAt;
 
-    // Update customer
-    const updatedCustomer = await Customer.findByIdAndUpdate(
-      customerId,
-      {
-        totalPurchases,
-        totalSpent,
-        firstPurchaseDate,
-        lastPurchaseDate,
-      },
-      { new: true }
-    );
-
-    if (!updatedCustomer) {
+    const exists = await Customer.exists({ _id: customerId });
+    if (!exists) {
       return res.status(404).json({ error: "Customer not found" });
     }
 
+    await recalculateCustomerStats(customerId);
+    const updatedCustomer = await Customer.findById(customerId);
+
     res.json(updatedCustomer);
   } catch (error) {
     console.error("Error recalculating customer stats:", error);
@@ -142,6 +224,133 @@ router.post("/:id/recalculate", async (req, res) => {
   }
 });
 
+// PATCH /api/customers/:id/credit-limit - Set the credit limit (USD) — admin/manager only
+router.patch("/:id/credit-limit", authMiddleware, async (req, res) => {
+  try {
+    if (!req.user.canValidate) {
+      return res.status(403).json({ error: "Only admins and managers can set credit limits" });
+    }
+
+    const creditLimit = Number(req.body.creditLimit);
+    if (req.body.creditLimit === undefined || req.body.creditLimit === null || !(creditLimit >= 0)) {
+      return res.status(400).json({ error: "creditLimit must be a number >= 0" });
+    }
+
+    const customer = await Customer.findByIdAndUpdate(
+      req.params.id,
+      { creditLimit },
+      { new: true, runValidators: true }
+    );
+    if (!customer) {
+      return res.status(404).json({ error: "Customer not found" });
+    }
+
+    res.json(customer);
+  } catch (error) {
+    console.error("Error updating credit limit:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid customer ID" });
+    }
+    res.status(500).json({ error: "Failed to update credit limit" });
+  }
+});
+
+// GET /api/customers/:id/payments - Repayments and sales still owed
+router.get("/:id/payments", authMiddleware, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id).lean();
+    if (!customer) {
+      return res.status(404).json({ error: "Customer not found" });
+    }
+
+    const [payments, openSales] = await Promise.all([
+      CustomerPayment.find({ customer: customer._id }).sort({ createdAt: -1 }).lean(),
+      Sale.find({
+        customerId: customer._id,
+        balanceDue: { $gt: 0 },
+        status: { $in: ["completed", "pending"] },
+        ...RECEIVABLE_SALE_FILTER,
+      })
+        .sort({ createdAt: 1 })
+        .select("saleNumber total currency exchangeRate amountPaid balanceDue paymentStatus createdAt")
+        .lean(),
+    ]);
+
+    res.json({
+      customer,
+      balance: customer.balance || 0,
+      creditLimit: customer.creditLimit || 0,
+      openSales,
+      payments,
+    });
+  } catch (error) {
+    console.error("Error fetching customer payments:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid customer ID" });
+    }
+    res.status(500).json({ error: "Failed to fetch customer payments" });
+  }
+});
+
+// POST /api/customers/:id/payments - Record a repayment, allocated to the
+// oldest unpaid sales first
+router.post("/:id/payments", authMiddleware, idempotency, async (req, res) => {
+  try {
+    const { amount, method, reference, notes } = req.body;
+    const paymentAmount = Number(amount);
+    if (!(paymentAmount > 0)) {
+      return res.status(400).json({ error: "Amount must be a positive number" });
+    }
+
+    const tenderMethod = normalizeTenderMethod(method);
+    if (tenderMethod === "store_credit") {
+      return res.status(400).json({ error: "Store credit cannot be used to repay a balance" });
+    }
+    // No new money movements once the day's Z report has locked it
+    await assertPeriodOpen(new Date());
+    const currency = normalizeCurrency(req.body.currency);
+    const exchangeRate = await resolveExchangeRate(currency);
+
+    const payment = await mongoose.connection.transaction(async (session) => {
+      await assertDayOpen(session);
+      const customer = await Customer.findById(req.params.id).session(session);
+      if (!customer) {
+        const error = new Error("Customer not found");
+        error.status = 404;
+        throw error;
+      }
+
+      return recordCustomerPayment({
+        customer,
+        amount: paymentAmount,
+        currency,
+        exchangeRate,
+        method: tenderMethod,
+        reference: String(reference || "").trim(),
+        notes: String(notes || "").trim(),
+        user: req.user,
+        session,
+      });
+    });
+
+    const customer = await Customer.findById(req.params.id).lean();
+    res.status(201).json({ payment, balance: customer.balance });
+  } catch (error) {
+    console.error("Error recording customer payment:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid customer ID" });
+    }
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({ error: errors.join(", ") });
+    }
+    res.status(500).json({ error: "Failed to record payment" });
+  }
+});
+
 // PUT /api/customers/:id - Update a customer
 router.put("/:id", async (req, res) => {
   try {
@@ -3,6 +3,22 @@ const router = express.Router();
 const mongoose = require("mongoose");
 const Entry = require("../models/Entry");
 const authMiddleware = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
+const { findOpenSession } = require("../utils/cashSessions");
+const { assertPeriodOpen } = require("../utils/periodLocks");
+const {
+  normalizeCurrency,
+  resolveExchangeRate,
+  getActiveRate,
+  usdValue,
+  summarizeAmounts,
+  currencyAccumulators,
+  withTotalFC,
+  moneyFields,
+} = require("../utils/currency");
+
+// Amount of an entry in USD (entries recorded before currencies are USD)
+const USD_AMOUNT = { $ifNull: ["$amountUSD", "$amount"] };
 
 // ==================== TIME FRAME HELPER FUNCTIONS ====================
 
@@ -250,26 +266,27 @@ router.get("/", authMiddleware, async (req, res) => {
     const timeframeDescription = getTimeframeDescription(req.query);
     const timeframeFilter = buildTimeframeFilter(req.query);
 
-    // Calculate totals for quick insights
+    // Calculate totals for quick insights (amounts in USD equivalent)
     const totals = entries.reduce((acc, entry) => {
-      acc.totalAmount += entry.amount;
+      const amount = usdValue(entry);
+      acc.totalAmount += amount;
       
       // Count by status
       if (entry.status === "active") {
         acc.activeCount += 1;
-        acc.activeAmount += entry.amount;
+        acc.activeAmount += amount;
       } else if (entry.status === "deleted") {
         acc.deletedCount += 1;
-        acc.deletedAmount += entry.amount;
+        acc.deletedAmount += amount;
       }
       
       // Count by payment method
       acc.paymentMethods[entry.paymentMethod] = 
-        (acc.paymentMethods[entry.paymentMethod] || 0) + entry.amount;
+        (acc.paymentMethods[entry.paymentMethod] || 0) + amount;
       
       // Count by category
       acc.categories[entry.category] = 
-        (acc.categories[entry.category] || 0) + entry.amount;
+        (acc.categories[entry.category] || 0) + amount;
       
       return acc;
     }, {
@@ -301,6 +318,8 @@ router.get("/", authMiddleware, async (req, res) => {
       summary: {
         totalRecords: total,
         totalAmount: totals.totalAmount,
+        // Amounts as recorded per currency, and converted to USD and FC
+        currencies: summarizeAmounts(entries, "amount", await getActiveRate()),
         active: {
           count: totals.activeCount,
           amount: totals.activeAmount
@@ -355,7 +374,7 @@ router.get("/", authMiddleware, async (req, res) => {
 // ==================== ALL OTHER ROUTES ====================
 
 /** ---------- CREATE ENTRY (Everyone can create) ---------- */
-router.post("/", authMiddleware, async (req, res) => {
+router.post("/", authMiddleware, idempotency, async (req, res) => {
   try {
     const { 
       amount, 
@@ -363,7 +382,8 @@ router.post("/", authMiddleware, async (req, res) => {
       paymentMethod, 
       category, 
       description,
-      receivedFrom 
+      receivedFrom,
+      currency
     } = req.body;
 
     // Validation (like your sale validation)
@@ -383,8 +403,13 @@ router.post("/", authMiddleware, async (req, res) => {
       });
     }
 
+    // No new money movements once the day's Z report has locked it
+    await assertPeriodOpen(new Date());
+
     const normalizedPM = normalizePaymentMethod(paymentMethod);
     const entryAmount = parseFloat(amount);
+    const entryCurrency = normalizeCurrency(currency);
+    const exchangeRate = await resolveExchangeRate(entryCurrency);
 
     // Generate unique entry ID (like your saleId)
     const entryId = `ENTRY-${Date.now()}-${Math.random()
@@ -395,11 +420,14 @@ router.post("/", authMiddleware, async (req, res) => {
     const entryData = {
       entryId,
       amount: entryAmount,
+      ...moneyFields(entryAmount, entryCurrency, exchangeRate),
       source: source.trim(),
       paymentMethod: normalizedPM,
       category: category.trim(),
       description: description ? description.trim() : "",
       receivedFrom: receivedFrom || {},
+      // Cash received at the till counts in the cashier's drawer session
+      cashSession: (await findOpenSession(req.user))?._id || null,
       createdBy: req.user.userId
     };
 
@@ -409,6 +437,9 @@ router.post("/", authMiddleware, async (req, res) => {
     return res.status(201).json(savedEntry);
   } catch (error) {
     console.error("Error creating entry:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     if (error.name === "ValidationError") {
       const errors = Object.values(error.errors).map((e) => e.message);
       return res.status(400).json({ error: errors.join(", ") });
@@ -496,6 +527,7 @@ router.put("/:id", authMiddleware, async (req, res) => {
         error: "Cannot edit a deleted entry" 
       });
     }
+    await assertPeriodOpen(originalEntry.createdAt);
 
     const normalizedPM = normalizePaymentMethod(paymentMethod);
     const entryAmount = parseFloat(amount);
@@ -551,6 +583,8 @@ router.put("/:id", authMiddleware, async (req, res) => {
       id,
       {
         amount: entryAmount,
+        // Currency and rate stay those of creation
+        ...moneyFields(entryAmount, originalEntry.currency || "USD", originalEntry.exchangeRate),
         source: source.trim(),
         paymentMethod: normalizedPM,
         category: category.trim(),
@@ -577,6 +611,9 @@ router.put("/:id", authMiddleware, async (req, res) => {
     });
   } catch (error) {
     console.error("Error editing entry:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     if (error.name === "CastError") {
       return res.status(400).json({ error: "Invalid entry ID" });
     }
@@ -607,6 +644,7 @@ router.delete("/:id", authMiddleware, async (req, res) => {
     if (entry.status === "deleted") {
       return res.status(400).json({ error: "Entry is already deleted" });
     }
+    await assertPeriodOpen(entry.createdAt);
 
     // Soft delete
     const deletedEntry = await Entry.findByIdAndUpdate(
@@ -625,6 +663,9 @@ router.delete("/:id", authMiddleware, async (req, res) => {
     });
   } catch (error) {
     console.error("Error deleting entry:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     
     if (error.name === "CastError") {
       return res.status(400).json({ error: "Invalid entry ID" });
@@ -653,6 +694,7 @@ router.patch("/:id/restore", authMiddleware, async (req, res) => {
     if (entry.status !== "deleted") {
       return res.status(400).json({ error: "Entry is not deleted" });
     }
+    await assertPeriodOpen(entry.createdAt);
 
     const restoredEntry = await Entry.findByIdAndUpdate(
       req.params.id,
@@ -671,6 +713,9 @@ router.patch("/:id/restore", authMiddleware, async (req, res) => {
     });
   } catch (error) {
     console.error("Error restoring entry:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     
     if (error.name === "CastError") {
       return res.status(400).json({ error: "Invalid entry ID" });
@@ -690,6 +735,7 @@ router.get("/stats/daily", authMiddleware, async (req, res) => {
     const endOfDay = new Date(targetDate);
     endOfDay.setHours(23, 59, 59, 999);
 
+    const currentRate = await getActiveRate();
     const dailyEntries = await Entry.aggregate([
       {
         $match: {
@@ -701,12 +747,13 @@ router.get("/stats/daily", authMiddleware, async (req, res) => {
         $group: {
           _id: null,
           totalEntries: { $sum: 1 },
-          totalAmount: { $sum: "$amount" },
+          totalAmount: { $sum: USD_AMOUNT },
+          ...currencyAccumulators("amount", currentRate),
           // Group by category
           categories: {
             $push: {
               category: "$category",
-              amount: "$amount"
+              amount: USD_AMOUNT
             }
           }
         },
@@ -731,14 +778,21 @@ router.get("/stats/daily", authMiddleware, async (req, res) => {
 
     // Calculate payment method breakdown
     const paymentMethodBreakdown = entries.reduce((acc, entry) => {
-      acc[entry.paymentMethod] = (acc[entry.paymentMethod] || 0) + entry.amount;
+      acc[entry.paymentMethod] = (acc[entry.paymentMethod] || 0) + usdValue(entry);
       return acc;
     }, {});
 
+    // Amounts are USD equivalents
     res.json({
       date: targetDate.toISOString().split("T")[0],
       totalEntries: dailyEntries[0]?.totalEntries || 0,
       totalAmount: dailyEntries[0]?.totalAmount || 0,
+      totalAmountFC: withTotalFC(dailyEntries[0])?.totalFC ?? null,
+      amountByCurrency: {
+        USD: dailyEntries[0]?.recordedUSD || 0,
+        FC: dailyEntries[0]?.recordedFC || 0,
+      },
+      exchangeRate: currentRate,
       categoryBreakdown,
       paymentMethodBreakdown,
       entries,
@@ -766,16 +820,18 @@ router.get("/stats/summary", authMiddleware, async (req, res) => {
     // Add status filter (active only for stats)
     timeframeFilter.status = "active";
 
+    const currentRate = await getActiveRate();
     const stats = await Entry.aggregate([
       { $match: timeframeFilter },
       {
         $group: {
           _id: null,
           totalEntries: { $sum: 1 },
-          totalAmount: { $sum: "$amount" },
-          avgAmount: { $avg: "$amount" },
-          maxAmount: { $max: "$amount" },
-          minAmount: { $min: "$amount" }
+          ...currencyAccumulators("amount", currentRate),
+          totalAmount: { $sum: USD_AMOUNT },
+          avgAmount: { $avg: USD_AMOUNT },
+          maxAmount: { $max: USD_AMOUNT },
+          minAmount: { $min: USD_AMOUNT }
         }
       }
     ]);
@@ -786,8 +842,8 @@ router.get("/stats/summary", authMiddleware, async (req, res) => {
         $group: {
           _id: "$category",
           count: { $sum: 1 },
-          totalAmount: { $sum: "$amount" },
-          avgAmount: { $avg: "$amount" }
+          totalAmount: { $sum: USD_AMOUNT },
+          avgAmount: { $avg: USD_AMOUNT }
         }
       },
       { $sort: { totalAmount: -1 } }
@@ -799,8 +855,8 @@ router.get("/stats/summary", authMiddleware, async (req, res) => {
         $group: {
           _id: "$source",
           count: { $sum: 1 },
-          totalAmount: { $sum: "$amount" },
-          avgAmount: { $avg: "$amount" }
+          totalAmount: { $sum: USD_AMOUNT },
+          avgAmount: { $avg: USD_AMOUNT }
         }
       },
       { $sort: { totalAmount: -1 } }
@@ -812,8 +868,8 @@ router.get("/stats/summary", authMiddleware, async (req, res) => {
         $group: {
           _id: "$paymentMethod",
           count: { $sum: 1 },
-          totalAmount: { $sum: "$amount" },
-          avgAmount: { $avg: "$amount" }
+          totalAmount: { $sum: USD_AMOUNT },
+          avgAmount: { $avg: USD_AMOUNT }
         }
       },
       { $sort: { totalAmount: -1 } }
@@ -831,7 +887,7 @@ router.get("/stats/summary", authMiddleware, async (req, res) => {
           },
           date: { $first: "$createdAt" },
           count: { $sum: 1 },
-          totalAmount: { $sum: "$amount" }
+          totalAmount: { $sum: USD_AMOUNT }
         }
       },
       { $sort: { "_id.year": 1, "_id.month": 1, "_id.day": 1 } },
@@ -839,12 +895,21 @@ router.get("/stats/summary", authMiddleware, async (req, res) => {
     ]);
 
     // Get top entries
-    const topEntries = await Entry.find(timeframeFilter)
-      .populate("createdBy", "username email")
-      .sort({ amount: -1 })
-      .limit(10)
-      .select('entryId source amount category paymentMethod createdAt')
-      .lean();
+    const topEntries = await Entry.populate(
+      await Entry.aggregate([
+        { $match: timeframeFilter },
+        { $addFields: { usdAmount: USD_AMOUNT } },
+        { $sort: { usdAmount: -1 } },
+        { $limit: 10 },
+        {
+          $project: {
+            entryId: 1, source: 1, amount: 1, currency: 1, usdAmount: 1,
+            category: 1, paymentMethod: 1, createdAt: 1, createdBy: 1
+          }
+        }
+      ]),
+      { path: "createdBy", select: "username email" }
+    );
 
     // Get most frequent sources
     const frequentSources = await Entry.aggregate([
@@ -853,8 +918,8 @@ router.get("/stats/summary", authMiddleware, async (req, res) => {
         $group: {
           _id: "$source",
           count: { $sum: 1 },
-          totalAmount: { $sum: "$amount" },
-          avgAmount: { $avg: "$amount" }
+          totalAmount: { $sum: USD_AMOUNT },
+          avgAmount: { $avg: USD_AMOUNT }
         }
       },
       { $sort: { count: -1 } },
@@ -874,7 +939,9 @@ router.get("/stats/summary", authMiddleware, async (req, res) => {
         start: timeframeFilter.createdAt.$gte,
         end: timeframeFilter.createdAt.$lte
       },
-      totals: stats[0] || { 
+      currency: "USD",
+      exchangeRate: currentRate,
+      totals: withTotalFC(stats[0]) || { 
         totalEntries: 0, 
         totalAmount: 0, 
         avgAmount: 0,
@@ -919,7 +986,7 @@ router.get("/category/:category", authMiddleware, async (req, res) => {
       .sort({ createdAt: -1 })
       .lean();
 
-    const totalAmount = entries.reduce((sum, entry) => sum + entry.amount, 0);
+    const totalAmount = entries.reduce((sum, entry) => sum + usdValue(entry), 0);
 
     res.json({
       success: true,
@@ -963,7 +1030,7 @@ router.get("/source/:source", authMiddleware, async (req, res) => {
       .sort({ createdAt: -1 })
       .lean();
 
-    const totalAmount = entries.reduce((sum, entry) => sum + entry.amount, 0);
+    const totalAmount = entries.reduce((sum, entry) => sum + usdValue(entry), 0);
 
     res.json({
       success: true,
@@ -1007,7 +1074,7 @@ router.get("/payment/:method", authMiddleware, async (req, res) => {
       .sort({ createdAt: -1 })
       .lean();
 
-    const totalAmount = entries.reduce((sum, entry) => sum + entry.amount, 0);
+    const totalAmount = entries.reduce((sum, entry) => sum + usdValue(entry), 0);
 
     res.json({
       success: true,
@@ -1049,7 +1116,7 @@ router.get("/user/me", authMiddleware, async (req, res) => {
       .sort({ createdAt: -1 })
       .lean();
 
-    const totalAmount = entries.reduce((sum, entry) => sum + entry.amount, 0);
+    const totalAmount = entries.reduce((sum, entry) => sum + usdValue(entry), 0);
 
     res.json({
       success: true,
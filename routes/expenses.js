@@ -2,6 +2,23 @@ const express = require("express");
 const router = express.Router();
 const Expense = require("../models/Expense");
 const authMiddleware = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
+const { findOpenSession } = require("../utils/cashSessions");
+const { assertPeriodOpen } = require("../utils/periodLocks");
+const {
+  normalizeCurrency,
+  resolveExchangeRate,
+  getActiveRate,
+  usdValue,
+  summarizeAmounts,
+  currencyAccumulators,
+  withTotalFC,
+  moneyFields,
+  isoCurrencyCode,
+} = require("../utils/currency");
+
+// Amount of an expense in USD (expenses recorded before currencies are USD)
+const USD_AMOUNT = { $ifNull: ["$amountUSD", "$amount"] };
 const nodemailer = require("nodemailer");
 
 // ✅ CREATE EMAIL TRANSPORTER
@@ -171,7 +188,7 @@ async function sendExpenseNotification(expense) {
     
     const formattedAmount = new Intl.NumberFormat('fr-FR', {
       style: 'currency',
-      currency: 'USD'
+      currency: isoCurrencyCode(expense.currency)
     }).format(expense.amount);
     
     const mailOptions = {
@@ -240,7 +257,7 @@ async function sendExpenseUpdateNotification(expense, updatedBy, updateReason) {
     
     const formattedAmount = new Intl.NumberFormat('fr-FR', {
       style: 'currency',
-      currency: 'USD'
+      currency: isoCurrencyCode(expense.currency)
     }).format(expense.amount);
     
     const mailOptions = {
@@ -307,7 +324,7 @@ async function sendExpenseDeletionNotification(expenseInfo, deletedBy) {
     
     const formattedAmount = new Intl.NumberFormat('fr-FR', {
       style: 'currency',
-      currency: 'USD'
+      currency: isoCurrencyCode(expenseInfo.currency)
     }).format(expenseInfo.amount);
     
     const mailOptions = {
@@ -466,18 +483,20 @@ router.get("/", authMiddleware, async (req, res) => {
     const timeframeFilter = buildTimeframeFilter(req.query);
 
     // Calculate totals for quick insights
+    // Amounts in USD equivalent
     const totals = expenses.reduce((acc, expense) => {
-      acc.totalAmount += expense.amount;
+      const amount = usdValue(expense);
+      acc.totalAmount += amount;
       
       if (expense.status === "pending") {
         acc.pendingCount += 1;
-        acc.pendingAmount += expense.amount;
+        acc.pendingAmount += amount;
       } else if (expense.status === "validated") {
         acc.validatedCount += 1;
-        acc.validatedAmount += expense.amount;
+        acc.validatedAmount += amount;
       } else if (expense.status === "rejected") {
         acc.rejectedCount += 1;
-        acc.rejectedAmount += expense.amount;
+        acc.rejectedAmount += amount;
       }
       
       return acc;
@@ -510,6 +529,8 @@ router.get("/", authMiddleware, async (req, res) => {
       summary: {
         totalRecords: total,
         totalAmount: totals.totalAmount,
+        // Amounts as recorded per currency, and converted to USD and FC
+        currencies: summarizeAmounts(expenses, "amount", await getActiveRate()),
         pending: {
           count: totals.pendingCount,
           amount: totals.pendingAmount
@@ -565,9 +586,9 @@ router.get("/", authMiddleware, async (req, res) => {
 // ==================== ALL OTHER ROUTES ====================
 
 /** ---------- CREATE EXPENSE ---------- **/
-router.post("/", authMiddleware, async (req, res) => {
+router.post("/", authMiddleware, idempotency, async (req, res) => {
   try {
-    const { reason, recipientName, recipientPhone, amount, paymentMethod, notes, recordedBy } = req.body;
+    const { reason, recipientName, recipientPhone, amount, paymentMethod, notes, recordedBy, currency } = req.body;
 
     // Validation
     if (!reason || !recipientName || !recipientPhone || !amount) {
@@ -583,6 +604,9 @@ router.post("/", authMiddleware, async (req, res) => {
       });
     }
 
+    // No new money movements once the day's Z report has locked it
+    await assertPeriodOpen(new Date());
+
     // Sanitize inputs
     const sanitizedReason = sanitizeInput(reason);
     const sanitizedRecipientName = sanitizeInput(recipientName);
@@ -591,6 +615,8 @@ router.post("/", authMiddleware, async (req, res) => {
     const sanitizedRecordedBy = sanitizeInput(recordedBy || req.user?.id || "Unknown");
 
     const normalizedPM = normalizePaymentMethod(paymentMethod);
+    const expenseCurrency = normalizeCurrency(currency);
+    const exchangeRate = await resolveExchangeRate(expenseCurrency);
 
     // Generate unique expense ID
     const expenseId = `EXP-${Date.now()}-${Math.random()
@@ -604,9 +630,12 @@ router.post("/", authMiddleware, async (req, res) => {
       recipientName: sanitizedRecipientName,
       recipientPhone: sanitizedRecipientPhone,
       amount: expenseAmount,
+      ...moneyFields(expenseAmount, expenseCurrency, exchangeRate),
       paymentMethod: normalizedPM,
       recordedBy: sanitizedRecordedBy,
       notes: sanitizedNotes,
+      // Cash paid from the till counts in the cashier's drawer session
+      cashSession: (await findOpenSession(req.user))?._id || null,
       status: "pending"
     };
 
@@ -619,6 +648,9 @@ router.post("/", authMiddleware, async (req, res) => {
     return res.status(201).json(savedExpense);
   } catch (error) {
     console.error("Error creating expense:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     if (error.name === "ValidationError") {
       const errors = Object.values(error.errors).map((e) => e.message);
       return res.status(400).json({ error: errors.join(", ") });
@@ -669,6 +701,7 @@ router.patch("/:id/validate", authMiddleware, async (req, res) => {
     if (expense.status === "rejected") {
       return res.status(400).json({ error: "Cannot validate a rejected expense" });
     }
+    await assertPeriodOpen(expense.createdAt);
 
     const validationNotes = notes ? `Validated: ${notes}` : "Expense validated";
     const updatedNotes = expense.notes ? `${expense.notes}\n${validationNotes}` : validationNotes;
@@ -687,6 +720,9 @@ router.patch("/:id/validate", authMiddleware, async (req, res) => {
     res.json(updatedExpense);
   } catch (error) {
     console.error("Error validating expense:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     if (error.name === "CastError") {
       return res.status(400).json({ error: "Invalid expense ID" });
     }
@@ -716,6 +752,7 @@ router.patch("/:id/reject", authMiddleware, async (req, res) => {
     if (expense.status === "validated") {
       return res.status(400).json({ error: "Cannot reject a validated expense" });
     }
+    await assertPeriodOpen(expense.createdAt);
 
     if (!reason) {
       return res.status(400).json({ error: "Rejection reason is required" });
@@ -738,6 +775,9 @@ router.patch("/:id/reject", authMiddleware, async (req, res) => {
     res.json(updatedExpense);
   } catch (error) {
     console.error("Error rejecting expense:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     if (error.name === "CastError") {
       return res.status(400).json({ error: "Invalid expense ID" });
     }
@@ -778,6 +818,7 @@ router.put("/:id", authMiddleware, async (req, res) => {
     if (!existingExpense) {
       return res.status(404).json({ error: "Expense not found" });
     }
+    await assertPeriodOpen(existingExpense.createdAt);
 
     // Authorization check for editing validated/rejected expenses
     if (existingExpense.status !== "pending") {
@@ -805,12 +846,17 @@ router.put("/:id", authMiddleware, async (req, res) => {
       });
     }
 
-    // Prepare update data
+    // Prepare update data (the currency and rate stay those of creation)
     const updateData = {
       reason: sanitizedReason,
       recipientName: sanitizedRecipientName,
       recipientPhone: sanitizedRecipientPhone,
       amount: expenseAmount,
+      ...moneyFields(
+        expenseAmount,
+        existingExpense.currency || "USD",
+        existingExpense.exchangeRate
+      ),
       paymentMethod: normalizedPM,
       updatedAt: new Date()
     };
@@ -824,10 +870,10 @@ router.put("/:id", authMiddleware, async (req, res) => {
       `${existingExpense.notes}\n${updateNote}` : 
       updateNote;
 
-    // If admin is editing a validated expense, keep it validated but update validator info
+    // If admin is editing a validated expense, keep it validated but update
+    // validator info; validatedAt stays the date of the original validation
     if (existingExpense.status === "validated" && isAdminUser(req.user)) {
       updateData.validatedBy = `${existingExpense.validatedBy || "Admin"} (Modified by: ${req.user?.id || "Admin"})`;
-      updateData.validatedAt = new Date();
     }
 
     const updatedExpense = await Expense.findByIdAndUpdate(
@@ -845,6 +891,9 @@ router.put("/:id", authMiddleware, async (req, res) => {
     });
   } catch (error) {
     console.error("Error updating expense:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     if (error.name === "CastError") {
       return res.status(400).json({ error: "Invalid expense ID" });
     }
@@ -870,6 +919,7 @@ router.delete("/:id/admin", authMiddleware, async (req, res) => {
     if (!expense) {
       return res.status(404).json({ error: "Expense not found" });
     }
+    await assertPeriodOpen(expense.createdAt);
 
     // Store expense info for response before deletion
     const deletedExpenseInfo = {
@@ -877,6 +927,7 @@ router.delete("/:id/admin", authMiddleware, async (req, res) => {
       expenseId: expense.expenseId,
       reason: expense.reason,
       amount: expense.amount,
+      currency: expense.currency,
       status: expense.status,
       recipientName: expense.recipientName
     };
@@ -893,6 +944,9 @@ router.delete("/:id/admin", authMiddleware, async (req, res) => {
     });
   } catch (error) {
     console.error("Error deleting expense (admin):", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     if (error.name === "CastError") {
       return res.status(400).json({ error: "Invalid expense ID" });
     }
@@ -921,6 +975,7 @@ router.delete("/:id", authMiddleware, async (req, res) => {
         error: "You can only delete your own pending expenses" 
       });
     }
+    await assertPeriodOpen(expense.createdAt);
 
     await Expense.findByIdAndDelete(req.params.id);
     res.json({ 
@@ -933,6 +988,9 @@ router.delete("/:id", authMiddleware, async (req, res) => {
     });
   } catch (error) {
     console.error("Error deleting expense:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     if (error.name === "CastError") {
       return res.status(400).json({ error: "Invalid expense ID" });
     }
@@ -960,21 +1018,23 @@ router.get("/stats/summary", authMiddleware, async (req, res) => {
         $group: {
           _id: "$status",
           count: { $sum: 1 },
-          totalAmount: { $sum: "$amount" }
+          totalAmount: { $sum: USD_AMOUNT }
         }
       }
     ]);
 
+    const currentRate = await getActiveRate();
     const totalStats = await Expense.aggregate([
       { $match: timeframeFilter },
       {
         $group: {
           _id: null,
           totalExpenses: { $sum: 1 },
-          totalAmount: { $sum: "$amount" },
-          avgAmount: { $avg: "$amount" },
-          maxAmount: { $max: "$amount" },
-          minAmount: { $min: "$amount" }
+          ...currencyAccumulators("amount", currentRate),
+          totalAmount: { $sum: USD_AMOUNT },
+          avgAmount: { $avg: USD_AMOUNT },
+          maxAmount: { $max: USD_AMOUNT },
+          minAmount: { $min: USD_AMOUNT }
         }
       }
     ]);
@@ -985,8 +1045,8 @@ router.get("/stats/summary", authMiddleware, async (req, res) => {
         $group: {
           _id: "$paymentMethod",
           count: { $sum: 1 },
-          totalAmount: { $sum: "$amount" },
-          avgAmount: { $avg: "$amount" }
+          totalAmount: { $sum: USD_AMOUNT },
+          avgAmount: { $avg: USD_AMOUNT }
         }
       }
     ]);
@@ -1003,7 +1063,7 @@ router.get("/stats/summary", authMiddleware, async (req, res) => {
           },
           date: { $first: "$createdAt" },
           count: { $sum: 1 },
-          totalAmount: { $sum: "$amount" }
+          totalAmount: { $sum: USD_AMOUNT }
         }
       },
       { $sort: { "_id.year": 1, "_id.month": 1, "_id.day": 1 } },
@@ -1011,11 +1071,18 @@ router.get("/stats/summary", authMiddleware, async (req, res) => {
     ]);
 
     // Get top expenses
-    const topExpenses = await Expense.find(timeframeFilter)
-      .sort({ amount: -1 })
-      .limit(10)
-      .select('expenseId reason amount status recipientName createdAt')
-      .lean();
+    const topExpenses = await Expense.aggregate([
+      { $match: timeframeFilter },
+      { $addFields: { usdAmount: USD_AMOUNT } },
+      { $sort: { usdAmount: -1 } },
+      { $limit: 10 },
+      {
+        $project: {
+          expenseId: 1, reason: 1, amount: 1, currency: 1, usdAmount: 1,
+          status: 1, recipientName: 1, createdAt: 1
+        }
+      }
+    ]);
 
     // Get most frequent recipients
     const frequentRecipients = await Expense.aggregate([
@@ -1024,8 +1091,8 @@ router.get("/stats/summary", authMiddleware, async (req, res) => {
         $group: {
           _id: "$recipientName",
           count: { $sum: 1 },
-          totalAmount: { $sum: "$amount" },
-          avgAmount: { $avg: "$amount" }
+          totalAmount: { $sum: USD_AMOUNT },
+          avgAmount: { $avg: USD_AMOUNT }
         }
       },
       { $sort: { count: -1 } },
@@ -1046,7 +1113,9 @@ router.get("/stats/summary", authMiddleware, async (req, res) => {
         end: timeframeFilter.createdAt.$lte
       },
       statusBreakdown: stats,
-      totals: totalStats[0] || { 
+      currency: "USD",
+      exchangeRate: currentRate,
+      totals: withTotalFC(totalStats[0]) || { 
         totalExpenses: 0, 
         totalAmount: 0, 
         avgAmount: 0,
@@ -1125,13 +1194,13 @@ router.get("/recipient/:phone", authMiddleware, async (req, res) => {
       .sort({ createdAt: -1 })
       .lean();
 
-    // Calculate totals
+    // Calculate totals (USD equivalent)
     const totals = expenses.reduce((acc, expense) => {
-      acc.totalAmount += expense.amount;
+      acc.totalAmount += usdValue(expense);
       acc.count += 1;
       
       if (expense.status === "validated") {
-        acc.validatedAmount += expense.amount;
+        acc.validatedAmount += usdValue(expense);
         acc.validatedCount += 1;
       }
       
@@ -1188,7 +1257,7 @@ router.get("/status/:status", authMiddleware, async (req, res) => {
       .sort({ createdAt: -1 })
       .lean();
 
-    const totalAmount = expenses.reduce((sum, expense) => sum + expense.amount, 0);
+    const totalAmount = expenses.reduce((sum, expense) => sum + usdValue(expense), 0);
 
     res.json({
       success: true,
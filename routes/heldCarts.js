@@ -0,0 +1,279 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Counter = require("../models/Counter");
+const HeldCart = require("../models/HeldCart");
+const Product = require("../models/Product");
+const authMiddleware = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
+const { nextSequence, formatDateKey } = require("../utils/counters");
+const { findOpenSession } = require("../utils/cashSessions");
+const { normalizeCurrency } = require("../utils/currency");
+const { reservedQuantities, isReserving } = require("../utils/heldCarts");
+
+// Carts parked mid-checkout. Holding, editing and cancelling a cart never
+// moves stock. To resume one, the till loads it (GET /:id) and sends the
+// basket to POST /api/sales with heldCartId, which marks it converted.
+router.use(authMiddleware);
+
+const DEFAULT_RESERVE_MINUTES = 30;
+const MAX_RESERVE_MINUTES = 24 * 60;
+
+function cartError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function handleError(res, error, message) {
+  console.error(`${message}:`, error);
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.name === "CastError") {
+    return res.status(400).json({ error: "Invalid held cart ID" });
+  }
+  if (error.name === "ValidationError") {
+    const errors = Object.values(error.errors).map((e) => e.message);
+    return res.status(400).json({ error: errors.join(", ") });
+  }
+  res.status(500).json({ error: message });
+}
+
+// Held carts are changed or cancelled by their holder or a manager
+function canManageCart(user, cart) {
+  return user.canValidate || String(cart.heldBy) === String(user._id);
+}
+
+function withReservation(cart) {
+  const plain = cart.toObject ? cart.toObject() : cart;
+  return { ...plain, reserving: isReserving(plain) };
+}
+
+// Basket lines from the request body; names are snapshotted for the list
+async function parseItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw cartError(400, "A held cart needs at least one item");
+  }
+  const lines = [];
+  for (const item of items) {
+    const { productId, quantity, price, discount } = item || {};
+    const hasPrice = price !== undefined && price !== null && price !== "";
+    if (
+      !mongoose.isValidObjectId(productId) ||
+      !Number.isInteger(Number(quantity)) || Number(quantity) <= 0 ||
+      (hasPrice && !(Number(price) >= 0))
+    ) {
+      throw cartError(400, "Each item requires productId, an integer quantity>0, and price>=0");
+    }
+    const product = await Product.findById(productId).select("name").lean();
+    if (!product) {
+      throw cartError(400, `Product not found: ${productId}`);
+    }
+    lines.push({
+      productId: product._id,
+      name: item.name || product.name,
+      quantity: Number(quantity),
+      price: hasPrice ? Number(price) : null,
+      discount: discount || null,
+    });
+  }
+  return lines;
+}
+
+// { reserveStock, reservedUntil } from reserveStock and reserveMinutes
+function parseReservation(body) {
+  if (!body.reserveStock) {
+    return { reserveStock: false, reservedUntil: null };
+  }
+  const minutes = body.reserveMinutes === undefined
+    ? DEFAULT_RESERVE_MINUTES
+    : Number(body.reserveMinutes);
+  if (!(minutes > 0) || minutes > MAX_RESERVE_MINUTES) {
+    throw cartError(400, `reserveMinutes must be between 1 and ${MAX_RESERVE_MINUTES}`);
+  }
+  return { reserveStock: true, reservedUntil: new Date(Date.now() + minutes * 60 * 1000) };
+}
+
+// A soft reservation cannot take stock already sold or reserved by other carts.
+// Runs in the transaction that saves the cart: each product's guard counter
+// is written first, so two carts reserving the same product conflict and
+// the one retried sees the other's reservation.
+async function assertReservable(lines, excludeCartId, session) {
+  const wanted = new Map();
+  lines.forEach((line) => {
+    const key = String(line.productId);
+    wanted.set(key, (wanted.get(key) || 0) + line.quantity);
+  });
+  for (const productId of wanted.keys()) {
+    await Counter.updateOne(
+      { _id: `reserve-guard:${productId}` },
+      { $inc: { seq: 1 } },
+      { upsert: true, session }
+    );
+  }
+  const reserved = await reservedQuantities({ excludeCartId, session });
+  for (const [productId, quantity] of wanted) {
+    const product = await Product.findById(productId).select("name stock").session(session).lean();
+    const available = (product?.stock ?? 0) - (reserved.get(productId) || 0);
+    if (available < quantity) {
+      throw cartError(409, `Insufficient stock to reserve ${product?.name || productId}. Available: ${Math.max(available, 0)}`);
+    }
+  }
+}
+
+function parseCustomer(body) {
+  const isWalkIn = body.isWalkIn !== undefined ? Boolean(body.isWalkIn) : !body.customer?.name;
+  return {
+    isWalkIn,
+    customer: isWalkIn
+      ? { name: "", phone: "", email: "" }
+      : {
+          name: String(body.customer?.name || "").trim(),
+          phone: String(body.customer?.phone || "").trim(),
+          email: String(body.customer?.email || "").trim(),
+        },
+  };
+}
+
+// GET /api/held-carts - Held carts, newest first
+// (?register=, ?status=held|converted|cancelled, ?mine=true)
+router.get("/", async (req, res) => {
+  try {
+    const filter = { status: req.query.status || "held" };
+    if (req.query.register) filter.register = req.query.register;
+    if (req.query.mine === "true") filter.heldBy = req.user._id;
+    const carts = await HeldCart.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200))
+      .lean();
+    res.json(carts.map(withReservation));
+  } catch (error) {
+    handleError(res, error, "Failed to fetch held carts");
+  }
+});
+
+// GET /api/held-carts/:id
+router.get("/:id", async (req, res) => {
+  try {
+    const cart = await HeldCart.findById(req.params.id).lean();
+    if (!cart) {
+      return res.status(404).json({ error: "Held cart not found" });
+    }
+    res.json(withReservation(cart));
+  } catch (error) {
+    handleError(res, error, "Failed to fetch held cart");
+  }
+});
+
+// POST /api/held-carts - Park a basket
+// Body: { items: [{ productId, quantity, price?, discount? }], customer,
+//         isWalkIn, currency, discount, notes, register,
+//         reserveStock, reserveMinutes (default 30) }
+router.post("/", idempotency, async (req, res) => {
+  try {
+    const items = await parseItems(req.body.items);
+    const reservation = parseReservation(req.body);
+    const register = req.body.register || (await findOpenSession(req.user))?.register || undefined;
+
+    // Availability check and insert in one transaction
+    const cart = await mongoose.connection.transaction(async (session) => {
+      if (reservation.reserveStock) {
+        await assertReservable(items, null, session);
+      }
+      const dateKey = formatDateKey();
+      const seq = await nextSequence(`held-cart:${dateKey}`, session);
+      const [created] = await HeldCart.create([{
+        cartNumber: `ATT-${dateKey}-${seq}`,
+        register,
+        items,
+        ...parseCustomer(req.body),
+        currency: normalizeCurrency(req.body.currency),
+        discount: req.body.discount || null,
+        notes: String(req.body.notes || "").trim(),
+        ...reservation,
+        heldBy: req.user._id,
+        heldByName: req.user.username,
+      }], { session });
+      return created;
+    });
+    res.status(201).json(withReservation(cart));
+  } catch (error) {
+    handleError(res, error, "Failed to hold cart");
+  }
+});
+
+// PUT /api/held-carts/:id - Replace the basket of a held cart (its holder,
+// or an admin or manager). The reservation is renewed from now when
+// reserveStock is sent.
+router.put("/:id", async (req, res) => {
+  try {
+    const cart = await HeldCart.findById(req.params.id);
+    if (!cart) {
+      return res.status(404).json({ error: "Held cart not found" });
+    }
+    if (!canManageCart(req.user, cart)) {
+      return res.status(403).json({ error: "Only the cashier who held the cart or a manager can change it" });
+    }
+    if (cart.status !== "held") {
+      return res.status(400).json({ error: `Held cart already ${cart.status}` });
+    }
+
+    const items = await parseItems(req.body.items);
+    const reservation = req.body.reserveStock !== undefined
+      ? parseReservation(req.body)
+      : { reserveStock: cart.reserveStock, reservedUntil: cart.reservedUntil };
+
+    // Availability check and update in one transaction
+    const updated = await mongoose.connection.transaction(async (session) => {
+      if (isReserving({ status: "held", ...reservation })) {
+        await assertReservable(items, cart._id, session);
+      }
+      return HeldCart.findOneAndUpdate(
+        { _id: cart._id, status: "held" },
+        {
+          items,
+          ...parseCustomer(req.body),
+          currency: req.body.currency ? normalizeCurrency(req.body.currency) : cart.currency,
+          discount: req.body.discount || null,
+          notes: String(req.body.notes || "").trim(),
+          ...reservation,
+        },
+        { new: true, runValidators: true, session }
+      );
+    });
+    if (!updated) {
+      return res.status(409).json({ error: "Held cart was resumed or cancelled meanwhile" });
+    }
+    res.json(withReservation(updated));
+  } catch (error) {
+    handleError(res, error, "Failed to update held cart");
+  }
+});
+
+// POST /api/held-carts/:id/cancel - Abandon a held cart (its holder, or
+// an admin or manager); its reservation is released
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    const cart = await HeldCart.findById(req.params.id).select("heldBy status").lean();
+    if (!cart) {
+      return res.status(404).json({ error: "Held cart not found" });
+    }
+    if (!canManageCart(req.user, cart)) {
+      return res.status(403).json({ error: "Only the cashier who held the cart or a manager can cancel it" });
+    }
+    const cancelled = await HeldCart.findOneAndUpdate(
+      { _id: cart._id, status: "held" },
+      { status: "cancelled", cancelledBy: req.user._id, cancelledAt: new Date() },
+      { new: true }
+    );
+    if (!cancelled) {
+      return res.status(400).json({ error: `Held cart already ${cart.status}` });
+    }
+    res.json(withReservation(cancelled));
+  } catch (error) {
+    handleError(res, error, "Failed to cancel held cart");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+const express = require("express");
+const router = express.Router();
+const PeriodLock = require("../models/PeriodLock");
+const authMiddleware = require("../middleware/auth");
+const { parsePeriod } = require("../utils/periodLocks");
+
+// Accounting period locks: admins and managers can list them, only admins
+// lock and reopen.
+router.use(authMiddleware);
+
+function requireAdmin(req, res, next) {
+  if (req.user.role !== "admin") {
+    return res.status(403).json({ error: "Only admins can lock or reopen periods" });
+  }
+  next();
+}
+
+function handleError(res, error, message) {
+  console.error(`${message}:`, error);
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  res.status(500).json({ error: message });
+}
+
+// GET /api/period-locks - Locks, latest periods first (?status=locked|reopened)
+router.get("/", async (req, res) => {
+  try {
+    if (!req.user.canValidate) {
+      return res.status(403).json({ error: "Only admins and managers can view period locks" });
+    }
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    const locks = await PeriodLock.find(filter).sort({ start: -1 }).lean();
+    res.json(locks);
+  } catch (error) {
+    handleError(res, error, "Failed to fetch period locks");
+  }
+});
+
+// POST /api/period-locks - Lock a day or a month ({ period, reason })
+router.post("/", requireAdmin, async (req, res) => {
+  try {
+    const { period, granularity, start, end } = parsePeriod(req.body.period);
+    if (start > new Date()) {
+      return res.status(400).json({ error: "Cannot lock a period that has not started" });
+    }
+    const event = {
+      action: "lock",
+      by: req.user._id,
+      byName: req.user.username,
+      reason: String(req.body.reason || "").trim(),
+    };
+
+    const existing = await PeriodLock.findOne({ period });
+    if (existing?.status === "locked") {
+      return res.status(409).json({ error: `La période ${period} est déjà verrouillée` });
+    }
+    if (existing) {
+      // Locked again after a reopening; guarded on the status
+      const relocked = await PeriodLock.findOneAndUpdate(
+        { _id: existing._id, status: "reopened" },
+        {
+          status: "locked",
+          lockedBy: req.user._id,
+          lockedByName: req.user.username,
+          lockedAt: new Date(),
+          $push: { history: event },
+        },
+        { new: true }
+      );
+      if (!relocked) {
+        return res.status(409).json({ error: `La période ${period} est déjà verrouillée` });
+      }
+      return res.json(relocked);
+    }
+
+    const lock = await PeriodLock.create({
+      period,
+      granularity,
+      start,
+      end,
+      lockedBy: req.user._id,
+      lockedByName: req.user.username,
+      history: [event],
+    });
+    res.status(201).json(lock);
+  } catch (error) {
+    // Locked concurrently by someone else
+    if (error.code === 11000) {
+      return res.status(409).json({ error: "Period already locked" });
+    }
+    handleError(res, error, "Failed to lock period");
+  }
+});
+
+// POST /api/period-locks/:period/reopen - Allow edits again ({ reason }, required)
+router.post("/:period/reopen", requireAdmin, async (req, res) => {
+  try {
+    const reason = String(req.body.reason || "").trim();
+    if (!reason) {
+      return res.status(400).json({ error: "A reason is required to reopen a period" });
+    }
+    const lock = await PeriodLock.findOneAndUpdate(
+      { period: req.params.period, status: "locked" },
+      {
+        status: "reopened",
+        $push: {
+          history: { action: "reopen", by: req.user._id, byName: req.user.username, reason },
+        },
+      },
+      { new: true }
+    );
+    if (!lock) {
+      return res.status(404).json({ error: "Locked period not found" });
+    }
+    res.json(lock);
+  } catch (error) {
+    handleError(res, error, "Failed to reopen period");
+  }
+});
+
+module.exports = router;
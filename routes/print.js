@@ -1,232 +1,484 @@
 const express = require('express');
-const escpos = require('escpos');
-escpos.USB = require('escpos-usb');
 const router = express.Router();
+const Sale = require('../models/Sale');
+const ShopSettings = require('../models/ShopSettings');
+const PrinterProfile = require('../models/PrinterProfile');
+const PrintJob = require('../models/PrintJob');
+const DailyClosing = require('../models/DailyClosing');
+const authMiddleware = require('../middleware/auth');
+const isAdmin = require('../middleware/isAdmin');
+const { enqueuePrintJob, processQueue } = require('../utils/printQueue');
+const {
+  DEFAULT_COLUMNS,
+  buildSaleReceipt,
+  buildSaleStub,
+  buildClosingReport,
+  renderText,
+  renderHtml,
+} = require('../utils/receiptRenderer');
+
+const SALE_DOCUMENTS = {
+  receipt: { build: buildSaleReceipt, counter: 'receiptPrintCount', label: 'Receipt' },
+  stub: { build: buildSaleStub, counter: 'stubPrintCount', label: 'Stub' },
+};
+
+// Unknown or inactive printerId → error message, checked before queueing
+async function checkPrinterId(printerId) {
+  if (!printerId) return null;
+  const profile = await PrinterProfile.findOne({
+    printerId: String(printerId).toLowerCase(),
+    isActive: true,
+  }).lean();
+  return profile ? null : `Unknown printer: ${printerId}`;
+}
 
-// Find and use the first available USB printer
-//printer
-function getPrinter() {
+// Width of a preview: ?columns=32|48, else the width of ?printerId or of
+// the default printer. Returns { error, status } for a bad request.
+async function previewColumns(query) {
+  if (query.columns !== undefined) {
+    const columns = Number(query.columns);
+    if (![32, 48].includes(columns)) {
+      return { status: 400, error: 'columns must be 32 or 48' };
+    }
+    return { columns };
+  }
+  const { printerId } = query;
+  const profile = await PrinterProfile.findOne(
+    printerId
+      ? { printerId: String(printerId).toLowerCase() }
+      : { isDefault: true, isActive: true }
+  ).lean();
+  if (printerId && !profile) {
+    return { status: 404, error: `Unknown printer: ${printerId}` };
+  }
+  return { columns: profile?.columns || DEFAULT_COLUMNS };
+}
+
+// Queue a receipt or stub of a stored sale. Printing happens in
+// utils/printQueue.js; the client follows the job with GET /jobs/:id.
+async function queueSaleDocument(req, res, kind) {
+  const { label } = SALE_DOCUMENTS[kind];
   try {
-    const device = new escpos.USB();
-    return new escpos.Printer(device);
+    const sale = await Sale.findById(req.params.id).select('type status saleNumber').lean();
+    if (!sale || sale.type === 'expense') {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+    if (sale.status === 'voided') {
+      return res.status(400).json({ error: 'Cannot print a voided sale' });
+    }
+
+    const printerId = req.body?.printerId || null;
+    const printerError = await checkPrinterId(printerId);
+    if (printerError) {
+      return res.status(404).json({ error: printerError });
+    }
+
+    const job = await enqueuePrintJob({
+      document: kind,
+      sale: sale._id,
+      saleNumber: sale.saleNumber,
+      printerId,
+      requestedBy: req.user.userId,
+      requestedByName: req.user.username,
+    });
+
+    res.status(202).json({ success: true, message: `${label} queued for printing`, job });
   } catch (error) {
-    console.error('No USB printer found:', error);
-    return null;
+    console.error('Server error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid sale ID' });
+    }
+    res.status(500).json({ error: 'Server error' });
   }
 }
 
-// Print receipt endpoint
-router.post('/receipt', async (req, res) => {
+// Print (or reprint, marked DUPLICATA) the receipt of a stored sale
+router.post('/sales/:id/receipt', authMiddleware, (req, res) =>
+  queueSaleDocument(req, res, 'receipt')
+);
+
+// Print (or reprint, marked DUPLICATA) the stub of a stored sale
+router.post('/sales/:id/stub', authMiddleware, (req, res) =>
+  queueSaleDocument(req, res, 'stub')
+);
+
+// Preview a receipt or stub without printing it
+// ?format=text|html, ?document=receipt|stub, ?columns=32|48
+// (defaults to the width of ?printerId, or of the default printer)
+router.get('/sales/:id/preview', authMiddleware, async (req, res) => {
   try {
-    const { receiptData, type = 'sale' } = req.body;
-    
-    const printer = getPrinter();
-    if (!printer) {
-      return res.status(500).json({ error: 'No printer found' });
+    const { format = 'text', document = 'receipt' } = req.query;
+    if (!['text', 'html'].includes(format)) {
+      return res.status(400).json({ error: 'format must be text or html' });
+    }
+    if (!SALE_DOCUMENTS[document]) {
+      return res.status(400).json({ error: 'document must be receipt or stub' });
+    }
+
+    const { columns, status, error } = await previewColumns(req.query);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    const device = printer.device;
+    const sale = await Sale.findById(req.params.id).lean();
+    if (!sale || sale.type === 'expense') {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
 
-    device.open(async (error) => {
-      if (error) {
-        console.error('Printer error:', error);
-        return res.status(500).json({ error: 'Printer connection failed' });
-      }
+    const { build, counter } = SALE_DOCUMENTS[document];
+    const settings = await ShopSettings.getCurrent();
+    // Show what the next print would look like
+    const blocks = build(sale, settings, { duplicate: sale[counter] > 0 });
 
-      try {
-        // Print receipt header
-        printer
-          .font('a')
-          .align('ct')
-          .style('b')
-          .size(2, 2)
-          .text('ETS. DIEU MERCI')
-          .size(1, 1)
-          .text('_Chez Dan Collection_')
-          .align('lt')
-          .text(receiptData.shopAddress)
-          .text(`RCCM: ${receiptData.shopRegistration}`)
-          .text(receiptData.shopNumber)
-          .text(`Date: ${receiptData.date}`)
-          .text(`Reçu #: ${receiptData.receiptNumber}`)
-          .feed(1);
-
-        // Customer information
-        printer
-          .style('b')
-          .text('CLIENT')
-          .style('normal')
-          .text(`Nom: ${receiptData.customerName}`);
-
-        if (receiptData.customerPhone) {
-          printer.text(`Tél: ${receiptData.customerPhone}`);
-        }
-
-        if (receiptData.customerEmail) {
-          printer.text(`Email: ${receiptData.customerEmail}`);
-        }
-
-        printer.feed(1);
-
-        // Items
-        printer
-          .style('b')
-          .text('ARTICLES')
-          .style('normal');
-
-        receiptData.items.forEach((item) => {
-          printer
-            .text(`${item.quantity}x ${item.name}`)
-            .align('rt')
-            .text(`$${item.total.toFixed(2)}`)
-            .align('lt');
-        });
-
-        // Total
-        printer
-          .feed(1)
-          .style('b')
-          .text('TOTAL:')
-          .align('rt')
-          .text(`$${receiptData.total.toFixed(2)}`)
-          .align('lt')
-          .text(`Paiement: ${receiptData.paymentMethod.toUpperCase()}`)
-          .feed(1);
-
-        // Sales person
-        printer
-          .style('normal')
-          .text(`Agent: ${receiptData.salesPerson}`)
-          .feed(1);
-
-        // Footer
-        printer
-          .align('ct')
-          .text('✅ Merci pour votre achat !')
-          .text('Non échangeable - Non remboursable')
-          .feed(2);
-
-        if (type === 'reservation') {
-          printer
-            .style('b')
-            .text('✅ RESERVATION CONFIRMÉE')
-            .feed(1);
-        }
-
-        // Cut the paper (full cut)
-        printer.cut();
-        
-        await new Promise((resolve) => {
-          printer.close(() => {
-            resolve();
-          });
-        });
-
-        res.json({ success: true, message: 'Receipt printed successfully' });
-      } catch (printError) {
-        console.error('Print error:', printError);
-        res.status(500).json({ error: 'Print failed' });
-      }
+    if (format === 'html') {
+      return res
+        .type('html')
+        .send(renderHtml(blocks, { columns, title: `${settings.shopName} - ${sale.saleNumber}` }));
+    }
+    res.type('text').send(renderText(blocks, columns));
+  } catch (error) {
+    console.error('Preview error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid sale ID' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Print (or reprint, marked DUPLICATA) a Z report — admins and managers
+router.post('/closings/:id', authMiddleware, async (req, res) => {
+  try {
+    if (!req.user.canValidate) {
+      return res.status(403).json({ error: 'Only admins and managers can print closings' });
+    }
+    const closing = await DailyClosing.findById(req.params.id).select('_id').lean();
+    if (!closing) {
+      return res.status(404).json({ error: 'Closing not found' });
+    }
+
+    const printerId = req.body?.printerId || null;
+    const printerError = await checkPrinterId(printerId);
+    if (printerError) {
+      return res.status(404).json({ error: printerError });
+    }
+
+    const job = await enqueuePrintJob({
+      document: 'closing',
+      closing: closing._id,
+      printerId,
+      requestedBy: req.user.userId,
+      requestedByName: req.user.username,
     });
+
+    res.status(202).json({ success: true, message: 'Closing queued for printing', job });
   } catch (error) {
     console.error('Server error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid closing ID' });
+    }
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Print stub endpoint
-router.post('/stub', async (req, res) => {
+// Preview a Z report without printing it (?format=text|html, ?columns, ?printerId)
+router.get('/closings/:id/preview', authMiddleware, async (req, res) => {
   try {
-    const { receiptData, type = 'sale' } = req.body;
-    
-    const printer = getPrinter();
-    if (!printer) {
-      return res.status(500).json({ error: 'No printer found' });
+    if (!req.user.canValidate) {
+      return res.status(403).json({ error: 'Only admins and managers can print closings' });
+    }
+    const { format = 'text' } = req.query;
+    if (!['text', 'html'].includes(format)) {
+      return res.status(400).json({ error: 'format must be text or html' });
+    }
+    const { columns, status, error } = await previewColumns(req.query);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    const device = printer.device;
+    const closing = await DailyClosing.findById(req.params.id).lean();
+    if (!closing) {
+      return res.status(404).json({ error: 'Closing not found' });
+    }
+    const settings = await ShopSettings.getCurrent();
+    const blocks = buildClosingReport(closing, settings, { duplicate: closing.printCount > 0 });
 
-    device.open(async (error) => {
-      if (error) {
-        return res.status(500).json({ error: 'Printer connection failed' });
-      }
+    if (format === 'html') {
+      return res
+        .type('html')
+        .send(renderHtml(blocks, { columns, title: `${settings.shopName} - ${closing.closingNumber}` }));
+    }
+    res.type('text').send(renderText(blocks, columns));
+  } catch (error) {
+    console.error('Preview error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid closing ID' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-      try {
-        // Print stub header
-        printer
-          .font('a')
-          .align('ct')
-          .style('b')
-          .size(1, 1)
-          .text('SOUCHE')
-          .text('ETS. DIEU MERCI')
-          .text('_Chez Dan Collection_')
-          .align('lt')
-          .text(`Date: ${receiptData.date}`)
-          .text(`Reçu #: ${receiptData.receiptNumber}`)
-          .feed(1);
-
-        // Customer information
-        printer.text(`Client: ${receiptData.customerName}`);
-        if (receiptData.customerPhone) {
-          printer.text(`Tél: ${receiptData.customerPhone}`);
-        }
-        printer.feed(1);
-
-        // Items summary
-        printer
-          .style('b')
-          .text('ARTICLES:')
-          .style('normal');
-
-        receiptData.items.forEach((item) => {
-          printer.text(`${item.quantity}x ${item.name}`);
-        });
-
-        // Total
-        printer
-          .feed(1)
-          .style('b')
-          .text(`Total: $${receiptData.total.toFixed(2)}`)
-          .text(`Paiement: ${receiptData.paymentMethod.toUpperCase()}`)
-          .feed(1);
-
-        // Sales person
-        printer.text(`Agent: ${receiptData.salesPerson}`);
-
-        // Stub footer
-        printer
-          .feed(1)
-          .align('ct')
-          .style('b')
-          .text(`SOUCHE N°${receiptData.stubNumber} DU JOUR`)
-          .feed(1);
-
-        if (type === 'reservation') {
-          printer.text('✅ RESERVATION CONFIRMÉE');
-        }
-
-        printer.feed(2);
-
-        // Cut the paper (full cut)
-        printer.cut();
-        
-        await new Promise((resolve) => {
-          printer.close(() => {
-            resolve();
-          });
-        });
-
-        res.json({ success: true, message: 'Stub printed successfully' });
-      } catch (printError) {
-        console.error('Print error:', printError);
-        res.status(500).json({ error: 'Print failed' });
-      }
+// Queue a receipt or stub from the receiptData sent by the till
+async function queueLegacyDocument(req, res, kind) {
+  try {
+    const { receiptData, type = 'sale', printerId = null } = req.body;
+    if (!receiptData || !Array.isArray(receiptData.items)) {
+      return res.status(400).json({ error: 'receiptData with items is required' });
+    }
+
+    const printerError = await checkPrinterId(printerId);
+    if (printerError) {
+      return res.status(404).json({ error: printerError });
+    }
+
+    const job = await enqueuePrintJob({
+      document: kind,
+      saleNumber: receiptData.receiptNumber || '',
+      payload: { receiptData, type },
+      printerId,
+      requestedBy: req.user.userId,
+      requestedByName: req.user.username,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `${SALE_DOCUMENTS[kind].label} queued for printing`,
+      job,
     });
   } catch (error) {
     console.error('Server error:', error);
     res.status(500).json({ error: 'Server error' });
   }
+}
+
+// Print receipt endpoint
+router.post('/receipt', authMiddleware, (req, res) => queueLegacyDocument(req, res, 'receipt'));
+
+// Print stub endpoint
+router.post('/stub', authMiddleware, (req, res) => queueLegacyDocument(req, res, 'stub'));
+
+// ==================== PRINT JOBS ====================
+
+// List print jobs, newest first (?status=failed, ?sale=<id>, ?printerId=)
+router.get('/jobs', authMiddleware, async (req, res) => {
+  try {
+    const { status, sale, printerId } = req.query;
+    const filter = {};
+    if (status) filter.status = { $in: String(status).split(',') };
+    if (sale) filter.sale = sale;
+    if (printerId) filter.printerId = String(printerId).toLowerCase();
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+    const jobs = await PrintJob.find(filter)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error fetching print jobs:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid sale ID' });
+    }
+    res.status(500).json({ error: 'Failed to fetch print jobs' });
+  }
+});
+
+// Get one print job (to follow a queued print)
+router.get('/jobs/:id', authMiddleware, async (req, res) => {
+  try {
+    const job = await PrintJob.findById(req.params.id).select('-payload').lean();
+    if (!job) {
+      return res.status(404).json({ error: 'Print job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching print job:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid print job ID' });
+    }
+    res.status(500).json({ error: 'Failed to fetch print job' });
+  }
+});
+
+// Re-queue a failed or cancelled job (e.g. after changing the paper roll),
+// optionally on another printer
+router.post('/jobs/:id/retry', authMiddleware, async (req, res) => {
+  try {
+    const update = {
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lastError: '',
+      cancelledBy: null,
+    };
+    if (req.body?.printerId !== undefined) {
+      const printerError = await checkPrinterId(req.body.printerId);
+      if (printerError) {
+        return res.status(404).json({ error: printerError });
+      }
+      update.printerId = req.body.printerId || null;
+    }
+
+    const job = await PrintJob.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['failed', 'cancelled'] } },
+      update,
+      { new: true }
+    ).select('-payload');
+    if (!job) {
+      const exists = await PrintJob.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ error: 'Only failed or cancelled jobs can be retried' })
+        : res.status(404).json({ error: 'Print job not found' });
+    }
+
+    setImmediate(processQueue);
+    res.json({ success: true, message: 'Print job queued', job });
+  } catch (error) {
+    console.error('Error retrying print job:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid print job ID' });
+    }
+    res.status(500).json({ error: 'Failed to retry print job' });
+  }
+});
+
+// Cancel a job that has not printed yet
+router.post('/jobs/:id/cancel', authMiddleware, async (req, res) => {
+  try {
+    const job = await PrintJob.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['queued', 'failed'] } },
+      { status: 'cancelled', cancelledBy: req.user.username },
+      { new: true }
+    ).select('-payload');
+    if (!job) {
+      const exists = await PrintJob.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ error: 'Only queued or failed jobs can be cancelled' })
+        : res.status(404).json({ error: 'Print job not found' });
+    }
+
+    res.json({ success: true, message: 'Print job cancelled', job });
+  } catch (error) {
+    console.error('Error cancelling print job:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid print job ID' });
+    }
+    res.status(500).json({ error: 'Failed to cancel print job' });
+  }
+});
+
+// ==================== PRINTER PROFILES ====================
+
+const PRINTER_FIELDS = [
+  'printerId',
+  'name',
+  'till',
+  'transport',
+  'vendorId',
+  'productId',
+  'host',
+  'port',
+  'filePath',
+  'columns',
+  'isDefault',
+  'isActive',
+];
+
+function pickPrinterFields(body) {
+  const data = {};
+  PRINTER_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+}
+
+// Only one default printer at a time
+async function clearDefaultPrinter(exceptId) {
+  await PrinterProfile.updateMany(
+    { isDefault: true, _id: { $ne: exceptId } },
+    { isDefault: false }
+  );
+}
+
+function sendPrinterError(res, error, fallback) {
+  console.error(fallback, error);
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map((e) => e.message);
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ error: 'printerId already exists' });
+  }
+  res.status(500).json({ error: fallback });
+}
+
+// List printer profiles (optionally for one till)
+router.get('/printers', authMiddleware, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.till) filter.till = req.query.till;
+
+    const printers = await PrinterProfile.find(filter).sort({ till: 1, name: 1 }).lean();
+    res.json(printers);
+  } catch (error) {
+    console.error('Error fetching printers:', error);
+    res.status(500).json({ error: 'Failed to fetch printers' });
+  }
+});
+
+// Create a printer profile — admin only
+router.post('/printers', authMiddleware, isAdmin, async (req, res) => {
+  try {
+    const profile = new PrinterProfile(pickPrinterFields(req.body));
+    await profile.validate();
+    if (profile.isDefault) {
+      await clearDefaultPrinter(profile._id);
+    }
+    await profile.save();
+    res.status(201).json(profile);
+  } catch (error) {
+    sendPrinterError(res, error, 'Failed to create printer');
+  }
+});
+
+// Update a printer profile — admin only
+router.put('/printers/:id', authMiddleware, isAdmin, async (req, res) => {
+  try {
+    const profile = await PrinterProfile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Printer not found' });
+    }
+
+    profile.set(pickPrinterFields(req.body));
+    await profile.validate();
+    if (profile.isDefault) {
+      await clearDefaultPrinter(profile._id);
+    }
+    await profile.save();
+    res.json(profile);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid printer ID' });
+    }
+    sendPrinterError(res, error, 'Failed to update printer');
+  }
+});
+
+// Delete a printer profile — admin only
+router.delete('/printers/:id', authMiddleware, isAdmin, async (req, res) => {
+  try {
+    const profile = await PrinterProfile.findByIdAndDelete(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Printer not found' });
+    }
+    res.json({ message: 'Printer deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting printer:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid printer ID' });
+    }
+    res.status(500).json({ error: 'Failed to delete printer' });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,58 @@
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
 const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+const ShopSettings = require("../models/ShopSettings");
 const authMiddleware = require("../middleware/auth");
 const isAdmin = require("../middleware/isAdmin");
+const { adjustStock } = require("../utils/stockLedger");
+
+// Roles allowed to book incoming goods into stock
+const RECEIVING_ROLES = ["admin", "manager", "inventory_manager"];
+// Tries to apply a counted stock while sales keep moving it
+const STOCK_SET_ATTEMPTS = 3;
+
+// Parse an optional minimum price: empty/null clears the floor
+function parseMinPrice(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+  return Number(value);
+}
+
+// Parse an optional tax code: empty/null falls back to the shop default.
+// Returns { value } or { error } for a code missing from the shop's rates.
+async function parseTaxCode(value) {
+  if (value === undefined) return { value: undefined };
+  if (value === null || value === "") return { value: null };
+  const code = String(value).trim().toUpperCase();
+  const { taxRates } = await ShopSettings.getCurrent();
+  if (!taxRates.some((rate) => rate.code === code)) {
+    return { error: `Unknown tax code: ${code}` };
+  }
+  return { value: code };
+}
+
+// Parse an optional "price includes tax" flag: empty/null uses the shop default
+function parsePriceIncludesTax(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+  return value === true || value === "true";
+}
+
+// Check catalog pricing consistency; returns an error message or null
+function validatePricing(price, minPrice) {
+  if (isNaN(price) || price < 0) {
+    return "Price must be a number >= 0";
+  }
+  if (minPrice !== null && (isNaN(minPrice) || minPrice < 0)) {
+    return "Minimum price must be a number >= 0";
+  }
+  if (minPrice !== null && minPrice > price) {
+    return "Minimum price cannot be higher than the selling price";
+  }
+  return null;
+}
 
 // GET /api/products - Get all products with optional filtering
 router.get("/", async (req, res) => {
@@ -62,6 +112,11 @@ router.post("/", authMiddleware, isAdmin, async (req, res) => {
       description,
       category,
       brand,
+      price,
+      minPrice,
+      costPrice,
+      taxCode,
+      priceIncludesTax,
       stock,
       minStock,
       unit,
@@ -76,19 +131,52 @@ router.post("/", authMiddleware, isAdmin, async (req, res) => {
       });
     }
 
+    const catalogPrice = Number(price) || 0;
+    const floorPrice = parseMinPrice(minPrice) ?? null;
+    const pricingError = validatePricing(catalogPrice, floorPrice);
+    if (pricingError) {
+      return res.status(400).json({ error: pricingError });
+    }
+    const tax = await parseTaxCode(taxCode);
+    if (tax.error) {
+      return res.status(400).json({ error: tax.error });
+    }
+
     const product = new Product({
       name,
       description: description || "",
       category,
       brand: brand || "",
-      stock: Number(stock) || 0,
+      price: catalogPrice,
+      minPrice: floorPrice,
+      costPrice: Number(costPrice) || 0,
+      taxCode: tax.value ?? null,
+      priceIncludesTax: parsePriceIncludesTax(priceIncludesTax) ?? null,
+      stock: 0,
       minStock: Number(minStock) || 0,
       unit: unit || "pcs",
       weight: Number(weight) || 0,
       status: status || "active",
     });
 
-    const savedProduct = await product.save();
+    // Opening stock goes through the ledger like any other receipt, in the
+    // same transaction so the product never exists without it
+    const openingStock = Number(stock) || 0;
+    const savedProduct = await mongoose.connection.transaction(async (session) => {
+      const created = await product.save({ session });
+      if (openingStock <= 0) return created;
+      return adjustStock({
+        productId: created._id,
+        delta: openingStock,
+        reason: "receiving",
+        sourceType: "Product",
+        sourceId: created._id,
+        user: req.user,
+        note: "Stock initial",
+        session,
+      });
+    });
+
     res.status(201).json(savedProduct);
   } catch (error) {
     console.error("Error creating product:", error);
@@ -110,27 +198,66 @@ router.put("/:id", authMiddleware, isAdmin, async (req, res) => {
       description,
       category,
       brand,
+      price,
+      minPrice,
+      costPrice,
+      taxCode,
+      priceIncludesTax,
       stock,
       minStock,
       unit,
       weight,
       status,
+      stockNote,
     } = req.body;
 
     // Build update object with only provided fields
     const updateData = {};
 
+    const targetStock = stock !== undefined ? Number(stock) : undefined;
+    if (targetStock !== undefined && (isNaN(targetStock) || targetStock < 0)) {
+      return res.status(400).json({ error: "Stock must be a number >= 0" });
+    }
+
+    if (price !== undefined || minPrice !== undefined) {
+      const existing = await Product.findById(req.params.id).select("price minPrice").lean();
+      if (!existing) {
+        return res.status(404).json({ error: "Product not found" });
+      }
+
+      const nextPrice = price !== undefined ? Number(price) : existing.price || 0;
+      const nextMinPrice = minPrice !== undefined ? parseMinPrice(minPrice) : existing.minPrice ?? null;
+      const pricingError = validatePricing(nextPrice, nextMinPrice);
+      if (pricingError) {
+        return res.status(400).json({ error: pricingError });
+      }
+
+      if (price !== undefined) updateData.price = nextPrice;
+      if (minPrice !== undefined) updateData.minPrice = nextMinPrice;
+    }
+
+    if (taxCode !== undefined) {
+      const tax = await parseTaxCode(taxCode);
+      if (tax.error) {
+        return res.status(400).json({ error: tax.error });
+      }
+      updateData.taxCode = tax.value;
+    }
+    if (priceIncludesTax !== undefined) {
+      updateData.priceIncludesTax = parsePriceIncludesTax(priceIncludesTax);
+    }
+
     if (name !== undefined) updateData.name = name;
     if (description !== undefined) updateData.description = description;
     if (category !== undefined) updateData.category = category;
     if (brand !== undefined) updateData.brand = brand;
-    if (stock !== undefined) updateData.stock = Number(stock);
+    if (costPrice !== undefined) updateData.costPrice = Number(costPrice);
     if (minStock !== undefined) updateData.minStock = Number(minStock);
     if (unit !== undefined) updateData.unit = unit;
     if (weight !== undefined) updateData.weight = Number(weight);
     if (status !== undefined) updateData.status = status;
 
-    const updatedProduct = await Product.findByIdAndUpdate(
+    let updatedProduct = await Product.findByIdAndUpdate(
       req.params.id,
       updateData,
       { new: true, runValidators: true }
@@ -140,6 +267,29 @@ router.put("/:id", authMiddleware, isAdmin, async (req, res) => {
       return res.status(404).json({ error: "Product not found" });
     }
 
+    // A stock value sent from the product form is a manual count: record
+    // the difference as an adjustment instead of overwriting silently. The
+    // adjustment only applies to the stock it was computed from; a sale in
+    // between means reading the stock again.
+    for (let attempt = 0; targetStock !== undefined && updatedProduct.stock !== targetStock; attempt += 1) {
+      if (attempt === STOCK_SET_ATTEMPTS) {
+        return res.status(409).json({ error: "Stock changed meanwhile. Please count again." });
+      }
+      updatedProduct = await adjustStock({
+        productId: updatedProduct._id,
+        delta: targetStock - updatedProduct.stock,
+        reason: "adjustment",
+        expectedStock: updatedProduct.stock,
+        sourceType: "Product",
+        sourceId: updatedProduct._id,
+        user: req.user,
+        note: stockNote || "",
+      }) || await Product.findById(updatedProduct._id);
+      if (!updatedProduct) {
+        return res.status(404).json({ error: "Product not found" });
+      }
+    }
+
     res.json(updatedProduct);
   } catch (error) {
     console.error("Error updating product:", error);
@@ -157,6 +307,83 @@ router.put("/:id", authMiddleware, isAdmin, async (req, res) => {
   }
 });
 
+// POST /api/products/:id/receive - Book incoming goods into stock
+router.post("/:id/receive", authMiddleware, async (req, res) => {
+  try {
+    if (!RECEIVING_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: "Access denied: cannot receive stock" });
+    }
+
+    const { quantity, reference, note } = req.body;
+    const receivedQty = Number(quantity);
+    if (!Number.isInteger(receivedQty) || receivedQty <= 0) {
+      return res.status(400).json({ error: "Quantity must be a positive integer" });
+    }
+
+    const updatedProduct = await adjustStock({
+      productId: req.params.id,
+      delta: receivedQty,
+      reason: "receiving",
+      sourceType: "Product",
+      sourceId: req.params.id,
+      sourceRef: reference || "",
+      user: req.user,
+      note: note || "",
+    });
+
+    if (!updatedProduct) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    res.status(201).json(updatedProduct);
+  } catch (error) {
+    console.error("Error receiving stock:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid product ID" });
+    }
+
+    res.status(500).json({ error: "Failed to receive stock" });
+  }
+});
+
+// GET /api/products/:id/movements - Stock ledger of a product (newest first)
+router.get("/:id/movements", authMiddleware, async (req, res) => {
+  try {
+    const { reason, limit = 100 } = req.query;
+
+    const product = await Product.findById(req.params.id).select("name stock").lean();
+    if (!product) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    const filter = { product: product._id };
+    if (reason) {
+      filter.reason = reason;
+    }
+
+    const movements = await StockMovement.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit, 10) || 100, 1000))
+      .select("-__v")
+      .lean();
+
+    res.json({
+      product,
+      total: movements.length,
+      movements,
+    });
+  } catch (error) {
+    console.error("Error fetching stock movements:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid product ID" });
+    }
+
+    res.status(500).json({ error: "Failed to fetch stock movements" });
+  }
+});
+
 // DELETE /api/products/:id - Delete a product
 router.delete("/:id", authMiddleware, isAdmin, async (req, res) => {
   try {
@@ -0,0 +1,249 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Promotion = require("../models/Promotion");
+const Product = require("../models/Product");
+const Sale = require("../models/Sale");
+const authMiddleware = require("../middleware/auth");
+const { roundMoney, toUSDExpression } = require("../utils/currency");
+
+router.use(authMiddleware);
+
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "type",
+  "target",
+  "categories",
+  "products",
+  "value",
+  "bundleQuantity",
+  "bundlePrice",
+  "buyQuantity",
+  "getQuantity",
+  "getDiscountPercent",
+  "minBasket",
+  "startsAt",
+  "endsAt",
+  "active",
+];
+
+// Sales whose revenue is earned (voided and corrected sales are replaced)
+const EARNED_SALES = {
+  status: { $in: ["completed", "refunded"] },
+  type: { $in: ["sale", "reservation"] },
+};
+
+// Line revenue in USD, net of discounts and tax
+const LINE_REVENUE_USD = toUSDExpression({
+  $ifNull: [
+    "$items.taxableAmount",
+    { $subtract: ["$items.total", { $ifNull: ["$items.orderDiscountShare", 0] }] },
+  ],
+});
+
+function requireValidator(req, res) {
+  if (!req.user.canValidate) {
+    res.status(403).json({ error: "Only admins and managers can manage promotions" });
+    return false;
+  }
+  return true;
+}
+
+function handleError(res, error, message) {
+  console.error(`${message}:`, error);
+  if (error.name === "ValidationError") {
+    const errors = Object.values(error.errors).map((e) => e.message);
+    return res.status(400).json({ error: errors.join(", ") });
+  }
+  if (error.name === "CastError") {
+    return res.status(400).json({ error: "Invalid promotion ID" });
+  }
+  res.status(500).json({ error: message });
+}
+
+// Units and revenue of the promotion's target products over a period
+async function targetSales(promotion, start, end) {
+  const match = { ...EARNED_SALES, createdAt: { $gte: start, $lte: end } };
+  const lineMatch = {};
+  if (promotion.target === "product") {
+    lineMatch["items.productId"] = { $in: promotion.products };
+  } else if (promotion.target === "category") {
+    const productIds = await Product.find({ category: { $in: promotion.categories } }).distinct("_id");
+    lineMatch["items.productId"] = { $in: productIds };
+  }
+
+  const [result] = await Sale.aggregate([
+    { $match: match },
+    { $unwind: "$items" },
+    { $match: lineMatch },
+    {
+      $group: {
+        _id: null,
+        units: { $sum: "$items.quantity" },
+        revenueUSD: { $sum: LINE_REVENUE_USD },
+      },
+    },
+  ]);
+  return { units: result?.units || 0, revenueUSD: roundMoney(result?.revenueUSD || 0) };
+}
+
+function upliftPercent(during, before) {
+  return before > 0 ? roundMoney(((during - before) / before) * 100) : null;
+}
+
+// GET /api/promotions - ?running=true for the offers in force now
+router.get("/", async (req, res) => {
+  try {
+    if (req.query.running === "true") {
+      return res.json(await Promotion.findRunning());
+    }
+    const promotions = await Promotion.find().sort({ startsAt: -1 }).lean();
+    res.json(promotions);
+  } catch (error) {
+    handleError(res, error, "Failed to fetch promotions");
+  }
+});
+
+// GET /api/promotions/:id
+router.get("/:id", async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id).lean();
+    if (!promotion) {
+      return res.status(404).json({ error: "Promotion not found" });
+    }
+    res.json(promotion);
+  } catch (error) {
+    handleError(res, error, "Failed to fetch promotion");
+  }
+});
+
+// POST /api/promotions - admin/manager
+router.post("/", async (req, res) => {
+  try {
+    if (!requireValidator(req, res)) return;
+
+    const data = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+    const promotion = await Promotion.create({
+      ...data,
+      createdBy: req.user._id,
+      createdByName: req.user.username,
+    });
+    res.status(201).json(promotion);
+  } catch (error) {
+    handleError(res, error, "Failed to create promotion");
+  }
+});
+
+// PUT /api/promotions/:id - admin/manager. Sales already made keep the
+// promotion amounts recorded on their lines.
+router.put("/:id", async (req, res) => {
+  try {
+    if (!requireValidator(req, res)) return;
+
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ error: "Promotion not found" });
+    }
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) promotion[field] = req.body[field];
+    });
+    await promotion.save();
+    res.json(promotion);
+  } catch (error) {
+    handleError(res, error, "Failed to update promotion");
+  }
+});
+
+// DELETE /api/promotions/:id - admin/manager. A promotion used by sales
+// is only deactivated, so its report stays available.
+router.delete("/:id", async (req, res) => {
+  try {
+    if (!requireValidator(req, res)) return;
+
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ error: "Promotion not found" });
+    }
+    const used = await Sale.exists({ "items.promotionId": promotion._id });
+    if (used) {
+      promotion.active = false;
+      await promotion.save();
+      return res.json({ message: "Promotion deactivated (used by sales)", promotion });
+    }
+    await promotion.deleteOne();
+    res.json({ message: "Promotion deleted" });
+  } catch (error) {
+    handleError(res, error, "Failed to delete promotion");
+  }
+});
+
+// GET /api/promotions/:id/report - admin/manager
+// Cost: what the promotion took off the sales it applied to. Uplift: units
+// and revenue of the targeted products during the promotion, against the
+// same number of days just before it. Amounts in USD.
+router.get("/:id/report", async (req, res) => {
+  try {
+    if (!requireValidator(req, res)) return;
+
+    const promotion = await Promotion.findById(req.params.id).lean();
+    if (!promotion) {
+      return res.status(404).json({ error: "Promotion not found" });
+    }
+
+    const start = new Date(promotion.startsAt);
+    const end = new Date(Math.min(new Date(promotion.endsAt).getTime(), Date.now()));
+    if (end <= start) {
+      return res.status(400).json({ error: "Promotion has not started yet" });
+    }
+    const baselineStart = new Date(start.getTime() - (end.getTime() - start.getTime()));
+    const baselineEnd = new Date(start.getTime() - 1);
+
+    const [applied] = await Sale.aggregate([
+      { $match: { ...EARNED_SALES, "items.promotionId": new mongoose.Types.ObjectId(promotion._id) } },
+      { $unwind: "$items" },
+      { $match: { "items.promotionId": new mongoose.Types.ObjectId(promotion._id) } },
+      {
+        $group: {
+          _id: null,
+          sales: { $addToSet: "$_id" },
+          lines: { $sum: 1 },
+          units: { $sum: "$items.quantity" },
+          costUSD: { $sum: toUSDExpression("$items.promotionDiscount") },
+          revenueUSD: { $sum: LINE_REVENUE_USD },
+        },
+      },
+    ]);
+
+    const during = await targetSales(promotion, start, end);
+    const before = await targetSales(promotion, baselineStart, baselineEnd);
+
+    res.json({
+      success: true,
+      promotion,
+      currency: "USD",
+      period: { start, end },
+      baseline: { start: baselineStart, end: baselineEnd },
+      applied: {
+        salesCount: applied?.sales.length || 0,
+        lines: applied?.lines || 0,
+        units: applied?.units || 0,
+        cost: roundMoney(applied?.costUSD || 0),
+        revenue: roundMoney(applied?.revenueUSD || 0),
+      },
+      targetProducts: {
+        during,
+        before,
+        unitsUpliftPercent: upliftPercent(during.units, before.units),
+        revenueUpliftPercent: upliftPercent(during.revenueUSD, before.revenueUSD),
+      },
+    });
+  } catch (error) {
+    handleError(res, error, "Failed to build promotion report");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,212 @@
+const express = require("express");
+const router = express.Router();
+const Quotation = require("../models/Quotation");
+const ShopSettings = require("../models/ShopSettings");
+const authMiddleware = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
+const { nextSequence } = require("../utils/counters");
+const { parseValidUntil, priceQuotation, isExpired } = require("../utils/quotations");
+const { renderQuotationHtml, renderQuotationPdf } = require("../utils/quotationRenderer");
+
+// Quotations (factures proforma). They never touch stock; an accepted one
+// becomes a sale or reservation with POST /api/sales/quotations/:id/convert.
+router.use(authMiddleware);
+
+// Status changes allowed by PATCH /:id/status. An accepted quotation can
+// be reopened (e.g. once expired) to be re-priced and accepted again.
+const STATUS_TRANSITIONS = {
+  draft: ["accepted"],
+  sent: ["draft", "accepted"],
+  accepted: ["draft", "sent"],
+  rejected: ["draft", "sent", "accepted"],
+};
+
+function handleError(res, error, message) {
+  console.error(`${message}:`, error);
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.name === "CastError") {
+    return res.status(400).json({ error: "Invalid quotation ID" });
+  }
+  if (error.name === "ValidationError") {
+    const errors = Object.values(error.errors).map((e) => e.message);
+    return res.status(400).json({ error: errors.join(", ") });
+  }
+  res.status(500).json({ error: message });
+}
+
+function withExpiry(quotation) {
+  const plain = quotation.toObject ? quotation.toObject() : quotation;
+  return { ...plain, expired: plain.status !== "converted" && isExpired(plain) };
+}
+
+// GET /api/quotations - Newest first (?status=, ?phone=, ?limit=)
+router.get("/", async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(",") };
+    if (req.query.phone) filter["customer.phone"] = req.query.phone;
+    const quotations = await Quotation.find(filter)
+      .select("-items -statusHistory")
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200))
+      .lean();
+    res.json(quotations.map(withExpiry));
+  } catch (error) {
+    handleError(res, error, "Failed to fetch quotations");
+  }
+});
+
+// GET /api/quotations/:id
+router.get("/:id", async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id).lean();
+    if (!quotation) {
+      return res.status(404).json({ error: "Quotation not found" });
+    }
+    res.json(withExpiry(quotation));
+  } catch (error) {
+    handleError(res, error, "Failed to fetch quotation");
+  }
+});
+
+// GET /api/quotations/:id/document?format=pdf|html - The proforma to send
+router.get("/:id/document", async (req, res) => {
+  try {
+    const { format = "pdf" } = req.query;
+    if (!["pdf", "html"].includes(format)) {
+      return res.status(400).json({ error: "format must be pdf or html" });
+    }
+    const quotation = await Quotation.findById(req.params.id).lean();
+    if (!quotation) {
+      return res.status(404).json({ error: "Quotation not found" });
+    }
+    const settings = await ShopSettings.getCurrent();
+
+    if (format === "html") {
+      return res.type("html").send(renderQuotationHtml(quotation, settings));
+    }
+    const pdf = await renderQuotationPdf(quotation, settings);
+    res
+      .type("pdf")
+      .set("Content-Disposition", `inline; filename="${quotation.quotationNumber}.pdf"`)
+      .send(pdf);
+  } catch (error) {
+    handleError(res, error, "Failed to render quotation");
+  }
+});
+
+// POST /api/quotations - Issue a quotation, priced like a sale
+// Body: { customer: { name, phone, email, company, address, taxNumber },
+//         items: [{ productId, quantity, price?, discount? }], currency,
+//         discount, discountReason, validUntil (YYYY-MM-DD), notes }
+router.post("/", idempotency, async (req, res) => {
+  try {
+    const settings = await ShopSettings.getCurrent();
+    const validUntil = parseValidUntil(req.body.validUntil, settings);
+    const priced = await priceQuotation(req.body, req.user, settings);
+
+    const year = new Date().getFullYear();
+    const seq = await nextSequence(`quotation:${year}`);
+    const quotation = await Quotation.create({
+      quotationNumber: `PRO-${year}-${String(seq).padStart(4, "0")}`,
+      ...priced,
+      validUntil,
+      notes: String(req.body.notes || "").trim(),
+      statusHistory: [{ status: "draft", by: req.user._id, byName: req.user.username }],
+      createdBy: req.user._id,
+      createdByName: req.user.username,
+    });
+    res.status(201).json(withExpiry(quotation));
+  } catch (error) {
+    handleError(res, error, "Failed to create quotation");
+  }
+});
+
+// PUT /api/quotations/:id - Re-price a draft or sent quotation (same body
+// as POST); the number is kept
+router.put("/:id", async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id).lean();
+    if (!quotation) {
+      return res.status(404).json({ error: "Quotation not found" });
+    }
+    if (!["draft", "sent"].includes(quotation.status)) {
+      return res.status(400).json({ error: `Cannot edit a ${quotation.status} quotation` });
+    }
+    const settings = await ShopSettings.getCurrent();
+    const validUntil = parseValidUntil(req.body.validUntil, settings);
+    const priced = await priceQuotation(req.body, req.user, settings);
+
+    const updated = await Quotation.findOneAndUpdate(
+      { _id: quotation._id, status: quotation.status },
+      { ...priced, validUntil, notes: String(req.body.notes || "").trim() },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ error: "Quotation changed meanwhile. Please refresh." });
+    }
+    res.json(withExpiry(updated));
+  } catch (error) {
+    handleError(res, error, "Failed to update quotation");
+  }
+});
+
+// PATCH /api/quotations/:id/status - { status: draft|sent|accepted|rejected, note }
+router.patch("/:id/status", async (req, res) => {
+  try {
+    const { status } = req.body;
+    const from = STATUS_TRANSITIONS[status];
+    if (!from) {
+      return res.status(400).json({ error: "status must be draft, sent, accepted or rejected" });
+    }
+    const quotation = await Quotation.findById(req.params.id).lean();
+    if (!quotation) {
+      return res.status(404).json({ error: "Quotation not found" });
+    }
+    if (!from.includes(quotation.status)) {
+      return res.status(400).json({ error: `Cannot mark a ${quotation.status} quotation as ${status}` });
+    }
+    if (status === "accepted" && isExpired(quotation)) {
+      return res.status(400).json({ error: "La proforma a expiré : mettez-la à jour avant de l'accepter" });
+    }
+
+    const updated = await Quotation.findOneAndUpdate(
+      { _id: quotation._id, status: quotation.status },
+      {
+        status,
+        $push: {
+          statusHistory: {
+            status,
+            by: req.user._id,
+            byName: req.user.username,
+            note: String(req.body.note || "").trim(),
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ error: "Quotation changed meanwhile. Please refresh." });
+    }
+    res.json(withExpiry(updated));
+  } catch (error) {
+    handleError(res, error, "Failed to update quotation status");
+  }
+});
+
+// DELETE /api/quotations/:id - Drafts only; sent quotations are rejected instead
+router.delete("/:id", async (req, res) => {
+  try {
+    const deleted = await Quotation.findOneAndDelete({ _id: req.params.id, status: "draft" });
+    if (!deleted) {
+      return res.status(404).json({ error: "Draft quotation not found" });
+    }
+    res.json({ success: true, message: "Quotation deleted" });
+  } catch (error) {
+    handleError(res, error, "Failed to delete quotation");
+  }
+});
+
+module.exports = router;
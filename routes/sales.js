@@ -5,27 +5,160 @@ const mongoose = require("mongoose");
 const Sale = require("../models/Sale");
 const Customer = require("../models/Customer");
 const Product = require("../models/Product");
+const SaleReturn = require("../models/SaleReturn");
+const Promotion = require("../models/Promotion");
+const HeldCart = require("../models/HeldCart");
+const Quotation = require("../models/Quotation");
+const ShopSettings = require("../models/ShopSettings");
 const authMiddleware = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
+const { adjustStock, saleSource } = require("../utils/stockLedger");
+const { assignReceiptNumbers } = require("../utils/counters");
+const { voidSale } = require("../utils/saleService");
+const { discountLimitFor } = require("../utils/discounts");
+const { buildSaleItems, applyOrderDiscount } = require("../utils/salePricing");
+const { createSaleReturn } = require("../utils/saleReturns");
+const { dailyStats } = require("../utils/dailyReport");
+const { applySaleTaxes } = require("../utils/taxes");
+const { findOpenSession, requireOpenSession } = require("../utils/cashSessions");
+const { assertPeriodOpen, assertDayOpen } = require("../utils/periodLocks");
+const { reservedQuantities } = require("../utils/heldCarts");
+const { normalizeTenderMethod, buildPayments } = require("../utils/payments");
+const { isExpired, saleBodyFromQuotation } = require("../utils/quotations");
+const {
+  resolveReservationExpiry,
+  processReservationExpiry,
+} = require("../utils/reservationExpiry");
+const {
+  isReceivable,
+  saleBalanceUSD,
+  paymentStatusFor,
+  recalculateCustomerStats,
+  assertCreditAvailable,
+  storeCreditUsed,
+  spendStoreCredit,
+} = require("../utils/customerAccounts");
+const {
+  normalizeCurrency,
+  resolveExchangeRate,
+  getActiveRate,
+  usdValue,
+  summarizeAmounts,
+  toUSDExpression,
+  moneyFields,
+  roundMoney,
+} = require("../utils/currency");
+
+// Sale.paymentMethod summarizing its tenders
+function summarizePaymentMethod(payments) {
+  if (payments.length === 0) return "credit";
+  const methods = [...new Set(payments.map((payment) => payment.method))];
+  if (methods.length > 1) return "mixed";
+  return methods[0] === "bank" ? "transfer" : methods[0];
+}
 
-// normalize to the Sale model enum
-function normalizePaymentMethod(pm) {
-  const v = String(pm || "cash").toLowerCase();
-  if (v === "cash") return "cash";
-  if (v === "card") return "card";
-  if (
-    ["mpesa", "m-pesa", "bank", "transfer", "wire", "bank transfer"].includes(v)
-  ) {
-    return "transfer";
-  }
-  return "other";
+// Build an error carrying the HTTP status the route should answer with
+function saleError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Whether the sale got an invoice or stub number (utils/counters.js), as
+// opposed to the SN-/EXP- references of legacy sales and expenses
+function isNumberedSale(sale) {
+  return sale.stubNumber != null || /^.+-\d{4}-\d{6}$/.test(sale.saleNumber || "");
+}
+
+// Record the cash drawer session new tenders were taken in. Tenders carried
+// over from the original sale keep theirs.
+function tagTenders(payments, cashSessionId) {
+  payments.forEach((payment) => {
+    if (payment.cashSession === undefined) payment.cashSession = cashSessionId;
+  });
+  return payments;
+}
+
+// Tenders sent when a sale is edited: money already received on an
+// original tender of the same method and currency keeps that tender's
+// drawer session and receipt time. Only the amount beyond it is new; it is
+// split into its own tender, left for tagTenders.
+function carryOverTenders(payments, originalPayments) {
+  const unclaimed = originalPayments.map((original) => ({ original, left: original.amount }));
+  const result = [];
+  payments.forEach((payment) => {
+    const parts = [];
+    let left = payment.amount;
+    unclaimed.forEach((slot) => {
+      const { original } = slot;
+      if (left <= 0.005 || slot.left <= 0.005) return;
+      if (original.method !== payment.method || (original.currency || "USD") !== payment.currency) return;
+      const amount = roundMoney(Math.min(left, slot.left));
+      slot.left = roundMoney(slot.left - amount);
+      left = roundMoney(left - amount);
+      parts.push({ amount, receivedAt: original.receivedAt, cashSession: original.cashSession || null });
+    });
+    if (left > 0.005) parts.push({ amount: left });
+
+    // Sale-currency and USD amounts are shared pro rata, the last part
+    // taking the rounding difference
+    let saleAmountLeft = payment.saleAmount;
+    let amountUSDLeft = payment.amountUSD ?? 0;
+    parts.forEach((part, index) => {
+      const last = index === parts.length - 1;
+      const share = part.amount / payment.amount;
+      const saleAmount = roundMoney(last ? saleAmountLeft : payment.saleAmount * share);
+      const amountUSD = roundMoney(last ? amountUSDLeft : (payment.amountUSD ?? 0) * share);
+      saleAmountLeft -= saleAmount;
+      amountUSDLeft -= amountUSD;
+      result.push({
+        ...payment,
+        ...part,
+        saleAmount,
+        amountUSD: payment.amountUSD == null ? null : amountUSD,
+      });
+    });
+  });
+  return result;
+}
+
+// Amount paid by a list of tenders, in the sale currency
+function paidAmount(payments) {
+  return roundMoney(payments.reduce((sum, payment) => sum + payment.saleAmount, 0));
+}
+
+// USD equivalent of what has been paid on a sale (sales recorded before
+// amountPaid existed were paid in full)
+function paidUSD(sale) {
+  return usdValue(sale, "total") - saleBalanceUSD(sale);
+}
+
+// editHistory entry recording prices approved below the product minimum
+function priceOverrideHistoryEntry(priceOverrides, user) {
+  return {
+    editedBy: user.username,
+    editedAt: new Date(),
+    changes: { priceOverride: priceOverrides },
+    reason: "Prix inférieur au minimum autorisé",
+  };
 }
 
-// Helper function to update customer data (FIXED)
-async function updateCustomerData(customerData, saleTotal) {
+// Helper function to update customer data (FIXED).
+// Runs inside the sale transaction, so errors are rethrown to abort it.
+// saleTotal and balanceDue (credit sales) are USD equivalents: customer
+// stats and balances are in USD. The credit limit is enforced here.
+async function updateCustomerData(customerData, saleTotal, session = null, balanceDue = 0) {
   const { name, phone, email } = customerData;
   const now = new Date();
   try {
-    let customer = await Customer.findOne({ phone });
+    let customer = await Customer.findOne({ phone }).session(session);
+    if (balanceDue > 0) {
+      if (!customer) {
+        throw saleError(403, `Crédit refusé : ${name} n'a pas de compte client avec un plafond de crédit`);
+      }
+      assertCreditAvailable(customer, balanceDue);
+      customer.balance = roundMoney((customer.balance || 0) + balanceDue);
+    }
     if (customer) {
       customer.totalPurchases += 1;
       customer.totalSpent += parseFloat(saleTotal);
@@ -43,22 +176,22 @@ async function updateCustomerData(customerData, saleTotal) {
         lastPurchaseDate: now,
       });
     }
-    await customer.save();
+    await customer.save({ session });
     
     // RETURN THE CUSTOMER ID
     return customer._id;
   } catch (error) {
     console.error("Error updating customer data:", error);
-    return null;
+    throw error;
   }
 }
 
 // Helper function to attach a sale to a customer record without touching
 // stats (recalculateCustomerStats recomputes totals afterwards). Used when a
 // sale that had no customer on file (e.g. a walk-in) is later linked to one.
-async function findOrCreateCustomerId(customerData) {
+async function findOrCreateCustomerId(customerData, session = null) {
   const { name, phone, email } = customerData;
-  let customer = await Customer.findOne({ phone });
+  let customer = await Customer.findOne({ phone }).session(session);
   if (!customer) {
     customer = new Customer({
       name,
@@ -67,55 +200,11 @@ async function findOrCreateCustomerId(customerData) {
       totalPurchases: 0,
       totalSpent: 0,
     });
-    await customer.save();
+    await customer.save({ session });
   }
   return customer._id;
 }
 
-// Helper function to recalculate customer statistics (FIXED)
-async function recalculateCustomerStats(customerId) {
-  try {
-    // FIX: Only include completed sales (exclude voided and corrected)
-    const sales = await Sale.find({ 
-      customerId: customerId,
-      status: { $in: ["completed", "pending", undefined, null] } // Only valid sales
-    })
-    .sort({ createdAt: 1 })
-    .select('total status type createdAt') // Only select needed fields
-    .lean();
-    
-    // Additional safety filter
-    const validSales = sales.filter(sale => 
-      sale.status !== "voided" && sale.status !== "corrected" && sale.type !== "expense"
-    );
-    
-    if (validSales.length === 0) {
-      await Customer.findByIdAndUpdate(customerId, {
-        totalPurchases: 0,
-        totalSpent: 0,
-        firstPurchaseDate: null,
-        lastPurchaseDate: null,
-      });
-      return;
-    }
-    
-    const totalPurchases = validSales.length;
-    const totalSpent = validSales.reduce((sum, sale) => sum + sale.total, 0);
-    const firstPurchaseDate = validSales[0].createdAt;
-    const lastPurchaseDate = validSales[validSales.length - 1].createdAt;
-
-    await Customer.findByIdAndUpdate(customerId, {
-      totalPurchases,
-      totalSpent,
-      firstPurchaseDate,
-      lastPurchaseDate,
-    });
-  } catch (error) {
-    console.error("Error recalculating customer stats:", error);
-    throw error;
-  }
-}
-
 // ==================== TIME FRAME HELPER FUNCTIONS ====================
 
 /**
@@ -263,6 +352,33 @@ function getTimeframeDescription(query) {
   return 'Today (default)';
 }
 
+// ==================== MARGIN HELPERS ====================
+
+// Timezone used to bucket sales by day/month, same as buildTimeframeFilter
+const REPORT_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Group keys for the margin report, applied after unwinding sale items
+const MARGIN_GROUPINGS = {
+  sale: {
+    _id: "$_id",
+    saleNumber: { $first: "$saleNumber" },
+    createdAt: { $first: "$createdAt" },
+  },
+  product: {
+    _id: "$items.productId",
+    name: { $first: "$items.name" },
+  },
+  category: {
+    _id: { $ifNull: ["$product.category", "Uncategorized"] },
+  },
+  day: {
+    _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: REPORT_TIMEZONE } },
+  },
+  month: {
+    _id: { $dateToString: { format: "%Y-%m", date: "$createdAt", timezone: REPORT_TIMEZONE } },
+  },
+};
+
 // ==================== MAIN SALES ENDPOINT (TIME FRAME PAGINATION) ====================
 
 /** 
@@ -326,22 +442,41 @@ router.get("/", authMiddleware, async (req, res) => {
     const timeframeDescription = getTimeframeDescription(req.query);
     const timeframeFilter = buildTimeframeFilter(req.query);
     
-    // Calculate totals for quick insights
+    // Calculate totals for quick insights (amounts in USD equivalent)
     const totals = sales.reduce((acc, sale) => {
       if (sale.type === "expense") {
-        acc.totalExpenses += sale.total;
+        acc.totalExpenses += usdValue(sale, "total");
         acc.expenseCount += 1;
+      } else if (sale.type === "reservation" && sale.status === "pending") {
+        // Not earned until collected: only the deposits are reported
+        acc.deposits += paidUSD(sale);
+        acc.pendingReservations += 1;
       } else {
-        acc.totalRevenue += sale.total;
+        acc.totalRevenue += usdValue(sale, "total");
+        acc.totalDiscounts += sale.discountTotalUSD || 0;
+        acc.totalTax += sale.taxTotalUSD || 0;
         acc.saleCount += 1;
       }
       return acc;
     }, {
       totalRevenue: 0,
       totalExpenses: 0,
+      totalDiscounts: 0,
+      totalTax: 0,
       saleCount: 0,
-      expenseCount: 0
+      expenseCount: 0,
+      deposits: 0,
+      pendingReservations: 0
     });
+    const currentRate = await getActiveRate();
+    const revenueByCurrency = summarizeAmounts(
+      sales.filter((sale) => sale.type !== "expense" && !(sale.type === "reservation" && sale.status === "pending")),
+      "total",
+      currentRate
+    );
+    const expensesByCurrency = summarizeAmounts(
+      sales.filter((sale) => sale.type === "expense"), "total", currentRate
+    );
     
     // Prepare response with timeframe metadata
     const response = {
@@ -364,8 +499,20 @@ router.get("/", authMiddleware, async (req, res) => {
         revenue: totals.totalRevenue,
         expenses: totals.totalExpenses,
         net: totals.totalRevenue - totals.totalExpenses,
+        // Given away in line and order discounts (USD)
+        discounts: roundMoney(totals.totalDiscounts),
+        // Tax included in revenue (USD)
+        tax: roundMoney(totals.totalTax),
         salesCount: totals.saleCount,
-        expensesCount: totals.expenseCount
+        expensesCount: totals.expenseCount,
+        // Received on pending reservations, not counted in revenue
+        deposits: roundMoney(totals.deposits),
+        pendingReservations: totals.pendingReservations,
+        // Amounts as recorded per currency, and converted to USD and FC
+        currencies: {
+          revenue: revenueByCurrency,
+          expenses: expensesByCurrency
+        }
       },
       filtersApplied: {
         customerPhone: customerPhone || 'none',
@@ -411,68 +558,558 @@ router.get("/", authMiddleware, async (req, res) => {
 router.get("/stats/daily", authMiddleware, async (req, res) => {
   try {
     const { date } = req.query;
-    const targetDate = date ? new Date(date) : new Date();
-    const startOfDay = new Date(targetDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(targetDate);
-    endOfDay.setHours(23, 59, 59, 999);
+    res.json(await dailyStats(date ? new Date(date) : new Date()));
+  } catch (error) {
+    console.error("Error fetching daily stats:", error);
+    res.status(500).json({ error: "Failed to fetch daily statistics" });
+  }
+});
+
+/** ---------- GROSS MARGIN REPORT (admin/manager) ---------- **/
+router.get("/reports/margin", authMiddleware, async (req, res) => {
+  try {
+    if (!req.user.canValidate) {
+      return res.status(403).json({ error: "Only admins and managers can view margin reports" });
+    }
+
+    const groupBy = req.query.groupBy || "sale";
+    const grouping = MARGIN_GROUPINGS[groupBy];
+    if (!grouping) {
+      return res.status(400).json({
+        error: `Invalid groupBy. Use one of: ${Object.keys(MARGIN_GROUPINGS).join(", ")}`,
+      });
+    }
+
+    let timeframeFilter;
+    try {
+      timeframeFilter = buildTimeframeFilter(req.query);
+    } catch (timeframeError) {
+      return res.status(400).json({
+        error: timeframeError.message,
+        suggestion: "Use valid date formats: YYYY-MM-DD"
+      });
+    }
 
-    const dailySales = await Sale.aggregate([
+    const pipeline = [
       {
         $match: {
-          createdAt: { $gte: startOfDay, $lte: endOfDay },
-          // ✅ FIXED: INCLUDE PENDING RESERVATIONS (money already received)
+          ...timeframeFilter,
           status: { $in: ["completed", "pending"] },
-          // ✅ FIXED: INCLUDE BOTH SALES AND RESERVATIONS
-          type: { $in: ["sale", "reservation"] }
+          type: { $in: ["sale", "reservation"] },
+        },
+      },
+      { $unwind: "$items" },
+    ];
+
+    if (groupBy === "category") {
+      pipeline.push(
+        {
+          $lookup: {
+            from: Product.collection.name,
+            localField: "items.productId",
+            foreignField: "_id",
+            as: "product",
+          },
+        },
+        { $unwind: { path: "$product", preserveNullAndEmptyArrays: true } }
+      );
+    }
+
+    pipeline.push(
+      {
+        $group: {
+          ...grouping,
+          quantity: { $sum: "$items.quantity" },
+          // USD equivalents (FC sales are converted at their snapshotted
+          // rate), net of discounts and tax
+          revenue: {
+            $sum: toUSDExpression({
+              $ifNull: [
+                "$items.taxableAmount",
+                { $subtract: ["$items.total", { $ifNull: ["$items.orderDiscountShare", 0] }] },
+              ],
+            }),
+          },
+          // Line discounts and the line's share of order discounts
+          discounts: {
+            $sum: toUSDExpression({
+              $add: [
+                { $ifNull: ["$items.discountAmount", 0] },
+                { $ifNull: ["$items.orderDiscountShare", 0] },
+              ],
+            }),
+          },
+          promotions: {
+            $sum: toUSDExpression({ $ifNull: ["$items.promotionDiscount", 0] }),
+          },
+          cost: {
+            $sum: toUSDExpression({
+              $multiply: [{ $ifNull: ["$items.unitCost", 0] }, "$items.quantity"],
+            }),
+          },
+          // Lines sold without a known cost inflate the margin; report them
+          uncostedLines: {
+            $sum: { $cond: [{ $eq: [{ $ifNull: ["$items.unitCost", null] }, null] }, 1, 0] },
+          },
+        },
+      },
+      {
+        $addFields: {
+          margin: { $subtract: ["$revenue", "$cost"] },
+          marginPercent: {
+            $cond: [
+              { $gt: ["$revenue", 0] },
+              { $multiply: [{ $divide: [{ $subtract: ["$revenue", "$cost"] }, "$revenue"] }, 100] },
+              null,
+            ],
+          },
+        },
+      },
+      { $sort: groupBy === "day" || groupBy === "month" ? { _id: 1 } : { margin: -1 } }
+    );
+
+    const rows = await Sale.aggregate(pipeline);
+
+    const totals = rows.reduce((acc, row) => {
+      acc.quantity += row.quantity;
+      acc.revenue += row.revenue;
+      acc.discounts += row.discounts;
+      acc.promotions += row.promotions;
+      acc.cost += row.cost;
+      acc.uncostedLines += row.uncostedLines;
+      return acc;
+    }, { quantity: 0, revenue: 0, discounts: 0, promotions: 0, cost: 0, uncostedLines: 0 });
+    totals.margin = totals.revenue - totals.cost;
+    totals.marginPercent = totals.revenue > 0 ? (totals.margin / totals.revenue) * 100 : null;
+
+    res.json({
+      success: true,
+      groupBy,
+      currency: "USD",
+      timeframe: {
+        description: getTimeframeDescription(req.query),
+        start: timeframeFilter.createdAt.$gte.toISOString(),
+        end: timeframeFilter.createdAt.$lte.toISOString(),
+      },
+      totals,
+      data: rows,
+    });
+  } catch (error) {
+    console.error("Error building margin report:", error);
+    res.status(500).json({ error: "Failed to build margin report" });
+  }
+});
+
+/** ---------- TAX COLLECTED REPORT (admin/manager) ---------- **/
+// Tax per rate on the sales earned in the period (sales made, reservations
+// collected), less the tax of goods returned in the period. Amounts in USD
+// and FC, each document converted at its snapshotted rate.
+router.get("/reports/tax", authMiddleware, async (req, res) => {
+  try {
+    if (!req.user.canValidate) {
+      return res.status(403).json({ error: "Only admins and managers can view tax reports" });
+    }
+
+    let timeframeFilter;
+    try {
+      timeframeFilter = buildTimeframeFilter(req.query);
+    } catch (timeframeError) {
+      return res.status(400).json({
+        error: timeframeError.message,
+        suggestion: "Use valid date formats: YYYY-MM-DD"
+      });
+    }
+    const period = timeframeFilter.createdAt;
+    const currentRate = await getActiveRate();
+    const toFC = (value) => ({
+      $cond: [
+        { $eq: ["$currency", "FC"] },
+        value,
+        { $multiply: [value, { $ifNull: ["$exchangeRate", currentRate] }] },
+      ],
+    });
+
+    const collected = await Sale.aggregate([
+      {
+        $match: {
+          status: { $in: ["completed", "refunded"] },
+          $or: [
+            { type: "sale", createdAt: period },
+            { type: "reservation", completedAt: period },
+            { type: "reservation", completedAt: null, createdAt: period },
+          ],
+        },
+      },
+      { $unwind: "$taxBreakdown" },
+      {
+        $group: {
+          _id: { code: "$taxBreakdown.code", rate: "$taxBreakdown.rate" },
+          label: { $first: "$taxBreakdown.label" },
+          salesCount: { $sum: 1 },
+          taxableAmountUSD: { $sum: toUSDExpression("$taxBreakdown.taxableAmount") },
+          taxAmountUSD: { $sum: toUSDExpression("$taxBreakdown.taxAmount") },
+          taxableAmountFC: { $sum: toFC("$taxBreakdown.taxableAmount") },
+          taxAmountFC: { $sum: toFC("$taxBreakdown.taxAmount") },
         },
       },
+    ]);
+
+    const returned = await SaleReturn.aggregate([
+      { $match: { createdAt: period } },
+      { $unwind: "$items" },
+      { $match: { "items.taxRate": { $ne: null } } },
       {
         $group: {
-          _id: null,
-          totalSales: { $sum: 1 },
-          totalRevenue: { $sum: "$total" },
-          totalItems: { $sum: { $size: "$items" } },
+          _id: { code: "$items.taxCode", rate: "$items.taxRate" },
+          taxableAmountUSD: {
+            $sum: toUSDExpression({ $subtract: ["$items.total", "$items.taxAmount"] }),
+          },
+          taxAmountUSD: { $sum: toUSDExpression("$items.taxAmount") },
+          taxableAmountFC: { $sum: toFC({ $subtract: ["$items.total", "$items.taxAmount"] }) },
+          taxAmountFC: { $sum: toFC("$items.taxAmount") },
         },
       },
     ]);
 
-    // Use timeframe-based query (no limit) for consistency
-    const sales = await Sale.find({
-      createdAt: { $gte: startOfDay, $lte: endOfDay },
-      status: { $in: ["completed", "pending"] },
-      type: { $in: ["sale", "reservation"] }
-    })
-    .sort({ createdAt: -1 })
-    .select('-__v')
-    .lean();
+    const settings = await ShopSettings.getCurrent();
+    const AMOUNTS = ["taxableAmountUSD", "taxAmountUSD", "taxableAmountFC", "taxAmountFC"];
+    const rows = new Map();
+    const rowFor = ({ code, rate }) => {
+      const key = `${code}:${rate}`;
+      if (!rows.has(key)) {
+        const blank = Object.fromEntries(AMOUNTS.map((field) => [field, 0]));
+        rows.set(key, {
+          code,
+          label: settings.taxRates.find((taxRate) => taxRate.code === code)?.label || code,
+          rate,
+          salesCount: 0,
+          collected: { ...blank },
+          returned: { ...blank },
+          net: { ...blank },
+        });
+      }
+      return rows.get(key);
+    };
+    for (const group of collected) {
+      const row = rowFor(group._id);
+      row.label = group.label || row.label;
+      row.salesCount = group.salesCount;
+      AMOUNTS.forEach((field) => { row.collected[field] = roundMoney(group[field] || 0); });
+    }
+    for (const group of returned) {
+      const row = rowFor(group._id);
+      AMOUNTS.forEach((field) => { row.returned[field] = roundMoney(group[field] || 0); });
+    }
+
+    const data = [...rows.values()].sort((a, b) => b.rate - a.rate);
+    const totals = Object.fromEntries(AMOUNTS.map((field) => [field, 0]));
+    for (const row of data) {
+      AMOUNTS.forEach((field) => {
+        row.net[field] = roundMoney(row.collected[field] - row.returned[field]);
+        totals[field] = roundMoney(totals[field] + row.net[field]);
+      });
+    }
 
     res.json({
-      date: targetDate.toISOString().split("T")[0],
-      totalSales: dailySales[0]?.totalSales || 0,
-      totalRevenue: dailySales[0]?.totalRevenue || 0,
-      totalItems: dailySales[0]?.totalItems || 0,
-      sales,
+      success: true,
+      taxNumber: settings.taxNumber,
+      exchangeRate: currentRate,
+      timeframe: {
+        description: getTimeframeDescription(req.query),
+        start: period.$gte.toISOString(),
+        end: period.$lte.toISOString(),
+      },
+      totals,
+      data,
     });
   } catch (error) {
-    console.error("Error fetching daily stats:", error);
-    res.status(500).json({ error: "Failed to fetch daily statistics" });
+    console.error("Error building tax report:", error);
+    res.status(500).json({ error: "Failed to build tax report" });
   }
 });
 
+/**
+ * Take a sale or reservation: price the items (re-checking stock, minimum
+ * prices and discount limits), record the tenders in the cashier's open
+ * drawer session, then write the customer, stock and sale in one
+ * transaction. Used by POST / and by quotation conversion.
+ * @param {Object} body - Body of POST /api/sales (sale or reservation)
+ * @param {Object} user - req.user
+ * @param {Object} options
+ * @param {Object|null} options.quotation - Accepted quotation being
+ *   converted, marked converted in the sale transaction
+ * @returns {Promise<Object>} the saved sale
+ * @throws {Error} with the HTTP status for invalid requests
+ */
+async function createSale(body, user, { quotation = null } = {}) {
+  const {
+    customer,
+    items,
+    paymentMethod,
+    salesPerson,
+    type,
+    reservationDate,
+    reservationTime,
+    reservationExpiresAt,
+    notes,
+    isWalkIn,
+    payments,
+    onAccount,
+    deposit,
+    discount,
+    discountReason,
+    // Held cart being resumed (routes/heldCarts.js)
+    heldCartId,
+  } = body;
+  const currency = normalizeCurrency(body.currency);
+  const exchangeRate = await resolveExchangeRate(currency);
+
+  const walkIn = Boolean(isWalkIn);
+
+  if (walkIn && type === "reservation") {
+    throw saleError(400, "Une réservation nécessite les coordonnées du client");
+  }
+  // Once the Z report of the day is generated the day is locked: a later
+  // sale would be missing from it
+  await assertPeriodOpen(new Date());
+
+  // Credit sales (partly paid or fully on account) need a customer account
+  const credit = Boolean(onAccount);
+  if (walkIn && credit) {
+    throw saleError(400, "Une vente à crédit nécessite un client identifié");
+  }
+
+  // Reservations may be paid by deposits: what is sent at creation (the
+  // payments, or a single `deposit` tender) can be less than the total and
+  // the rest is collected with POST /:id/payments. Without either, the
+  // reservation is paid in full as before.
+  const reservation = type === "reservation";
+  if (reservation && credit) {
+    throw saleError(400, "Une réservation se règle par acomptes, pas à crédit");
+  }
+  const settings = await ShopSettings.getCurrent();
+  const expiresAt = reservation
+    ? resolveReservationExpiry(
+        { reservationExpiresAt, reservationDate, reservationTime },
+        settings
+      )
+    : null;
+  const hasPayments = Array.isArray(payments) && payments.length > 0;
+  const layaway = reservation && (hasPayments || (deposit !== undefined && deposit !== null));
+  let tenders = payments;
+  if (layaway && !hasPayments) {
+    const depositAmount = Number(deposit);
+    if (!(depositAmount >= 0)) {
+      throw saleError(400, "Deposit must be a number >= 0");
+    }
+    tenders = depositAmount > 0
+      ? [{ method: paymentMethod, amount: depositAmount, currency }]
+      : [];
+  }
+
+  if (!walkIn && (!customer || !customer.name || !customer.phone)) {
+    throw saleError(400, "Customer name and phone are required");
+  }
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    throw saleError(400, "Sale must contain at least one item");
+  }
+
+  // The till resends the resumed cart's basket (possibly changed); the
+  // cart's own soft reservation is available to it
+  if (heldCartId) {
+    if (!mongoose.isValidObjectId(heldCartId)) {
+      throw saleError(400, "Invalid held cart ID");
+    }
+    const heldCart = await HeldCart.findById(heldCartId).select("status").lean();
+    if (!heldCart) {
+      throw saleError(404, "Held cart not found");
+    }
+    if (heldCart.status !== "held") {
+      throw saleError(409, `Held cart already ${heldCart.status}`);
+    }
+  }
+
+  const discountLimit = discountLimitFor(user, settings);
+  const built = await buildSaleItems(items, user, {
+    reservedStock: await reservedQuantities({ excludeCartId: heldCartId }),
+    currency,
+    exchangeRate,
+    discountLimit,
+    discountReason,
+    taxSettings: settings,
+    // A quotation keeps the promotions running when it was issued
+    promotions: await Promotion.findRunning(quotation ? quotation.createdAt : undefined),
+  });
+  const { items: enrichedItems, priceOverrides } = built;
+  const { total: netTotal, fields: discountFields } = applyOrderDiscount(built, discount, {
+    user,
+    currency,
+    exchangeRate,
+    discountLimit,
+    discountReason,
+  });
+  const { total, fields: taxFields } = applySaleTaxes(enrichedItems, netTotal, settings, {
+    currency,
+    exchangeRate,
+  });
+  const money = moneyFields(total, currency, exchangeRate, "total");
+  const salePayments = buildPayments(tenders, {
+    total,
+    currency,
+    exchangeRate,
+    paymentMethod,
+    onAccount: credit || layaway,
+  });
+  const amountPaid = paidAmount(salePayments);
+  const balanceDue = roundMoney(Math.max(total - amountPaid, 0));
+  const storeCredit = storeCreditUsed(salePayments);
+  if (storeCredit > 0 && walkIn) {
+    throw saleError(400, "Un avoir ne peut être utilisé que par un client identifié");
+  }
+  const saleId = `SALE-${Date.now()}-${Math.random()
+    .toString(36)
+    .substr(2, 5)
+    .toUpperCase()}`;
+
+  const customerData = walkIn
+    ? { name: "Client de passage", phone: "", email: "" }
+    : {
+        name: customer.name,
+        phone: customer.phone,
+        email: customer.email || "",
+      };
+
+  // UPDATED: Include type and reservation fields WITH CORRECT STATUS
+  const saleData = {
+    saleId,
+    customer: customerData,
+    customerId: null,
+    isWalkIn: walkIn,
+    items: enrichedItems,
+    ...discountFields,
+    ...taxFields,
+    total,
+    ...money,
+    paymentMethod: summarizePaymentMethod(salePayments),
+    payments: salePayments,
+    amountPaid,
+    balanceDue,
+    paymentStatus: paymentStatusFor(total, amountPaid),
+    status: reservation ? "pending" : "completed", // Reservations stay pending until collected
+    salesPerson: salesPerson || "Admin",
+    type: type || "sale",
+    reservationDate: reservationDate || null,
+    reservationTime: reservationTime || null,
+    reservationExpiresAt: expiresAt,
+    notes: notes || "",
+    heldCartId: heldCartId || null,
+    quotationId: quotation ? quotation._id : null,
+    editHistory: priceOverrides.length > 0
+      ? [priceOverrideHistoryEntry(priceOverrides, user)]
+      : []
+  };
+
+  // Customer stats, stock decrements (with their ledger rows) and the sale
+  // itself are written in one transaction: a failure on any item leaves
+  // no partial effects behind.
+  const savedSale = await mongoose.connection.transaction(async (session) => {
+    // Checked again in the transaction: a Z report generated meanwhile
+    // conflicts with it instead of missing this sale
+    await assertDayOpen(session);
+
+    // Walk-in sales skip customer identification entirely: no Customer record
+    // is created/updated and no loyalty stats are tracked for these sales.
+    const customerId = walkIn
+      ? null
+      : await updateCustomerData(
+          customer,
+          money.totalUSD,
+          session,
+          // A reservation's remaining balance is not credit
+          reservation ? 0 : saleBalanceUSD({ balanceDue, currency, exchangeRate })
+        );
+
+    // Store credit from earlier returns
+    await spendStoreCredit(customerId, storeCredit, session);
+
+    // Sales are taken in the cashier's open drawer session, read in the
+    // transaction so a session closed meanwhile is not tagged
+    const cashSession = await requireOpenSession(user, session);
+
+    // Numbers are drawn inside the transaction so they stay gap-free
+    const { invoiceNumber, stubNumber, stubDate } = await assignReceiptNumbers(session);
+
+    const sale = new Sale({
+      ...saleData,
+      // Copies: the callback runs again when the transaction is retried
+      payments: tagTenders(salePayments.map((payment) => ({ ...payment })), cashSession._id),
+      cashSession: cashSession._id,
+      saleNumber: invoiceNumber,
+      stubNumber,
+      stubDate,
+      customerId,
+    });
+
+    for (const it of enrichedItems) {
+      const updated = await adjustStock({
+        productId: it.productId,
+        delta: -it.quantity,
+        reason: "sale",
+        requireStock: true,
+        ...saleSource(sale),
+        user,
+        session,
+      });
+      if (!updated) {
+        throw saleError(409, "Stock changed for an item. Please refresh and try again.");
+      }
+    }
+
+    // Guarded on the status so a cart is only turned into one sale
+    if (heldCartId) {
+      const converted = await HeldCart.findOneAndUpdate(
+        { _id: heldCartId, status: "held" },
+        {
+          status: "converted",
+          saleId: sale._id,
+          convertedBy: user._id,
+          convertedAt: new Date(),
+        },
+        { session }
+      );
+      if (!converted) {
+        throw saleError(409, "Held cart was resumed or cancelled meanwhile");
+      }
+    }
+    if (quotation) {
+      const converted = await Quotation.findOneAndUpdate(
+        { _id: quotation._id, status: "accepted" },
+        {
+          status: "converted",
+          saleId: sale._id,
+          convertedBy: user._id,
+          convertedAt: new Date(),
+        },
+        { session }
+      );
+      if (!converted) {
+        throw saleError(409, "Quotation was converted or changed meanwhile");
+      }
+    }
+
+    return sale.save({ session });
+  });
+  return savedSale;
+}
+
 /** ---------- CREATE SALE OR EXPENSE ---------- **/
-router.post("/", authMiddleware, async (req, res) => {
+router.post("/", authMiddleware, idempotency, async (req, res) => {
   try {
     const {
-      customer,
-      items,
       paymentMethod,
       salesPerson,
       type,
-      reservationDate,
-      reservationTime,
       notes,
-      isWalkIn,
       // 🔹 NEW EXPENSE FIELDS
       reason,
       recipientName,
@@ -481,10 +1118,17 @@ router.post("/", authMiddleware, async (req, res) => {
       recordedBy
     } = req.body;
 
-    const normalizedPM = normalizePaymentMethod(paymentMethod);
-
     // 🔹 HANDLE EXPENSE TYPE
     if (type === "expense") {
+      // A till expense is one tender, summarized like a sale's
+      const expenseMethod = normalizeTenderMethod(paymentMethod);
+      if (expenseMethod === "store_credit") {
+        return res.status(400).json({ error: "Store credit cannot pay an expense" });
+      }
+      const normalizedPM = summarizePaymentMethod([{ method: expenseMethod }]);
+      const currency = normalizeCurrency(req.body.currency);
+      const exchangeRate = await resolveExchangeRate(currency);
+
       if (!reason || !recipientName || !recipientPhone || !amount) {
         return res.status(400).json({ 
           error: "Expense requires reason, recipientName, recipientPhone, and amount" 
@@ -497,6 +1141,8 @@ router.post("/", authMiddleware, async (req, res) => {
           error: "Amount must be a positive number" 
         });
       }
+      // Till expenses are part of the Z report of the day
+      await assertPeriodOpen(new Date());
 
       const saleId = `EXP-${Date.now()}-${Math.random()
         .toString(36)
@@ -516,7 +1162,9 @@ router.post("/", authMiddleware, async (req, res) => {
         items: [], // No items for expenses
         subtotal: expenseAmount,
         total: expenseAmount,
+        ...moneyFields(expenseAmount, currency, exchangeRate, "total"),
         paymentMethod: normalizedPM,
+        cashSession: (await findOpenSession(req.user))?._id || null,
         status: "expense", // 🔹 Special status for expenses
         salesPerson: recordedBy || salesPerson || "Admin",
         type: "expense",
@@ -532,119 +1180,14 @@ router.post("/", authMiddleware, async (req, res) => {
       return res.status(201).json(savedExpense);
     }
 
-    // 🔹 HANDLE REGULAR SALE (existing logic)
-    const walkIn = Boolean(isWalkIn);
-
-    if (walkIn && type === "reservation") {
-      return res.status(400).json({
-        error: "Une réservation nécessite les coordonnées du client",
-      });
-    }
-
-    if (!walkIn && (!customer || !customer.name || !customer.phone)) {
-      return res
-        .status(400)
-        .json({ error: "Customer name and phone are required" });
-    }
-    if (!items || !Array.isArray(items) || items.length === 0) {
-      return res
-        .status(400)
-        .json({ error: "Sale must contain at least one item" });
-    }
-
-    let subtotal = 0;
-    const enrichedItems = [];
-    for (const item of items) {
-      const { productId, quantity, price, name } = item || {};
-      if (!productId || !quantity || quantity <= 0 || !price || price < 0) {
-        return res.status(400).json({
-          error: "Each item requires productId, quantity>0, and price>=0",
-        });
-      }
-
-      const product = await Product.findById(productId).lean();
-      if (!product)
-        return res
-          .status(400)
-          .json({ error: `Product not found: ${productId}` });
-
-      if (typeof product.stock !== "number" || product.stock < quantity) {
-        return res.status(400).json({
-          error: `Insufficient stock for ${
-            product.name || name || productId
-          }. Available: ${product.stock ?? 0}`,
-        });
-      }
-
-      const lineTotal = Number(price) * Number(quantity);
-      subtotal += lineTotal;
-
-      enrichedItems.push({
-        productId: new mongoose.Types.ObjectId(productId),
-        name: name || product.name,
-        quantity: Number(quantity),
-        price: Number(price),
-        total: lineTotal,
-      });
-    }
-
-    const total = subtotal;
-    const saleId = `SALE-${Date.now()}-${Math.random()
-      .toString(36)
-      .substr(2, 5)
-      .toUpperCase()}`;
-
-    const saleNumber = `SN-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-
-    // Walk-in sales skip customer identification entirely: no Customer record
-    // is created/updated and no loyalty stats are tracked for these sales.
-    const customerId = walkIn ? null : await updateCustomerData(customer, total);
-    const customerData = walkIn
-      ? { name: "Client de passage", phone: "", email: "" }
-      : {
-          name: customer.name,
-          phone: customer.phone,
-          email: customer.email || "",
-        };
-
-    // UPDATED: Include type and reservation fields WITH CORRECT STATUS
-    const saleData = {
-      saleId,
-      saleNumber,
-      customer: customerData,
-      customerId: customerId,
-      isWalkIn: walkIn,
-      items: enrichedItems,
-      subtotal,
-      total,
-      paymentMethod: normalizedPM,
-      status: type === "reservation" ? "pending" : "completed", // ✅ FIXED: Reservations as pending (money received)
-      salesPerson: salesPerson || "Admin",
-      type: type || "sale",
-      reservationDate: reservationDate || null,
-      reservationTime: reservationTime || null,
-      notes: notes || ""
-    };
-
-    for (const it of enrichedItems) {
-      const updated = await Product.findOneAndUpdate(
-        { _id: it.productId, stock: { $gte: it.quantity } },
-        { $inc: { stock: -it.quantity } },
-        { new: true }
-      );
-      if (!updated) {
-        return res.status(409).json({
-          error: "Stock changed for an item. Please refresh and try again.",
-        });
-      }
-    }
-
-    const sale = new Sale(saleData);
-    const savedSale = await sale.save();
-
+    // 🔹 HANDLE REGULAR SALE
+    const savedSale = await createSale(req.body, req.user);
     return res.status(201).json(savedSale);
   } catch (error) {
     console.error("Error creating sale/expense:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     if (error.name === "ValidationError") {
       const errors = Object.values(error.errors).map((e) => e.message);
       return res.status(400).json({ error: errors.join(", ") });
@@ -688,14 +1231,15 @@ router.get("/expenses/all", authMiddleware, async (req, res) => {
       .lean();
 
     const total = expenses.length;
-    const totalAmount = expenses.reduce((sum, expense) => sum + expense.total, 0);
+    const amounts = summarizeAmounts(expenses, "total", await getActiveRate());
 
     res.json({
       success: true,
       data: expenses,
       summary: {
         totalExpenses: total,
-        totalAmount: totalAmount,
+        totalAmount: amounts.totalUSD,
+        currencies: amounts,
         timeframe: getTimeframeDescription(req.query)
       }
     });
@@ -709,7 +1253,8 @@ router.get("/expenses/all", authMiddleware, async (req, res) => {
 router.get("/reservations/all", authMiddleware, async (req, res) => {
   try {
     const { 
-      status 
+      status,
+      overdue
     } = req.query;
     
     // Build timeframe filter
@@ -731,6 +1276,11 @@ router.get("/reservations/all", authMiddleware, async (req, res) => {
     if (status) {
       filter.status = status;
     }
+    // ?overdue=true: pending reservations past their expiry
+    if (overdue === "true") {
+      filter.status = "pending";
+      filter.reservationExpiresAt = { $lte: new Date() };
+    }
 
     const reservations = await Sale.find(filter)
       .select('-__v') // Exclude version key
@@ -740,6 +1290,14 @@ router.get("/reservations/all", authMiddleware, async (req, res) => {
     const total = reservations.length;
     const pendingCount = reservations.filter(r => r.status === "pending").length;
     const completedCount = reservations.filter(r => r.status === "completed").length;
+    const now = new Date();
+    const overdueCount = reservations.filter(r =>
+      r.status === "pending" && r.reservationExpiresAt && new Date(r.reservationExpiresAt) <= now
+    ).length;
+    // Deposits held and balances still to collect on pending reservations (USD)
+    const onHold = reservations.filter(r => r.status === "pending");
+    const depositsUSD = roundMoney(onHold.reduce((sum, r) => sum + paidUSD(r), 0));
+    const balanceDueUSD = roundMoney(onHold.reduce((sum, r) => sum + saleBalanceUSD(r), 0));
 
     res.json({
       success: true,
@@ -748,6 +1306,9 @@ router.get("/reservations/all", authMiddleware, async (req, res) => {
         totalReservations: total,
         pending: pendingCount,
         completed: completedCount,
+        overdue: overdueCount,
+        depositsUSD,
+        balanceDueUSD,
         timeframe: getTimeframeDescription(req.query)
       }
     });
@@ -757,6 +1318,33 @@ router.get("/reservations/all", authMiddleware, async (req, res) => {
   }
 });
 
+/** ---------- RUN RESERVATION EXPIRY NOW (admin) ---------- **/
+// Same check as the scheduled job in utils/reservationExpiry.js
+router.post("/reservations/expire", authMiddleware, async (req, res) => {
+  try {
+    if (!req.user.isAdmin) {
+      return res.status(403).json({ error: "Only admins can run reservation expiry" });
+    }
+
+    const result = await processReservationExpiry();
+    if (!result) {
+      return res.status(409).json({ error: "Reservation expiry is already running" });
+    }
+
+    res.json({
+      success: true,
+      backfilled: result.backfilled,
+      overdue: result.overdue.map((sale) => sale.saleNumber),
+      expired: result.expired.map((sale) => sale.saleNumber),
+      // Left pending: voiding them would change a locked period
+      locked: result.locked.map((sale) => sale.saleNumber),
+    });
+  } catch (error) {
+    console.error("Error running reservation expiry:", error);
+    res.status(500).json({ error: "Failed to run reservation expiry" });
+  }
+});
+
 // ==================== ALL OTHER ROUTES REMAIN EXACTLY THE SAME ====================
 
 /** ---------- GET BY ID (after other specific routes) ---------- **/
@@ -772,31 +1360,9 @@ router.get("/:id", authMiddleware, async (req, res) => {
       return res.status(404).json({ error: "Sale not found" });
     }
 
-    // Only check for duplicates if needed
-    let potentialDuplicates = [];
-    let duplicateCount = 0;
-    
-    if (sale.saleId) {
-      potentialDuplicates = await Sale.find({
-        saleId: sale.saleId,
-        _id: { $ne: saleId }
-      })
-      .select('_id saleId createdAt status')
-      .lean();
-      
-      duplicateCount = potentialDuplicates.length;
-    }
-
     res.json({
       success: true,
-      data: sale,
-      duplicates: {
-        count: duplicateCount,
-        items: potentialDuplicates
-      },
-      message: duplicateCount > 0 ? 
-        `Found ${duplicateCount} potential duplicates` : 
-        "No duplicates found"
+      data: sale
     });
 
   } catch (error) {
@@ -820,8 +1386,12 @@ router.put("/:id", authMiddleware, async (req, res) => {
       type,
       reservationDate,
       reservationTime,
+      reservationExpiresAt,
       notes,
       isWalkIn,
+      payments,
+      discount,
+      discountReason,
       // Expense fields
       recipientName,
       recipientPhone,
@@ -860,11 +1430,19 @@ router.put("/:id", authMiddleware, async (req, res) => {
         error: "Cannot edit a voided or corrected sale" 
       });
     }
+    await assertPeriodOpen(originalSale.createdAt, originalSale.completedAt);
 
-    const normalizedPM = normalizePaymentMethod(paymentMethod);
+    // Edits keep the currency and rate the sale was recorded with
+    const currency = originalSale.currency || "USD";
+    const exchangeRate = originalSale.exchangeRate || null;
 
     // 🔹 HANDLE EXPENSE EDITING
     if (originalSale.type === "expense" || type === "expense") {
+      const expenseMethod = normalizeTenderMethod(paymentMethod);
+      if (expenseMethod === "store_credit") {
+        return res.status(400).json({ error: "Store credit cannot pay an expense" });
+      }
+      const normalizedPM = summarizePaymentMethod([{ method: expenseMethod }]);
       if (!reason || !recipientName || !recipientPhone || !amount) {
         return res.status(400).json({ 
           error: "Expense requires reason, recipientName, recipientPhone, and amount" 
@@ -902,6 +1480,7 @@ router.put("/:id", authMiddleware, async (req, res) => {
           recipientPhone,
           subtotal: expenseAmount,
           total: expenseAmount,
+          ...moneyFields(expenseAmount, currency, exchangeRate, "total"),
           paymentMethod: normalizedPM,
           notes: notes || originalSale.notes,
           editedBy: req.user.username,
@@ -954,36 +1533,139 @@ router.put("/:id", authMiddleware, async (req, res) => {
       ? null
       : originalSale.customerId || (await findOrCreateCustomerId(customerData));
 
-    // Validate and process items
-    let subtotal = 0;
-    const enrichedItems = [];
-    
-    for (const item of items) {
-      const { productId, quantity, price, name } = item || {};
-      if (!productId || !quantity || quantity <= 0 || !price || price < 0) {
-        return res.status(400).json({
-          error: "Each item requires productId, quantity>0, and price>=0",
-        });
-      }
-
-      const product = await Product.findById(productId).lean();
-      if (!product) {
-        return res.status(400).json({ error: `Product not found: ${productId}` });
-      }
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "Sale must contain at least one item" });
+    }
+
+    // Validate and process items. Prices already on the sale were approved
+    // when it was recorded, so only new below-minimum prices need a manager.
+    const approvedPrices = new Map(
+      originalSale.items.map((item) => [String(item.productId), item.price])
+    );
+    const approvedDiscounts = new Map(
+      originalSale.items.map((item) => [String(item.productId), item.discountAmount || 0])
+    );
+    const settings = await ShopSettings.getCurrent();
+    const discountLimit = discountLimitFor(req.user, settings);
+    const built = await buildSaleItems(items, req.user, {
+      checkStock: false,
+      approvedPrices,
+      currency,
+      exchangeRate,
+      discountLimit,
+      approvedDiscounts,
+      discountReason,
+      taxSettings: settings,
+      // Promotions keep applying as they did when the sale was made
+      promotions: await Promotion.findRunning(originalSale.createdAt),
+    });
+    const { items: enrichedItems, priceOverrides } = built;
 
-      const lineTotal = Number(price) * Number(quantity);
-      subtotal += lineTotal;
+    // Keep the cost snapshotted when a line was first sold
+    for (const newItem of enrichedItems) {
+      const oldItem = originalSale.items.find(item =>
+        item.productId.toString() === newItem.productId.toString()
+      );
+      if (oldItem && oldItem.unitCost != null) {
+        newItem.unitCost = oldItem.unitCost;
+      }
+    }
 
-      enrichedItems.push({
-        productId: new mongoose.Types.ObjectId(productId),
-        name: name || product.name,
-        quantity: Number(quantity),
-        price: Number(price),
-        total: lineTotal,
+    const { total: netTotal, fields: discountFields } = applyOrderDiscount(built, discount, {
+      user: req.user,
+      currency,
+      exchangeRate,
+      discountLimit,
+      approvedAmount: originalSale.discountAmount || 0,
+      discountReason,
+    });
+    const { total, fields: taxFields } = applySaleTaxes(enrichedItems, netTotal, settings, {
+      currency,
+      exchangeRate,
+    });
+
+    // Tenders are replaced when sent. Otherwise a single tender follows the
+    // new total; a split payment must be re-entered if the total changed.
+    // Credit sales and reservations paid by deposits keep their tenders and
+    // repayments: the balance absorbs the change.
+    const originalPayments = originalSale.payments || [];
+    const sentPayments = Array.isArray(payments) ? payments : [];
+    const storeCreditInvolved = storeCreditUsed(originalPayments) > 0 ||
+      sentPayments.some((payment) => normalizeTenderMethod(payment?.method) === "store_credit");
+    if (storeCreditInvolved && (sentPayments.length > 0 || originalSale.total !== total)) {
+      return res.status(400).json({
+        error: "Store credit tenders cannot be edited: void the sale and ring it up again",
       });
     }
+    if ((originalSale.returnedTotal || 0) > 0) {
+      return res.status(400).json({
+        error: "Items of this sale were returned: it can no longer be edited",
+      });
+    }
+    const repaid = originalSale.amountPaid != null
+      ? roundMoney(originalSale.amountPaid - paidAmount(originalPayments))
+      : 0;
+    const creditSale = originalSale.amountPaid != null &&
+      (originalSale.balanceDue > 0 || repaid > 0.005);
+    let salePayments;
+    if (sentPayments.length > 0) {
+      salePayments = carryOverTenders(
+        buildPayments(payments, { total, currency, exchangeRate, onAccount: creditSale }),
+        originalPayments
+      );
+      // Money beyond the original tenders is taken in the editor's drawer
+      if (salePayments.some((payment) => payment.cashSession === undefined)) {
+        tagTenders(salePayments, (await requireOpenSession(req.user))._id);
+      }
+    } else if (creditSale) {
+      salePayments = originalPayments;
+    } else if (originalPayments.length > 1 && originalSale.total !== total) {
+      return res.status(400).json({
+        error: "This sale was paid with several tenders: send payments matching the new total",
+      });
+    } else if (originalPayments.length > 1) {
+      salePayments = originalPayments;
+    } else {
+      salePayments = buildPayments([], {
+        total,
+        currency,
+        exchangeRate,
+        paymentMethod: paymentMethod || originalPayments[0]?.method || originalSale.paymentMethod,
+      });
+      salePayments[0].cashSession = originalPayments[0]?.cashSession || null;
+      if (originalPayments[0]?.reference && !paymentMethod) {
+        salePayments[0].reference = originalPayments[0].reference;
+      }
+    }
+    const salePaymentMethod = summarizePaymentMethod(salePayments);
 
-    const total = subtotal;
+    const amountPaid = creditSale ? roundMoney(paidAmount(salePayments) + repaid) : total;
+    const balanceDue = roundMoney(total - amountPaid);
+    if (balanceDue < -0.01) {
+      return res.status(400).json({
+        error: `Le nouveau total (${total} ${currency}) est inférieur au montant déjà payé (${amountPaid} ${currency})`,
+      });
+    }
+    if (balanceDue > 0 && walkIn) {
+      return res.status(400).json({
+        error: "Une vente à crédit nécessite un client identifié",
+      });
+    }
+    // Only balances owed on goods already taken count against the credit limit
+    const receivableBefore = isReceivable(originalSale) ? saleBalanceUSD(originalSale) : 0;
+    const receivableAfter = isReceivable({ type: effectiveType, status: originalSale.status })
+      ? saleBalanceUSD({ balanceDue, currency, exchangeRate })
+      : 0;
+    const creditIncrease = receivableAfter - receivableBefore;
+    if (creditIncrease > 0.005) {
+      const account = await Customer.findById(newCustomerId);
+      if (!account) {
+        return res.status(404).json({ error: "Customer not found" });
+      }
+      assertCreditAvailable(account, creditIncrease);
+    }
 
     // Calculate stock adjustments
     const stockAdjustments = [];
@@ -1026,25 +1708,34 @@ router.put("/:id", authMiddleware, async (req, res) => {
     }
 
     // Apply stock adjustments
+    const appliedAdjustments = [];
     for (const adjustment of stockAdjustments) {
-      const updatedProduct = await Product.findByIdAndUpdate(
-        adjustment.productId,
-        { $inc: { stock: adjustment.adjustment } },
-        { new: true }
-      );
+      const updatedProduct = await adjustStock({
+        productId: adjustment.productId,
+        delta: adjustment.adjustment,
+        reason: "edit",
+        requireStock: true,
+        ...saleSource(originalSale),
+        user: req.user,
+      });
       
-      if (!updatedProduct || updatedProduct.stock < 0) {
-        // Rollback previous adjustments if any fail
-        for (const rollbackAdj of stockAdjustments) {
-          await Product.findByIdAndUpdate(
-            rollbackAdj.productId,
-            { $inc: { stock: -rollbackAdj.adjustment } }
-          );
+      if (!updatedProduct) {
+        // Rollback the adjustments already applied (recorded as compensating movements)
+        for (const rollbackAdj of appliedAdjustments) {
+          await adjustStock({
+            productId: rollbackAdj.productId,
+            delta: -rollbackAdj.adjustment,
+            reason: "edit",
+            ...saleSource(originalSale),
+            user: req.user,
+            note: "Annulation d'une modification échouée",
+          });
         }
         return res.status(400).json({ 
           error: `Insufficient stock for product update` 
         });
       }
+      appliedAdjustments.push(adjustment);
     }
 
     // Track what changed
@@ -1056,8 +1747,16 @@ router.put("/:id", authMiddleware, async (req, res) => {
       changes.set('total', { from: originalSale.total, to: total });
     }
     
-    if (originalSale.paymentMethod !== normalizedPM) {
-      changes.set('paymentMethod', { from: originalSale.paymentMethod, to: normalizedPM });
+    if (originalSale.paymentMethod !== salePaymentMethod) {
+      changes.set('paymentMethod', { from: originalSale.paymentMethod, to: salePaymentMethod });
+    }
+
+    if (Array.isArray(payments) && payments.length > 0) {
+      changes.set('payments', { from: originalPayments, to: salePayments });
+    }
+
+    if ((originalSale.balanceDue || 0) !== Math.max(balanceDue, 0)) {
+      changes.set('balanceDue', { from: originalSale.balanceDue || 0, to: Math.max(balanceDue, 0) });
     }
 
     // Track type changes
@@ -1065,6 +1764,46 @@ router.put("/:id", authMiddleware, async (req, res) => {
       changes.set('type', { from: originalSale.type, to: type });
     }
 
+    if (priceOverrides.length > 0) {
+      changes.set('priceOverride', priceOverrides);
+    }
+
+    if ((originalSale.discountTotal || 0) !== discountFields.discountTotal) {
+      changes.set('discountTotal', { from: originalSale.discountTotal || 0, to: discountFields.discountTotal });
+    }
+
+    if ((originalSale.promotionTotal || 0) !== discountFields.promotionTotal) {
+      changes.set('promotionTotal', { from: originalSale.promotionTotal || 0, to: discountFields.promotionTotal });
+    }
+
+    if ((originalSale.taxTotal || 0) !== taxFields.taxTotal) {
+      changes.set('taxTotal', { from: originalSale.taxTotal || 0, to: taxFields.taxTotal });
+    }
+
+    // A new reservation date moves the expiry and clears an overdue warning
+    let expiryUpdate = {};
+    if (
+      effectiveType === "reservation" &&
+      (reservationExpiresAt || reservationDate || reservationTime || !originalSale.reservationExpiresAt)
+    ) {
+      const expiresAt = resolveReservationExpiry(
+        {
+          reservationExpiresAt,
+          reservationDate: reservationDate || originalSale.reservationDate,
+          reservationTime: reservationTime || originalSale.reservationTime,
+        },
+        settings,
+        originalSale.createdAt
+      );
+      const previous = originalSale.reservationExpiresAt
+        ? new Date(originalSale.reservationExpiresAt).getTime()
+        : null;
+      if (previous !== expiresAt.getTime()) {
+        changes.set('reservationExpiresAt', { from: originalSale.reservationExpiresAt || null, to: expiresAt });
+        expiryUpdate = { reservationExpiresAt: expiresAt, overdueNotifiedAt: null };
+      }
+    }
+
     // Update the sale
     const updatedSale = await Sale.findByIdAndUpdate(
       id,
@@ -1073,12 +1812,19 @@ router.put("/:id", authMiddleware, async (req, res) => {
         customerId: newCustomerId,
         isWalkIn: walkIn,
         items: enrichedItems,
-        subtotal,
+        ...discountFields,
+        ...taxFields,
         total,
-        paymentMethod: normalizedPM,
+        ...moneyFields(total, currency, exchangeRate, "total"),
+        paymentMethod: salePaymentMethod,
+        payments: salePayments,
+        amountPaid,
+        balanceDue: Math.max(balanceDue, 0),
+        paymentStatus: paymentStatusFor(total, amountPaid),
         type: effectiveType,
         reservationDate: reservationDate || originalSale.reservationDate,
         reservationTime: reservationTime || originalSale.reservationTime,
+        ...expiryUpdate,
         notes: notes || originalSale.notes,
         editedBy: req.user.username,
         editedAt: new Date(),
@@ -1108,7 +1854,9 @@ router.put("/:id", authMiddleware, async (req, res) => {
     }
     if (
       newCustomerIdStr &&
-      (changes.has("customer") || changes.has("total") || oldCustomerId !== newCustomerIdStr)
+      (changes.has("customer") || changes.has("total") || changes.has("balanceDue") ||
+        changes.has("type") ||
+        oldCustomerId !== newCustomerIdStr)
     ) {
       await recalculateCustomerStats(newCustomerIdStr);
     }
@@ -1116,6 +1864,9 @@ router.put("/:id", authMiddleware, async (req, res) => {
     res.json(updatedSale);
   } catch (error) {
     console.error("Error editing sale:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     if (error.name === "CastError") {
       return res.status(400).json({ error: "Invalid sale ID" });
     }
@@ -1123,11 +1874,385 @@ router.put("/:id", authMiddleware, async (req, res) => {
   }
 });
 
+/** ---------- CONVERT AN ACCEPTED QUOTATION ---------- **/
+// Body: { type: sale|reservation, payments, paymentMethod, deposit,
+//         onAccount, reservationDate, reservationTime, notes, salesPerson }
+// The quoted lines go through the same checks as POST / (stock, minimum
+// prices, discount limits), at the quoted prices.
+router.post("/quotations/:id/convert", authMiddleware, idempotency, async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id).lean();
+    if (!quotation) {
+      return res.status(404).json({ error: "Quotation not found" });
+    }
+    if (quotation.status !== "accepted") {
+      return res.status(400).json({ error: "Only accepted quotations can be converted" });
+    }
+    if (isExpired(quotation)) {
+      return res.status(400).json({ error: "La proforma a expiré : repassez-la en brouillon et mettez-la à jour avant de la convertir" });
+    }
+
+    const savedSale = await createSale(saleBodyFromQuotation(quotation, req.body), req.user, { quotation });
+    res.status(201).json(savedSale);
+  } catch (error) {
+    console.error("Error converting quotation:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid quotation ID" });
+    }
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({ error: errors.join(", ") });
+    }
+    res.status(500).json({ error: "Failed to convert quotation" });
+  }
+});
+
+/** ---------- CORRECT A SALE (admin/manager) ---------- **/
+// Unlike PUT /:id, the invoice is not modified: it is marked "corrected"
+// and linked (correctionSaleId) to a new sale with its own invoice number
+// carrying the corrected customer, lines and payments (originalSaleId).
+// The new sale keeps the original date, so reports count the corrected
+// revenue on the day it was earned; editHistory records when it was made.
+router.post("/:id/corrections", authMiddleware, idempotency, async (req, res) => {
+  try {
+    if (!req.user.canValidate) {
+      return res.status(403).json({ error: "Only admins and managers can correct sales" });
+    }
+
+    const {
+      customer,
+      items,
+      paymentMethod,
+      payments,
+      notes,
+      isWalkIn,
+      reason,
+      discount,
+      discountReason,
+    } = req.body;
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: "A reason is required to correct a sale" });
+    }
+
+    const originalSale = await Sale.findById(req.params.id).lean();
+    if (!originalSale || originalSale.type === "expense") {
+      return res.status(404).json({ error: "Sale not found" });
+    }
+    if (originalSale.type !== "sale" || originalSale.status !== "completed") {
+      return res.status(400).json({ error: "Only completed sales can be corrected" });
+    }
+    if ((originalSale.returnedTotal || 0) > 0) {
+      return res.status(400).json({ error: "Items of this sale were returned: it can no longer be corrected" });
+    }
+    // The correction is dated like the original sale
+    await assertPeriodOpen(originalSale.createdAt);
+    const originalPayments = originalSale.payments || [];
+    const creditSale = originalSale.amountPaid != null &&
+      (originalSale.balanceDue > 0 || Math.abs(originalSale.amountPaid - paidAmount(originalPayments)) > 0.005);
+    if (creditSale || storeCreditUsed(originalPayments) > 0) {
+      return res.status(400).json({
+        error: "Credit and store credit sales cannot be corrected: void the sale and ring it up again",
+      });
+    }
+
+    const walkIn = typeof isWalkIn === "boolean" ? isWalkIn : Boolean(originalSale.isWalkIn);
+    if (!walkIn && (!customer || !customer.name || !customer.phone)) {
+      return res.status(400).json({ error: "Customer name and phone are required" });
+    }
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: "Sale must contain at least one item" });
+    }
+    const customerData = walkIn
+      ? { name: "Client de passage", phone: "", email: "" }
+      : { name: customer.name, phone: customer.phone, email: customer.email || "" };
+
+    // Same currency, rate, approved prices and cost snapshots as the original
+    const currency = originalSale.currency || "USD";
+    const exchangeRate = originalSale.exchangeRate || null;
+    const approvedPrices = new Map(
+      originalSale.items.map((item) => [String(item.productId), item.price])
+    );
+    const approvedDiscounts = new Map(
+      originalSale.items.map((item) => [String(item.productId), item.discountAmount || 0])
+    );
+    const settings = await ShopSettings.getCurrent();
+    const discountLimit = discountLimitFor(req.user, settings);
+    const built = await buildSaleItems(items, req.user, {
+      checkStock: false,
+      approvedPrices,
+      currency,
+      exchangeRate,
+      discountLimit,
+      approvedDiscounts,
+      discountReason,
+      taxSettings: settings,
+      // Promotions keep applying as they did when the sale was made
+      promotions: await Promotion.findRunning(originalSale.createdAt),
+    });
+    const { items: enrichedItems, priceOverrides } = built;
+    for (const newItem of enrichedItems) {
+      const oldItem = originalSale.items.find(
+        (item) => String(item.productId) === String(newItem.productId)
+      );
+      if (oldItem && oldItem.unitCost != null) {
+        newItem.unitCost = oldItem.unitCost;
+      }
+    }
+    const { total: netTotal, fields: discountFields } = applyOrderDiscount(built, discount, {
+      user: req.user,
+      currency,
+      exchangeRate,
+      discountLimit,
+      approvedAmount: originalSale.discountAmount || 0,
+      discountReason,
+    });
+    const { total, fields: taxFields } = applySaleTaxes(enrichedItems, netTotal, settings, {
+      currency,
+      exchangeRate,
+    });
+
+    // Tenders: as sent, else the original ones. When the total changed the
+    // payments must be sent, so money received or refunded now is not
+    // backdated into the original tender
+    let salePayments;
+    if (Array.isArray(payments) && payments.length > 0) {
+      if (payments.some((payment) => normalizeTenderMethod(payment?.method) === "store_credit")) {
+        return res.status(400).json({ error: "Store credit cannot be used on a correction" });
+      }
+      salePayments = tagTenders(
+        buildPayments(payments, { total, currency, exchangeRate }),
+        (await findOpenSession(req.user))?._id || null
+      );
+    } else if (Math.abs(originalSale.total - total) > 0.005) {
+      return res.status(400).json({
+        error: "The total changed: send payments matching the new total",
+      });
+    } else if (originalPayments.length > 0) {
+      salePayments = originalPayments.map(({ _id, ...payment }) => payment);
+    } else {
+      // Sales recorded before tenders: one tender for the original total
+      salePayments = buildPayments([], {
+        total,
+        currency,
+        exchangeRate,
+        paymentMethod: originalSale.paymentMethod,
+      });
+      salePayments[0].receivedAt = originalSale.createdAt;
+    }
+    // Same money on the same date: only the method of a single tender can
+    // still be fixed
+    if (!(Array.isArray(payments) && payments.length > 0) && paymentMethod && salePayments.length === 1) {
+      const method = normalizeTenderMethod(paymentMethod);
+      if (method === "store_credit") {
+        return res.status(400).json({ error: "Store credit cannot be used on a correction" });
+      }
+      salePayments[0].method = method;
+      salePayments[0].reference = "";
+    }
+
+    // Net stock change per product: units no longer sold come back, extra
+    // units are taken out
+    const stockDeltas = new Map();
+    for (const item of originalSale.items) {
+      const key = String(item.productId);
+      stockDeltas.set(key, (stockDeltas.get(key) || 0) + item.quantity);
+    }
+    for (const item of enrichedItems) {
+      const key = String(item.productId);
+      stockDeltas.set(key, (stockDeltas.get(key) || 0) - item.quantity);
+    }
+
+    const correctionSale = await mongoose.connection.transaction(async (session) => {
+      const customerId = walkIn ? null : await findOrCreateCustomerId(customerData, session);
+      // Numbered in the series of the original date, which the sale keeps
+      const { invoiceNumber, stubNumber, stubDate } = await assignReceiptNumbers(
+        session,
+        originalSale.createdAt
+      );
+
+      const changes = {
+        correctionOf: { saleNumber: originalSale.saleNumber, total: { from: originalSale.total, to: total } },
+      };
+      if (priceOverrides.length > 0) {
+        changes.priceOverride = priceOverrides;
+      }
+
+      const sale = new Sale({
+        saleId: `SALE-${Date.now()}-${Math.random()
+          .toString(36)
+          .substr(2, 5)
+          .toUpperCase()}`,
+        saleNumber: invoiceNumber,
+        stubNumber,
+        stubDate,
+        customer: customerData,
+        customerId,
+        isWalkIn: walkIn,
+        items: enrichedItems,
+        ...discountFields,
+        ...taxFields,
+        total,
+        ...moneyFields(total, currency, exchangeRate, "total"),
+        paymentMethod: summarizePaymentMethod(salePayments),
+        payments: salePayments,
+        amountPaid: total,
+        balanceDue: 0,
+        paymentStatus: "paid",
+        status: "completed",
+        salesPerson: originalSale.salesPerson,
+        type: "sale",
+        notes: notes !== undefined ? notes : originalSale.notes,
+        originalSaleId: originalSale._id,
+        createdAt: originalSale.createdAt,
+        editHistory: [{
+          editedBy: req.user.username,
+          editedAt: new Date(),
+          changes,
+          reason: String(reason).trim(),
+        }],
+      });
+
+      // Returns first, so units freed by the correction can be re-sold in it
+      const deltas = [...stockDeltas.entries()]
+        .filter(([, delta]) => delta !== 0)
+        .sort((a, b) => b[1] - a[1]);
+      for (const [productId, delta] of deltas) {
+        const updated = await adjustStock({
+          productId,
+          delta,
+          reason: "edit",
+          requireStock: true,
+          ...saleSource(sale),
+          user: req.user,
+          note: `Correction de ${originalSale.saleNumber}`,
+          session,
+        });
+        if (!updated) {
+          throw saleError(409, "Insufficient stock for the corrected items");
+        }
+      }
+
+      await sale.save({ session });
+
+      // Only the status and the link change on the original invoice
+      const marked = await Sale.findOneAndUpdate(
+        { _id: originalSale._id, status: "completed", correctionSaleId: null },
+        { status: "corrected", correctionSaleId: sale._id },
+        { session }
+      );
+      if (!marked) {
+        throw saleError(409, "This sale was changed meanwhile. Please refresh and try again.");
+      }
+
+      return sale;
+    });
+
+    const customerIds = new Set(
+      [originalSale.customerId, correctionSale.customerId].filter(Boolean).map(String)
+    );
+    for (const customerId of customerIds) {
+      await recalculateCustomerStats(customerId);
+    }
+
+    res.status(201).json({
+      originalSaleId: originalSale._id,
+      correction: correctionSale,
+    });
+  } catch (error) {
+    console.error("Error correcting sale:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid sale ID" });
+    }
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({ error: errors.join(", ") });
+    }
+    res.status(500).json({ error: "Failed to correct sale" });
+  }
+});
+
+/** ---------- RECORD A RESERVATION DEPOSIT ---------- **/
+// Adds a tender to a pending reservation and lowers its balance due
+router.post("/:id/payments", authMiddleware, idempotency, async (req, res) => {
+  try {
+    const { amount, method, reference } = req.body;
+
+    const sale = await Sale.findById(req.params.id).lean();
+    if (!sale) {
+      return res.status(404).json({ error: "Réservation non trouvée" });
+    }
+    if (sale.type !== "reservation") {
+      return res.status(400).json({
+        error: "Deposits apply to reservations. Use /api/customers/:id/payments for credit sales",
+      });
+    }
+    if (sale.status !== "pending") {
+      return res.status(400).json({ error: "Only pending reservations can receive deposits" });
+    }
+
+    const amountPaidBefore = sale.amountPaid ?? sale.total;
+    const balanceBefore = roundMoney(sale.total - amountPaidBefore);
+    if (balanceBefore <= 0.005) {
+      return res.status(400).json({ error: "Reservation already fully paid" });
+    }
+
+    // No new money movements once the day's Z report has locked it
+    await assertPeriodOpen(new Date());
+
+    const cashSession = await requireOpenSession(req.user);
+    const [payment] = tagTenders(buildPayments([{ amount, method, reference, currency: req.body.currency }], {
+      total: balanceBefore,
+      currency: sale.currency || "USD",
+      exchangeRate: sale.exchangeRate,
+      onAccount: true,
+    }), cashSession._id);
+    const amountPaid = roundMoney(amountPaidBefore + payment.saleAmount);
+    const payments = [...(sale.payments || []), payment];
+
+    // Guarded on the amount paid so two deposits recorded at once cannot
+    // both be applied to the same balance
+    const updatedSale = await Sale.findOneAndUpdate(
+      { _id: sale._id, status: "pending", amountPaid: sale.amountPaid },
+      {
+        $push: { payments: payment },
+        paymentMethod: summarizePaymentMethod(payments),
+        amountPaid,
+        balanceDue: roundMoney(Math.max(sale.total - amountPaid, 0)),
+        paymentStatus: paymentStatusFor(sale.total, amountPaid),
+      },
+      { new: true, runValidators: true }
+    );
+    if (!updatedSale) {
+      return res.status(409).json({ error: "Reservation changed meanwhile. Please refresh and try again." });
+    }
+
+    res.status(201).json(updatedSale);
+  } catch (error) {
+    console.error("Error recording reservation deposit:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid sale ID" });
+    }
+    res.status(500).json({ error: "Failed to record deposit" });
+  }
+});
+
 /** ---------- MARK RESERVATION AS COMPLETED ---------- **/
+// A reservation is collected once fully paid. An admin or manager can hand
+// it over with a balance due (`override: true` and a `reason`): the balance
+// then becomes owed by the customer and the override is kept in editHistory.
 router.patch("/:id/complete", authMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
-    const { completedBy } = req.body;
+    const { completedBy, override, reason } = req.body;
 
     const sale = await Sale.findById(id).lean();
     if (!sale) {
@@ -1143,20 +2268,66 @@ router.patch("/:id/complete", authMiddleware, async (req, res) => {
     if (sale.status === "completed") {
       return res.status(400).json({ error: "Reservation already completed" });
     }
+    // A voided (e.g. expired) reservation has released its stock
+    if (sale.status !== "pending") {
+      return res.status(400).json({ error: `Cannot complete a ${sale.status} reservation` });
+    }
+    // Today may already be closed (Z report)
+    await assertPeriodOpen(new Date());
+
+    const balanceDue = sale.balanceDue || 0;
+    const update = {
+      status: "completed",
+      completedAt: new Date(),
+      completedBy: completedBy || req.user.userId,
+    };
+    if (balanceDue > 0) {
+      if (!override) {
+        return res.status(409).json({
+          error: `Solde restant de ${balanceDue} ${sale.currency || "USD"} : la réservation doit être entièrement payée`,
+          balanceDue,
+          currency: sale.currency || "USD",
+        });
+      }
+      if (!req.user.canValidate) {
+        return res.status(403).json({
+          error: "Only admins and managers can complete a reservation with a balance due",
+        });
+      }
+      if (!reason || !String(reason).trim()) {
+        return res.status(400).json({ error: "A reason is required to complete with a balance due" });
+      }
+      update.$push = {
+        editHistory: {
+          editedBy: req.user.username,
+          editedAt: new Date(),
+          changes: { completedWithBalance: { balanceDue, currency: sale.currency || "USD" } },
+          reason: String(reason).trim(),
+        },
+      };
+    }
 
-    const updatedSale = await Sale.findByIdAndUpdate(
-      id,
-      {
-        status: "completed",
-        completedAt: new Date(),
-        completedBy: completedBy || req.user.userId,
-      },
+    // Guarded on the status: the expiry job may void it meanwhile
+    const updatedSale = await Sale.findOneAndUpdate(
+      { _id: id, status: "pending" },
+      update,
       { new: true }
     );
+    if (!updatedSale) {
+      return res.status(409).json({ error: "Reservation changed meanwhile. Please refresh." });
+    }
+
+    // The balance left is now owed by the customer
+    if (balanceDue > 0 && sale.customerId) {
+      await recalculateCustomerStats(sale.customerId);
+    }
 
     res.json(updatedSale);
   } catch (error) {
     console.error("Error completing reservation:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: "Échec de la mise à jour de la réservation" });
   }
 });
@@ -1182,20 +2353,38 @@ router.patch("/:id/pending", authMiddleware, async (req, res) => {
     if (sale.type !== "reservation") {
       return res.status(400).json({ error: "This is not a reservation" });
     }
+    // Voided reservations no longer hold their stock
+    if (!["pending", "completed"].includes(sale.status)) {
+      return res.status(400).json({ error: `Cannot set a ${sale.status} reservation back to pending` });
+    }
+    // Taking back a collection of a locked period would change its revenue
+    await assertPeriodOpen(sale.completedAt);
 
-    const updatedSale = await Sale.findByIdAndUpdate(
-      id,
+    const updatedSale = await Sale.findOneAndUpdate(
+      { _id: id, status: { $in: ["pending", "completed"] } },
       {
         status: "pending",
         completedAt: null,
         completedBy: null,
+        overdueNotifiedAt: null,
       },
       { new: true }
     );
+    if (!updatedSale) {
+      return res.status(409).json({ error: "Reservation changed meanwhile. Please refresh." });
+    }
+
+    // A balance due is no longer owed once the goods are back on hold
+    if (sale.balanceDue > 0 && sale.customerId) {
+      await recalculateCustomerStats(sale.customerId);
+    }
 
     res.json(updatedSale);
   } catch (error) {
     console.error("Error setting reservation to pending:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: "Échec de la mise à jour de la réservation" });
   }
 });
@@ -1219,47 +2408,75 @@ router.patch("/:id/void", authMiddleware, async (req, res) => {
       return res.status(400).json({ error: "Sale is already voided" });
     }
 
-    // Return stock to inventory (only for sales and reservations with items)
-    // ✅ FIXED: Check for reservation type as well
-    if ((sale.type === "sale" || sale.type === "reservation") && sale.items && sale.items.length > 0) {
-      for (const item of sale.items) {
-        await Product.findByIdAndUpdate(
-          item.productId,
-          { $inc: { stock: item.quantity } }
-        );
-      }
-    }
-
-    const voidedSale = await Sale.findByIdAndUpdate(
-      id,
-      {
-        status: "voided",
-        voidedBy: req.user.userId,
-        voidedAt: new Date(),
-        $push: {
-          editHistory: {
-            editedBy: req.user.username,
-            editedAt: new Date(),
-            changes: { status: { from: sale.status, to: "voided" } },
-            reason: reason || "Sale voided"
-          }
-        }
-      },
-      { new: true }
-    );
-
-    // FIX: Recalculate customer stats after voiding (only for sales and reservations)
-    if (sale.customerId && (sale.type === "sale" || sale.type === "reservation")) {
-      await recalculateCustomerStats(sale.customerId);
+    // Refused in a locked period (utils/saleService.js)
+    const voidedSale = await voidSale(id, { user: req.user, reason: reason || "" });
+    if (!voidedSale) {
+      return res.status(400).json({ error: "Sale is already voided" });
     }
 
     res.json(voidedSale);
   } catch (error) {
     console.error("Error voiding sale:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: "Failed to void sale" });
   }
 });
 
+/** ---------- RETURN ITEMS OF A SALE (admin/manager) ---------- **/
+// Body: { items: [{ itemId | productId, quantity, condition: restock|damaged }],
+//         resolution: refund|store_credit, refundMethod, reason }
+router.post("/:id/returns", authMiddleware, idempotency, async (req, res) => {
+  try {
+    if (!req.user.canValidate) {
+      return res.status(403).json({ error: "Only admins and managers can process returns" });
+    }
+
+    const { items, resolution, refundMethod, reason } = req.body;
+    // No new money movements once the day's Z report has locked it
+    await assertPeriodOpen(new Date());
+    const { saleReturn, sale } = await createSaleReturn(req.params.id, {
+      items,
+      resolution,
+      refundMethod,
+      reason,
+      user: req.user,
+    });
+
+    res.status(201).json({ return: saleReturn, sale });
+  } catch (error) {
+    console.error("Error processing return:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid sale or item ID" });
+    }
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({ error: errors.join(", ") });
+    }
+    res.status(500).json({ error: "Failed to process return" });
+  }
+});
+
+/** ---------- LIST RETURNS OF A SALE ---------- **/
+router.get("/:id/returns", authMiddleware, async (req, res) => {
+  try {
+    const returns = await SaleReturn.find({ sale: req.params.id })
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json(returns);
+  } catch (error) {
+    console.error("Error fetching returns:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid sale ID" });
+    }
+    res.status(500).json({ error: "Failed to fetch returns" });
+  }
+});
+
 /** ---------- DELETE SALE ---------- **/
 router.delete("/:id", authMiddleware, async (req, res) => {
   try {
@@ -1269,12 +2486,20 @@ router.delete("/:id", authMiddleware, async (req, res) => {
       return res.status(404).json({ error: "Sale not found" });
     }
 
+    // Numbered invoices must stay in the sequence: void or correct them instead
+    if (isNumberedSale(sale)) {
+      return res.status(400).json({
+        error: `La facture ${sale.saleNumber} est numérotée : annulez-la ou corrigez-la au lieu de la supprimer`
+      });
+    }
+
     // 🔹 NEW: RESTRICTION - Only admin can delete reservations
     if (sale.type === "reservation" && req.user.role !== "admin") {
       return res.status(403).json({ 
         error: "Only admin can delete reservations" 
       });
     }
+    await assertPeriodOpen(sale.createdAt, sale.completedAt);
 
     const customerId = sale.customerId;
     
@@ -1295,15 +2520,20 @@ router.delete("/:id", authMiddleware, async (req, res) => {
       });
       
       for (const item of sale.items) {
+        // Units already returned are back in stock (or written off)
+        const quantity = item.quantity - (item.returnedQuantity || 0);
+        if (quantity <= 0) continue;
         try {
-          const updatedProduct = await Product.findByIdAndUpdate(
-            item.productId,
-            { $inc: { stock: item.quantity } },
-            { new: true }
-          );
+          const updatedProduct = await adjustStock({
+            productId: item.productId,
+            delta: quantity,
+            reason: "delete",
+            ...saleSource(sale),
+            user: req.user,
+          });
           
           if (updatedProduct) {
-            console.log(`✅ Returned ${item.quantity} units of "${item.name}", new stock: ${updatedProduct.stock}`);
+            console.log(`✅ Returned ${quantity} units of "${item.name}", new stock: ${updatedProduct.stock}`);
           } else {
             console.warn(`❌ Product not found for ID: ${item.productId}`);
           }
@@ -1328,6 +2558,9 @@ router.delete("/:id", authMiddleware, async (req, res) => {
     });
   } catch (error) {
     console.error("Error deleting sale:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     
     if (error.name === "CastError") {
       return res.status(400).json({ error: "Invalid sale ID" });
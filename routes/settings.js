@@ -5,18 +5,10 @@ const authMiddleware = require("../middleware/auth");
 
 router.use(authMiddleware);
 
-async function getOrCreateSettings() {
-  let settings = await ShopSettings.findOne();
-  if (!settings) {
-    settings = await ShopSettings.create({});
-  }
-  return settings;
-}
-
 // GET receipt settings — all authenticated users (needed to populate receipts)
 router.get("/receipt", async (req, res) => {
   try {
-    const settings = await getOrCreateSettings();
+    const settings = await ShopSettings.getCurrent();
     res.json(settings);
   } catch (error) {
     console.error(error);
@@ -30,20 +22,65 @@ router.put("/receipt", async (req, res) => {
     if (req.user.role !== "admin") {
       return res.status(403).json({ message: "Accès refusé. Réservé aux administrateurs." });
     }
-    const { shopName, shopAddress, shopNumber, shopRegistration, receiptFooter } =
-      req.body;
+    const {
+      shopName,
+      shopTagline,
+      shopAddress,
+      shopNumber,
+      shopRegistration,
+      receiptFooter,
+      invoicePrefix,
+      reservationHoldDays,
+      reservationGraceDays,
+      quotationValidityDays,
+      quotationTerms,
+      discountLimits,
+      taxEnabled,
+      taxNumber,
+      taxRates,
+      defaultTaxCode,
+      pricesIncludeTax,
+    } = req.body;
 
-    const settings = await getOrCreateSettings();
+    const settings = await ShopSettings.getCurrent();
     if (shopName !== undefined) settings.shopName = shopName;
+    if (shopTagline !== undefined) settings.shopTagline = shopTagline;
     if (shopAddress !== undefined) settings.shopAddress = shopAddress;
     if (shopNumber !== undefined) settings.shopNumber = shopNumber;
     if (shopRegistration !== undefined) settings.shopRegistration = shopRegistration;
     if (receiptFooter !== undefined) settings.receiptFooter = receiptFooter;
+    if (invoicePrefix !== undefined) settings.invoicePrefix = invoicePrefix;
+    if (reservationHoldDays !== undefined) settings.reservationHoldDays = reservationHoldDays;
+    if (reservationGraceDays !== undefined) settings.reservationGraceDays = reservationGraceDays;
+    if (quotationValidityDays !== undefined) settings.quotationValidityDays = quotationValidityDays;
+    if (quotationTerms !== undefined) settings.quotationTerms = quotationTerms;
+    if (discountLimits && typeof discountLimits === "object") {
+      for (const [role, limit] of Object.entries(discountLimits)) {
+        if (settings.discountLimits[role] !== undefined) settings.discountLimits[role] = limit;
+      }
+    }
+    if (taxEnabled !== undefined) settings.taxEnabled = taxEnabled;
+    if (taxNumber !== undefined) settings.taxNumber = taxNumber;
+    if (Array.isArray(taxRates)) settings.taxRates = taxRates;
+    if (defaultTaxCode !== undefined) settings.defaultTaxCode = defaultTaxCode;
+    if (pricesIncludeTax !== undefined) settings.pricesIncludeTax = pricesIncludeTax;
+
+    const taxCodes = settings.taxRates.map((rate) => rate.code);
+    if (new Set(taxCodes).size !== taxCodes.length) {
+      return res.status(400).json({ message: "Les codes de taxe doivent être uniques" });
+    }
+    if (settings.taxEnabled && !taxCodes.includes(settings.defaultTaxCode)) {
+      return res.status(400).json({ message: `Taux de taxe par défaut inconnu : ${settings.defaultTaxCode}` });
+    }
 
     await settings.save();
     res.json(settings);
   } catch (error) {
     console.error(error);
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({ message: errors.join(", ") });
+    }
     res.status(500).json({ message: "Internal server error" });
   }
 });
@@ -0,0 +1,135 @@
+const CashSession = require("../models/CashSession");
+const Sale = require("../models/Sale");
+const CustomerPayment = require("../models/CustomerPayment");
+const Entry = require("../models/Entry");
+const Expense = require("../models/Expense");
+const SaleReturn = require("../models/SaleReturn");
+const { roundMoney } = require("./currency");
+
+// Cash drawer sessions (models/CashSession.js). Sales and reservation
+// deposits need the cashier's open session; repayments, entries, expenses
+// and refunds are tagged with it when one is open. The cash expected in the
+// drawer is computed from the documents tagged with the session.
+
+function cashSessionError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Open session of a cashier
+ * @param {Object} user - req.user
+ * @param {ClientSession} session - Optional MongoDB session
+ * @returns {Promise<Object|null>}
+ */
+function findOpenSession(user, session = null) {
+  return CashSession.findOne({ openedBy: user._id, status: "open" }).session(session);
+}
+
+/**
+ * Open session of a cashier, required to take a sale
+ * @param {Object} user - req.user
+ * @param {ClientSession} session - Optional MongoDB session
+ * @returns {Promise<Object>}
+ * @throws {Error} status 409 when the cashier has no open session
+ */
+async function requireOpenSession(user, session = null) {
+  const open = await findOpenSession(user, session);
+  if (!open) {
+    throw cashSessionError(409, "Aucune session de caisse ouverte : ouvrez la caisse avant d'encaisser");
+  }
+  return open;
+}
+
+// [{ _id: "USD", amount }, { _id: "FC", amount }] -> { USD, FC }
+function byCurrency(groups) {
+  const amounts = { USD: 0, FC: 0 };
+  groups.forEach((group) => {
+    const currency = group._id === "FC" ? "FC" : "USD";
+    amounts[currency] = roundMoney(amounts[currency] + group.amount);
+  });
+  return amounts;
+}
+
+function sumByCurrency(model, match, amountField, currencyField = "$currency") {
+  return model.aggregate([
+    { $match: match },
+    { $group: { _id: currencyField, amount: { $sum: amountField } } },
+  ]).then(byCurrency);
+}
+
+/**
+ * Cash in and out of the drawer during a session, per currency, and the
+ * cash expected in it (opening float + in - out)
+ * @param {Object} cashSession
+ * @returns {Promise<{movements: Object, expected: {USD: number, FC: number}}>}
+ */
+async function computeExpectedCash(cashSession) {
+  const id = cashSession._id;
+
+  // Voided and corrected sales are left out: the money went back to the
+  // customer, or moved to the correcting sale's tenders
+  const cashSales = await Sale.aggregate([
+    {
+      $match: {
+        "payments.cashSession": id,
+        status: { $in: ["completed", "pending", "refunded"] },
+      },
+    },
+    { $unwind: "$payments" },
+    { $match: { "payments.cashSession": id, "payments.method": "cash" } },
+    { $group: { _id: "$payments.currency", amount: { $sum: "$payments.amount" } } },
+  ]).then(byCurrency);
+
+  const accountPayments = await sumByCurrency(
+    CustomerPayment, { cashSession: id, method: "cash" }, "$amount"
+  );
+  const entries = await sumByCurrency(
+    Entry, { cashSession: id, paymentMethod: "cash", status: "active" }, "$amount"
+  );
+  const expenses = await sumByCurrency(
+    Expense, { cashSession: id, paymentMethod: "cash", status: { $ne: "rejected" } }, "$amount"
+  );
+  // Expenses recorded through POST /api/sales (type "expense")
+  const saleExpenses = await sumByCurrency(
+    Sale, { cashSession: id, type: "expense", paymentMethod: "cash" }, "$total"
+  );
+  const refunds = await sumByCurrency(
+    SaleReturn, { cashSession: id, resolution: "refund", refundMethod: "cash" }, "$refundAmount"
+  );
+
+  const float = cashSession.openingFloat || {};
+  const expected = {};
+  ["USD", "FC"].forEach((currency) => {
+    expected[currency] = roundMoney(
+      (float[currency] || 0) +
+      cashSales[currency] +
+      accountPayments[currency] +
+      entries[currency] -
+      expenses[currency] -
+      saleExpenses[currency] -
+      refunds[currency]
+    );
+  });
+
+  return {
+    movements: {
+      cashSales,
+      accountPayments,
+      entries,
+      expenses: {
+        USD: roundMoney(expenses.USD + saleExpenses.USD),
+        FC: roundMoney(expenses.FC + saleExpenses.FC),
+      },
+      refunds,
+    },
+    expected,
+  };
+}
+
+module.exports = {
+  findOpenSession,
+  requireOpenSession,
+  computeExpectedCash,
+};
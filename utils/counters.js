@@ -0,0 +1,59 @@
+const Counter = require("../models/Counter");
+const ShopSettings = require("../models/ShopSettings");
+
+/**
+ * Atomically increment a named counter and return its new value.
+ * Pass the session of the surrounding transaction so the number is only
+ * consumed if the document using it is committed.
+ * @param {string} name - Counter name (e.g. "invoice:DM:2026")
+ * @param {ClientSession} session - Optional MongoDB session
+ * @returns {Promise<number>}
+ */
+async function nextSequence(name, session = null) {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+}
+
+/**
+ * Local calendar day of a date as YYYY-MM-DD (server timezone)
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDateKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Issue the invoice number (e.g. DM-2026-000123, contiguous per shop prefix
+ * and year) and the stub number of the day for a new sale.
+ * @param {ClientSession} session - Session of the sale transaction
+ * @param {Date} date - Sale date
+ * @returns {Promise<{invoiceNumber: string, stubNumber: number, stubDate: string}>}
+ */
+async function assignReceiptNumbers(session, date = new Date()) {
+  const settings = await ShopSettings.getCurrent(session);
+  const prefix = settings.invoicePrefix || "DM";
+  const year = date.getFullYear();
+  const stubDate = formatDateKey(date);
+
+  const invoiceSeq = await nextSequence(`invoice:${prefix}:${year}`, session);
+  const stubNumber = await nextSequence(`stub:${prefix}:${stubDate}`, session);
+
+  return {
+    invoiceNumber: `${prefix}-${year}-${String(invoiceSeq).padStart(6, "0")}`,
+    stubNumber,
+    stubDate,
+  };
+}
+
+module.exports = {
+  nextSequence,
+  formatDateKey,
+  assignReceiptNumbers,
+};
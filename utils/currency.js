@@ -0,0 +1,263 @@
+const ExchangeRate = require("../models/ExchangeRate");
+
+// Money documents (sales, expenses, entries) are recorded in US dollars or
+// Congolese francs. The FC-per-USD rate in force at creation is snapshotted
+// onto the document together with its USD and FC equivalents, so reports
+// never depend on today's rate. Catalog prices are in USD.
+const CURRENCIES = ["USD", "FC"];
+
+const CURRENCY_ALIASES = {
+  USD: "USD",
+  "$": "USD",
+  FC: "FC",
+  CDF: "FC",
+};
+
+function currencyError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Normalize a currency from a request body (defaults to USD)
+ * @param {string} value
+ * @returns {string} "USD" or "FC"
+ * @throws {Error} status 400 for an unknown currency
+ */
+function normalizeCurrency(value) {
+  if (value === undefined || value === null || value === "") return "USD";
+  const currency = CURRENCY_ALIASES[String(value).trim().toUpperCase()];
+  if (!currency) {
+    throw currencyError(`Invalid currency: ${value}. Use one of: ${CURRENCIES.join(", ")}`);
+  }
+  return currency;
+}
+
+/**
+ * Current FC-per-USD rate, or null when none is active
+ * @returns {Promise<number|null>}
+ */
+async function getActiveRate() {
+  const rate = await ExchangeRate.getCurrentRate().lean();
+  return rate ? rate.rate : null;
+}
+
+/**
+ * Rate to snapshot on a new document. FC documents cannot be converted
+ * without a rate, so they are refused when none is active; USD documents
+ * simply get no FC equivalent.
+ * @param {string} currency
+ * @returns {Promise<number|null>}
+ * @throws {Error} status 400 for an FC document without an active rate
+ */
+async function resolveExchangeRate(currency) {
+  const rate = await getActiveRate();
+  if (currency === "FC" && !rate) {
+    throw currencyError("Aucun taux de change actif : impossible d'enregistrer un montant en FC");
+  }
+  return rate;
+}
+
+function roundMoney(amount) {
+  return Math.round(Number(amount) * 100) / 100;
+}
+
+/**
+ * USD and FC equivalents of an amount
+ * @param {number} amount - Amount in `currency`
+ * @param {string} currency - "USD" or "FC"
+ * @param {number|null} exchangeRate - FC per USD
+ * @returns {{usd: number|null, fc: number|null}}
+ */
+function convertAmount(amount, currency, exchangeRate) {
+  const value = Number(amount) || 0;
+  if (currency === "FC") {
+    return {
+      usd: exchangeRate ? roundMoney(value / exchangeRate) : null,
+      fc: roundMoney(value),
+    };
+  }
+  return {
+    usd: roundMoney(value),
+    fc: exchangeRate ? roundMoney(value * exchangeRate) : null,
+  };
+}
+
+/**
+ * Convert a USD catalog amount into the currency of a document
+ * @param {number|null} usdAmount
+ * @param {string} currency
+ * @param {number|null} exchangeRate
+ * @returns {number|null}
+ */
+function fromUSD(usdAmount, currency, exchangeRate) {
+  if (usdAmount === null || usdAmount === undefined) return usdAmount;
+  return currency === "FC" ? roundMoney(usdAmount * exchangeRate) : usdAmount;
+}
+
+/**
+ * USD equivalent of a stored document, falling back to the raw amount for
+ * documents recorded before currencies existed (always USD)
+ * @param {Object} doc
+ * @param {string} amountField - "total" for sales, "amount" otherwise
+ * @returns {number}
+ */
+function usdValue(doc, amountField = "amount") {
+  const usdField = amountField === "total" ? "totalUSD" : "amountUSD";
+  if (typeof doc[usdField] === "number") return doc[usdField];
+  const { usd } = convertAmount(doc[amountField], doc.currency || "USD", doc.exchangeRate);
+  return usd || 0;
+}
+
+/**
+ * FC equivalent of a stored document; USD documents recorded without a
+ * rate are converted at `fallbackRate` (null when unknown)
+ * @param {Object} doc
+ * @param {string} amountField
+ * @param {number|null} fallbackRate
+ * @returns {number|null}
+ */
+function fcValue(doc, amountField = "amount", fallbackRate = null) {
+  const fcField = amountField === "total" ? "totalFC" : "amountFC";
+  if (typeof doc[fcField] === "number") return doc[fcField];
+  const usd = usdValue(doc, amountField);
+  return fallbackRate ? roundMoney(usd * fallbackRate) : null;
+}
+
+/**
+ * Totals of a list of documents, per recorded currency and converted to
+ * both currencies
+ * @param {Array} docs
+ * @param {string} amountField - "total" for sales, "amount" otherwise
+ * @param {number|null} fallbackRate - Rate for documents without an FC equivalent
+ * @returns {{byCurrency: {USD: number, FC: number}, totalUSD: number, totalFC: number|null}}
+ */
+function summarizeAmounts(docs, amountField = "amount", fallbackRate = null) {
+  const summary = { byCurrency: { USD: 0, FC: 0 }, totalUSD: 0, totalFC: 0 };
+  for (const doc of docs) {
+    summary.byCurrency[doc.currency === "FC" ? "FC" : "USD"] += Number(doc[amountField]) || 0;
+    summary.totalUSD += usdValue(doc, amountField);
+    const fc = fcValue(doc, amountField, fallbackRate);
+    summary.totalFC = summary.totalFC === null || fc === null ? null : summary.totalFC + fc;
+  }
+  summary.byCurrency.USD = roundMoney(summary.byCurrency.USD);
+  summary.byCurrency.FC = roundMoney(summary.byCurrency.FC);
+  summary.totalUSD = roundMoney(summary.totalUSD);
+  if (summary.totalFC !== null) summary.totalFC = roundMoney(summary.totalFC);
+  return summary;
+}
+
+// ---- Aggregation expressions ----
+
+/**
+ * $group accumulators summing a money field per currency and in USD/FC.
+ * Pass the grouped rows through withTotalFC.
+ * @param {string} amountField - "total" for sales, "amount" otherwise
+ * @param {number|null} fallbackRate - Rate for documents without an FC equivalent
+ * @returns {Object} accumulators: recordedUSD, recordedFC (amounts as recorded),
+ *   totalUSD, totalFC, missingFC (documents without an FC equivalent)
+ */
+function currencyAccumulators(amountField = "amount", fallbackRate = null) {
+  const prefix = amountField === "total" ? "total" : "amount";
+  const usd = { $ifNull: [`$${prefix}USD`, `$${amountField}`] };
+  const fc = { $ifNull: [`$${prefix}FC`, { $multiply: [usd, fallbackRate] }] };
+  return {
+    recordedUSD: {
+      $sum: { $cond: [{ $eq: ["$currency", "FC"] }, 0, `$${amountField}`] },
+    },
+    recordedFC: {
+      $sum: { $cond: [{ $eq: ["$currency", "FC"] }, `$${amountField}`, 0] },
+    },
+    totalUSD: { $sum: usd },
+    totalFC: { $sum: fc },
+    missingFC: { $sum: { $cond: [{ $eq: [fc, null] }, 1, 0] } },
+  };
+}
+
+/**
+ * Grouped row of currencyAccumulators with totalFC set to null when some
+ * documents have no FC equivalent, like summarizeAmounts
+ * @param {Object|undefined} row
+ * @returns {Object|undefined} the row without missingFC
+ */
+function withTotalFC(row) {
+  if (!row) return row;
+  const { missingFC, ...totals } = row;
+  return missingFC > 0 ? { ...totals, totalFC: null } : totals;
+}
+
+/**
+ * Expression converting a value recorded in the document currency to USD
+ * (for per-line figures such as sale item totals)
+ * @param {*} valueExpression
+ * @returns {Object}
+ */
+function toUSDExpression(valueExpression) {
+  return {
+    $cond: [
+      { $eq: ["$currency", "FC"] },
+      { $divide: [valueExpression, "$exchangeRate"] },
+      valueExpression,
+    ],
+  };
+}
+
+/**
+ * Money fields of a document: the snapshotted rate and both equivalents
+ * @param {number} amount
+ * @param {string} currency
+ * @param {number|null} exchangeRate
+ * @param {string} amountField - "total" for sales, "amount" otherwise
+ * @returns {Object} e.g. { currency, exchangeRate, amountUSD, amountFC }
+ */
+function moneyFields(amount, currency, exchangeRate, amountField = "amount") {
+  const prefix = amountField === "total" ? "total" : "amount";
+  const { usd, fc } = convertAmount(amount, currency, exchangeRate);
+  return {
+    currency,
+    exchangeRate: exchangeRate || null,
+    [`${prefix}USD`]: usd,
+    [`${prefix}FC`]: fc,
+  };
+}
+
+/**
+ * Format an amount for receipts and messages: "$12.50" or "35 000 FC"
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {string}
+ */
+function formatAmount(amount, currency = "USD") {
+  const value = Number(amount || 0);
+  if (currency === "FC") {
+    const [whole, cents] = value.toFixed(2).split(".");
+    const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, " ");
+    return `${cents === "00" ? grouped : `${grouped},${cents}`} FC`;
+  }
+  return `$${value.toFixed(2)}`;
+}
+
+// ISO 4217 code, for Intl.NumberFormat
+function isoCurrencyCode(currency) {
+  return currency === "FC" ? "CDF" : "USD";
+}
+
+module.exports = {
+  CURRENCIES,
+  normalizeCurrency,
+  getActiveRate,
+  resolveExchangeRate,
+  roundMoney,
+  convertAmount,
+  fromUSD,
+  usdValue,
+  fcValue,
+  summarizeAmounts,
+  currencyAccumulators,
+  withTotalFC,
+  toUSDExpression,
+  moneyFields,
+  formatAmount,
+  isoCurrencyCode,
+};
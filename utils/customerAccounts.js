@@ -0,0 +1,262 @@
+const Sale = require("../models/Sale");
+const Customer = require("../models/Customer");
+const CustomerPayment = require("../models/CustomerPayment");
+const { convertAmount, roundMoney, usdValue } = require("./currency");
+const { findOpenSession } = require("./cashSessions");
+
+// Customer accounts receivable. A credit sale keeps its balanceDue in the
+// sale currency; the customer balance is the sum of those balances in USD
+// (converted at each sale's snapshotted rate). A pending reservation's
+// balance is not owed yet (the goods have not left the shop): it only
+// becomes a receivable if the reservation is completed before being paid.
+
+// Sales whose balanceDue is owed by the customer
+const RECEIVABLE_SALE_FILTER = {
+  $nor: [{ type: "reservation", status: "pending" }],
+};
+
+function isReceivable(sale) {
+  return !(sale.type === "reservation" && sale.status === "pending");
+}
+
+// Build an error carrying the HTTP status the route should answer with
+function accountError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// USD equivalent of what is still owed on a sale
+function saleBalanceUSD(sale) {
+  if (!(sale.balanceDue > 0)) return 0;
+  return convertAmount(sale.balanceDue, sale.currency || "USD", sale.exchangeRate).usd || 0;
+}
+
+/**
+ * paymentStatus of a sale
+ * @param {number} total
+ * @param {number} amountPaid
+ * @returns {string} paid | partial | unpaid
+ */
+function paymentStatusFor(total, amountPaid) {
+  if (total - amountPaid <= 0.005) return "paid";
+  return amountPaid > 0 ? "partial" : "unpaid";
+}
+
+// Sales that still count for a customer (not voided, corrected or refunded)
+const OPEN_SALE_FILTER = {
+  status: { $in: ["completed", "pending", undefined, null] },
+  type: { $ne: "expense" },
+};
+
+/**
+ * Recalculate customer statistics and balance from their valid sales
+ * @param {string|ObjectId} customerId
+ * @param {ClientSession} session - Optional MongoDB session
+ */
+async function recalculateCustomerStats(customerId, session = null) {
+  try {
+    // FIX: Only include completed sales (exclude voided and corrected)
+    const sales = await Sale.find({ customerId, ...OPEN_SALE_FILTER })
+      .sort({ createdAt: 1 })
+      .select('total totalUSD returnedTotalUSD currency exchangeRate balanceDue status type createdAt') // Only select needed fields
+      .session(session)
+      .lean();
+
+    if (sales.length === 0) {
+      await Customer.findByIdAndUpdate(customerId, {
+        totalPurchases: 0,
+        totalSpent: 0,
+        balance: 0,
+        firstPurchaseDate: null,
+        lastPurchaseDate: null,
+      }, { session });
+      return;
+    }
+
+    const totalPurchases = sales.length;
+    const totalSpent = sales.reduce(
+      (sum, sale) => sum + usdValue(sale, "total") - (sale.returnedTotalUSD || 0),
+      0
+    );
+    const balance = roundMoney(sales.reduce((sum, sale) => sum + (isReceivable(sale) ? saleBalanceUSD(sale) : 0), 0));
+    const firstPurchaseDate = sales[0].createdAt;
+    const lastPurchaseDate = sales[sales.length - 1].createdAt;
+
+    await Customer.findByIdAndUpdate(customerId, {
+      totalPurchases,
+      totalSpent,
+      balance,
+      firstPurchaseDate,
+      lastPurchaseDate,
+    }, { session });
+  } catch (error) {
+    console.error("Error recalculating customer stats:", error);
+    throw error;
+  }
+}
+
+// USD value of the store credit tenders of a sale
+function storeCreditUsed(payments) {
+  return roundMoney(
+    (payments || [])
+      .filter((payment) => payment.method === "store_credit")
+      .reduce((sum, payment) => sum + (payment.amountUSD || 0), 0)
+  );
+}
+
+/**
+ * Spend store credit (from returns) on a sale
+ * @param {string|ObjectId} customerId
+ * @param {number} amountUSD
+ * @param {ClientSession} session
+ * @throws {Error} status 400 when the customer does not have enough credit
+ */
+async function spendStoreCredit(customerId, amountUSD, session = null) {
+  if (!(amountUSD > 0)) return;
+  const customer = await Customer.findOneAndUpdate(
+    { _id: customerId, storeCredit: { $gte: amountUSD } },
+    { $inc: { storeCredit: -amountUSD } },
+    { new: true, session }
+  );
+  if (!customer) {
+    throw accountError(400, `Avoir insuffisant pour régler $${amountUSD.toFixed(2)}`);
+  }
+}
+
+/**
+ * Check that adding `additionalUSD` to a customer's balance stays within
+ * their credit limit
+ * @param {Object} customer - Customer document
+ * @param {number} additionalUSD
+ * @throws {Error} status 403 when the limit would be exceeded
+ */
+function assertCreditAvailable(customer, additionalUSD) {
+  if (!(additionalUSD > 0)) return;
+  const newBalance = (customer.balance || 0) + additionalUSD;
+  if (newBalance > (customer.creditLimit || 0) + 0.005) {
+    const available = Math.max((customer.creditLimit || 0) - (customer.balance || 0), 0);
+    throw accountError(
+      403,
+      `Crédit refusé pour ${customer.name} : plafond de $${(customer.creditLimit || 0).toFixed(2)}, disponible $${available.toFixed(2)}`
+    );
+  }
+}
+
+/**
+ * Record a customer repayment and allocate it to their oldest unpaid sales
+ * first. Must run inside a transaction.
+ * @param {Object} params
+ * @param {Object} params.customer - Customer document
+ * @param {number} params.amount - Amount received, in `currency`
+ * @param {string} params.currency
+ * @param {number|null} params.exchangeRate - Rate snapshotted on the payment
+ * @param {string} params.method - cash | card | mpesa | bank | other
+ * @param {string} params.reference
+ * @param {string} params.notes
+ * @param {Object} params.user - req.user
+ * @param {ClientSession} params.session
+ * @returns {Promise<Object>} the CustomerPayment
+ */
+async function recordCustomerPayment({
+  customer,
+  amount,
+  currency,
+  exchangeRate,
+  method,
+  reference = "",
+  notes = "",
+  user,
+  session,
+}) {
+  const { usd: amountUSD } = convertAmount(amount, currency, exchangeRate);
+  if (amountUSD === null) {
+    throw accountError(400, "Aucun taux de change actif : paiement en FC impossible");
+  }
+
+  const openSales = await Sale.find({
+    customerId: customer._id,
+    balanceDue: { $gt: 0 },
+    ...OPEN_SALE_FILTER,
+    ...RECEIVABLE_SALE_FILTER,
+  })
+    .sort({ createdAt: 1 })
+    .session(session);
+
+  const owedUSD = roundMoney(openSales.reduce((sum, sale) => sum + saleBalanceUSD(sale), 0));
+  if (owedUSD <= 0) {
+    throw accountError(400, `${customer.name} n'a aucun solde à régler`);
+  }
+  if (amountUSD > owedUSD + 0.01) {
+    throw accountError(400, `Le paiement ($${amountUSD.toFixed(2)}) dépasse le solde dû ($${owedUSD.toFixed(2)})`);
+  }
+
+  const allocations = [];
+  let remainingUSD = amountUSD;
+  for (const sale of openSales) {
+    if (remainingUSD <= 0.005) break;
+
+    const balanceUSD = saleBalanceUSD(sale);
+    let applied;
+    let appliedUSD;
+    if (remainingUSD >= balanceUSD - 0.005) {
+      // Settle the sale completely (no rounding residue left on it)
+      applied = sale.balanceDue;
+      appliedUSD = balanceUSD;
+    } else {
+      applied = sale.currency === "FC"
+        ? roundMoney(remainingUSD * sale.exchangeRate)
+        : roundMoney(remainingUSD);
+      appliedUSD = remainingUSD;
+    }
+
+    sale.amountPaid = roundMoney((sale.amountPaid ?? sale.total - sale.balanceDue) + applied);
+    sale.balanceDue = roundMoney(Math.max(sale.balanceDue - applied, 0));
+    sale.paymentStatus = paymentStatusFor(sale.total, sale.amountPaid);
+    await sale.save({ session });
+
+    allocations.push({
+      sale: sale._id,
+      saleNumber: sale.saleNumber || sale.saleId,
+      amount: applied,
+      amountUSD: roundMoney(appliedUSD),
+    });
+    remainingUSD = roundMoney(remainingUSD - appliedUSD);
+  }
+
+  const paymentId = `PAY-${Date.now()}-${Math.random()
+    .toString(36)
+    .substr(2, 5)
+    .toUpperCase()}`;
+
+  const [payment] = await CustomerPayment.create([{
+    paymentId,
+    customer: customer._id,
+    method,
+    amount: roundMoney(amount),
+    currency,
+    exchangeRate: exchangeRate || null,
+    amountUSD,
+    reference,
+    notes,
+    allocations,
+    cashSession: (await findOpenSession(user, session))?._id || null,
+    receivedBy: user._id,
+    receivedByName: user.username,
+  }], { session });
+
+  await recalculateCustomerStats(customer._id, session);
+  return payment;
+}
+
+module.exports = {
+  RECEIVABLE_SALE_FILTER,
+  isReceivable,
+  saleBalanceUSD,
+  paymentStatusFor,
+  recalculateCustomerStats,
+  assertCreditAvailable,
+  recordCustomerPayment,
+  storeCreditUsed,
+  spendStoreCredit,
+};
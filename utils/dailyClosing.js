@@ -0,0 +1,221 @@
+const mongoose = require("mongoose");
+const Sale = require("../models/Sale");
+const Entry = require("../models/Entry");
+const Expense = require("../models/Expense");
+const CashSession = require("../models/CashSession");
+const DailyClosing = require("../models/DailyClosing");
+const { dailyStats } = require("./dailyReport");
+const { nextSequence, formatDateKey } = require("./counters");
+const { roundMoney } = require("./currency");
+const { ensurePeriodLocked, touchDayGuard } = require("./periodLocks");
+
+function closingError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Day to close, from YYYY-MM-DD (server timezone). Defaults to today.
+ * @param {string|undefined} value
+ * @returns {Date} noon of that day
+ * @throws {Error} status 400 for an invalid or future day
+ */
+function parseClosingDay(value) {
+  let day = new Date();
+  if (value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    day = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(NaN);
+    if (isNaN(day.getTime()) || formatDateKey(day) !== value) {
+      throw closingError(400, "date must be YYYY-MM-DD");
+    }
+  }
+  day.setHours(12, 0, 0, 0);
+  if (formatDateKey(day) > formatDateKey(new Date())) {
+    throw closingError(400, "Cannot close a day that has not started");
+  }
+  return day;
+}
+
+// Group documents by payment method and currency
+async function amountsByMethod(model, match, methodField, amountField, session = null) {
+  const rows = await model.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { method: methodField, currency: { $ifNull: ["$currency", "USD"] } },
+        count: { $sum: 1 },
+        amount: { $sum: amountField },
+        amountUSD: { $sum: { $ifNull: ["$amountUSD", { $ifNull: ["$totalUSD", amountField] }] } },
+      },
+    },
+    { $sort: { "_id.method": 1, "_id.currency": 1 } },
+  ]).session(session);
+  return rows.map((row) => ({
+    method: row._id.method,
+    currency: row._id.currency,
+    count: row.count,
+    amount: roundMoney(row.amount),
+    amountUSD: roundMoney(row.amountUSD),
+  }));
+}
+
+function totalUSD(rows) {
+  return roundMoney(rows.reduce((sum, row) => sum + row.amountUSD, 0));
+}
+
+/**
+ * Totals of a business day for the Z report: sales and tenders by payment
+ * method, reservations, voids, returns, discounts, entries, validated
+ * expenses and the cash drawer sessions closed that day. Amounts are USD
+ * equivalents unless given per currency.
+ * @param {Date} day - Any time of the day
+ * @param {ClientSession} session - Optional MongoDB session
+ * @returns {Promise<Object>}
+ */
+async function buildClosingTotals(day, session = null) {
+  const stats = await dailyStats(day, session);
+  const periodStart = new Date(day);
+  periodStart.setHours(0, 0, 0, 0);
+  const periodEnd = new Date(day);
+  periodEnd.setHours(23, 59, 59, 999);
+  const period = { $gte: periodStart, $lte: periodEnd };
+
+  const reservationsCreated = await Sale.countDocuments({ type: "reservation", createdAt: period })
+    .session(session);
+  const reservationsCollected = await Sale.countDocuments({
+    type: "reservation",
+    status: { $in: ["completed", "refunded"] },
+    completedAt: period,
+  }).session(session);
+  const reservationsPending = await Sale.countDocuments({ type: "reservation", status: "pending" })
+    .session(session);
+
+  const voided = await Sale.find({ status: "voided", voidedAt: period })
+    .select("saleNumber type totalUSD total expiredAt")
+    .session(session)
+    .lean();
+
+  const entries = await amountsByMethod(
+    Entry, { status: "active", createdAt: period }, "$paymentMethod", "$amount", session
+  );
+  const expenses = await amountsByMethod(
+    Expense, { status: "validated", createdAt: period }, "$paymentMethod", "$amount", session
+  );
+  // Expenses recorded through POST /api/sales (type "expense")
+  const tillExpenses = await amountsByMethod(
+    Sale, { type: "expense", createdAt: period }, "$paymentMethod", "$total", session
+  );
+
+  const sessions = await CashSession.find({ status: "closed", closedAt: period })
+    .sort({ closedAt: 1 })
+    .session(session)
+    .lean();
+  const cashSessions = sessions.map((cashSession) => ({
+    sessionNumber: cashSession.sessionNumber,
+    register: cashSession.register,
+    openedByName: cashSession.openedByName,
+    expected: cashSession.expected,
+    counted: cashSession.counted,
+    variance: cashSession.variance,
+  }));
+  const variance = { USD: 0, FC: 0 };
+  cashSessions.forEach((cashSession) => {
+    variance.USD = roundMoney(variance.USD + (cashSession.variance?.USD || 0));
+    variance.FC = roundMoney(variance.FC + (cashSession.variance?.FC || 0));
+  });
+
+  return {
+    periodStart,
+    periodEnd,
+    exchangeRate: stats.exchangeRate,
+    sales: {
+      count: stats.totalSales,
+      items: stats.totalItems,
+      revenueUSD: roundMoney(stats.totalRevenue),
+      revenueByCurrency: stats.revenueByCurrency,
+      discountsUSD: stats.totalDiscounts,
+      promotionsUSD: roundMoney(stats.sales.reduce((sum, sale) => sum + (sale.promotionTotalUSD || 0), 0)),
+      taxUSD: stats.totalTax,
+      netRevenueUSD: stats.netRevenue,
+    },
+    // Money received that day, sales and deposits together
+    tenders: stats.tenders,
+    reservations: {
+      created: reservationsCreated,
+      collected: reservationsCollected,
+      pending: reservationsPending,
+      depositsUSD: stats.deposits.amountUSD,
+    },
+    voids: {
+      count: voided.length,
+      expired: voided.filter((sale) => sale.expiredAt).length,
+      totalUSD: roundMoney(voided.reduce((sum, sale) => sum + (sale.totalUSD ?? sale.total ?? 0), 0)),
+      saleNumbers: voided.map((sale) => sale.saleNumber),
+    },
+    returns: stats.returns,
+    accountPayments: stats.accountPayments,
+    entries: { totalUSD: totalUSD(entries), byMethod: entries },
+    expenses: {
+      totalUSD: roundMoney(totalUSD(expenses) + totalUSD(tillExpenses)),
+      validated: expenses,
+      till: tillExpenses,
+    },
+    cash: stats.cash,
+    cashSessions: { sessions: cashSessions, variance },
+  };
+}
+
+/**
+ * Generate and freeze the closing of a day, and lock the day (PeriodLock)
+ * so no sale can be added to or changed in it afterwards. The totals, the
+ * Z number and the lock are taken in one transaction, which conflicts with
+ * sales recorded meanwhile (see assertDayOpen), so the report is complete
+ * and numbers have no gaps.
+ * @param {string|undefined} date - YYYY-MM-DD, defaults to today
+ * @param {Object} user - req.user
+ * @param {string} notes
+ * @returns {Promise<Object>} the DailyClosing
+ * @throws {Error} status 409 when the day is already closed
+ */
+async function createDailyClosing(date, user, notes = "") {
+  const day = parseClosingDay(date);
+  const dateKey = formatDateKey(day);
+  if (await DailyClosing.exists({ date: dateKey })) {
+    throw closingError(409, `La journée du ${dateKey} est déjà clôturée`);
+  }
+
+  try {
+    return await mongoose.connection.transaction(async (session) => {
+      // Before reading the totals, so a sale recorded meanwhile conflicts
+      await touchDayGuard(day, session);
+      const report = await buildClosingTotals(day, session);
+      const seq = await nextSequence(`zreport:${day.getFullYear()}`, session);
+      const closingNumber = `Z-${day.getFullYear()}-${String(seq).padStart(4, "0")}`;
+      const [closing] = await DailyClosing.create([{
+        closingNumber,
+        date: dateKey,
+        periodStart: report.periodStart,
+        periodEnd: report.periodEnd,
+        report,
+        notes: String(notes || "").trim(),
+        generatedBy: user._id,
+        generatedByName: user.username,
+      }], { session });
+      await ensurePeriodLocked(dateKey, user, `Clôture ${closingNumber}`, session);
+      return closing;
+    });
+  } catch (error) {
+    // Generated concurrently by someone else
+    if (error.code === 11000) {
+      throw closingError(409, `La journée du ${dateKey} est déjà clôturée`);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  parseClosingDay,
+  buildClosingTotals,
+  createDailyClosing,
+};
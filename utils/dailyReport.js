@@ -0,0 +1,220 @@
+const Sale = require("../models/Sale");
+const CustomerPayment = require("../models/CustomerPayment");
+const SaleReturn = require("../models/SaleReturn");
+const {
+  getActiveRate,
+  roundMoney,
+  currencyAccumulators,
+  withTotalFC,
+  toUSDExpression,
+} = require("./currency");
+
+// Figures of one business day (server timezone), shared by
+// GET /api/sales/stats/daily and the closing report (utils/dailyClosing.js)
+
+// $map expression giving the USD cost of each line of a sale (unknown cost = 0)
+const LINE_COST_MAP = {
+  input: "$items",
+  as: "item",
+  in: toUSDExpression({ $multiply: [{ $ifNull: ["$$item.unitCost", 0] }, "$$item.quantity"] }),
+};
+
+// Tenders of a sale; sales recorded before split payments count as a single
+// tender of their paymentMethod
+const SALE_TENDERS = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ["$payments", []] } }, 0] },
+    "$payments",
+    [{
+      method: { $cond: [{ $eq: ["$paymentMethod", "transfer"] }, "bank", "$paymentMethod"] },
+      amount: "$total",
+      currency: { $ifNull: ["$currency", "USD"] },
+      amountUSD: { $ifNull: ["$totalUSD", "$total"] },
+    }],
+  ],
+};
+
+/**
+ * Earned revenue, tenders received, deposits, repayments, returns and cash
+ * of a day. Amounts are USD equivalents unless stated otherwise.
+ * @param {Date} targetDate - Any time of the day
+ * @param {ClientSession} session - Optional MongoDB session (Z report)
+ * @returns {Promise<Object>}
+ */
+async function dailyStats(targetDate = new Date(), session = null) {
+  const startOfDay = new Date(targetDate);
+  startOfDay.setHours(0, 0, 0, 0);
+  const endOfDay = new Date(targetDate);
+  endOfDay.setHours(23, 59, 59, 999);
+
+  const currentRate = await getActiveRate();
+  const day = { $gte: startOfDay, $lte: endOfDay };
+  // Earned revenue: sales made that day and reservations collected that
+  // day. Money taken on reservations still on hold is reported as deposits.
+  const earnedMatch = {
+    // Fully returned sales stay in their day; the return is deducted on its own day
+    status: { $in: ["completed", "refunded"] },
+    $or: [
+      { type: "sale", createdAt: day },
+      { type: "reservation", completedAt: day },
+      { type: "reservation", completedAt: null, createdAt: day },
+    ],
+  };
+  const dailySales = await Sale.aggregate([
+    { $match: earnedMatch },
+    {
+      $group: {
+        _id: null,
+        totalSales: { $sum: 1 },
+        ...currencyAccumulators("total", currentRate),
+        totalCost: { $sum: { $sum: { $map: LINE_COST_MAP } } },
+        totalDiscounts: { $sum: { $ifNull: ["$discountTotalUSD", 0] } },
+        totalTax: { $sum: { $ifNull: ["$taxTotalUSD", 0] } },
+        totalItems: { $sum: { $size: "$items" } },
+      },
+    },
+  ]).session(session);
+
+  // Money received that day per tender and currency (cash per currency is
+  // what the drawer should hold), including reservation deposits
+  const receivedTenders = [
+    {
+      $match: {
+        status: { $in: ["completed", "pending", "refunded"] },
+        type: { $in: ["sale", "reservation"] },
+        $or: [{ createdAt: day }, { "payments.receivedAt": day }],
+      },
+    },
+    { $project: { type: 1, status: 1, createdAt: 1, tender: SALE_TENDERS } },
+    { $unwind: "$tender" },
+    { $match: { $expr: { $and: [
+      { $gte: [{ $ifNull: ["$tender.receivedAt", "$createdAt"] }, startOfDay] },
+      { $lte: [{ $ifNull: ["$tender.receivedAt", "$createdAt"] }, endOfDay] },
+    ] } } },
+  ];
+  const tenderGroup = {
+    $group: {
+      _id: { method: "$tender.method", currency: "$tender.currency" },
+      count: { $sum: 1 },
+      amount: { $sum: "$tender.amount" },
+      amountUSD: { $sum: "$tender.amountUSD" },
+    },
+  };
+  // One after the other: a transaction session runs one operation at a time
+  const tenderRows = await Sale.aggregate([
+    ...receivedTenders,
+    tenderGroup,
+    { $sort: { "_id.method": 1, "_id.currency": 1 } },
+  ]).session(session);
+  const depositRows = await Sale.aggregate([
+    ...receivedTenders,
+    { $match: { type: "reservation", status: "pending" } },
+    tenderGroup,
+    { $sort: { "_id.method": 1, "_id.currency": 1 } },
+  ]).session(session);
+  const tenderSummary = (row) => ({
+    method: row._id.method,
+    currency: row._id.currency,
+    count: row.count,
+    amount: roundMoney(row.amount),
+    amountUSD: roundMoney(row.amountUSD),
+  });
+  const tenders = tenderRows.map(tenderSummary);
+  const depositTenders = depositRows.map(tenderSummary);
+
+  // Repayments of credit sales received the same day
+  const accountPaymentRows = await CustomerPayment.aggregate([
+    { $match: { createdAt: { $gte: startOfDay, $lte: endOfDay } } },
+    {
+      $group: {
+        _id: { method: "$method", currency: "$currency" },
+        count: { $sum: 1 },
+        amount: { $sum: "$amount" },
+        amountUSD: { $sum: "$amountUSD" },
+      },
+    },
+    { $sort: { "_id.method": 1, "_id.currency": 1 } },
+  ]).session(session);
+  const accountPayments = accountPaymentRows.map(tenderSummary);
+
+  // Goods returned that day and what was given back for them
+  const returnRows = await SaleReturn.aggregate([
+    { $match: { createdAt: day } },
+    {
+      $group: {
+        _id: { resolution: "$resolution", method: "$refundMethod", currency: "$currency" },
+        count: { $sum: 1 },
+        totalUSD: { $sum: { $ifNull: ["$totalUSD", 0] } },
+        amount: { $sum: "$refundAmount" },
+        amountUSD: { $sum: "$refundAmountUSD" },
+      },
+    },
+  ]).session(session);
+  const refunds = returnRows
+    .filter((row) => row._id.resolution === "refund")
+    .map((row) => ({
+      method: row._id.method,
+      currency: row._id.currency,
+      count: row.count,
+      amount: roundMoney(row.amount),
+      amountUSD: roundMoney(row.amountUSD),
+    }));
+  const returnsSummary = {
+    count: returnRows.reduce((sum, row) => sum + row.count, 0),
+    totalUSD: roundMoney(returnRows.reduce((sum, row) => sum + row.totalUSD, 0)),
+    storeCreditUSD: roundMoney(returnRows
+      .filter((row) => row._id.resolution === "store_credit")
+      .reduce((sum, row) => sum + row.amountUSD, 0)),
+    refunds,
+  };
+
+  const cash = { USD: 0, FC: 0 };
+  [...tenders, ...accountPayments]
+    .filter((tender) => tender.method === "cash")
+    .forEach((tender) => { cash[tender.currency] = roundMoney(cash[tender.currency] + tender.amount); });
+  refunds
+    .filter((refund) => refund.method === "cash")
+    .forEach((refund) => { cash[refund.currency] = roundMoney(cash[refund.currency] - refund.amount); });
+
+  // Use timeframe-based query (no limit) for consistency
+  const sales = await Sale.find(earnedMatch)
+    .sort({ createdAt: -1 })
+    .select('-__v')
+    .session(session)
+    .lean();
+
+  // Revenue, cost and profit are USD equivalents
+  return {
+    date: targetDate.toISOString().split("T")[0],
+    totalSales: dailySales[0]?.totalSales || 0,
+    totalRevenue: dailySales[0]?.totalUSD || 0,
+    totalRevenueFC: withTotalFC(dailySales[0])?.totalFC ?? null,
+    revenueByCurrency: {
+      USD: dailySales[0]?.recordedUSD || 0,
+      FC: dailySales[0]?.recordedFC || 0,
+    },
+    exchangeRate: currentRate,
+    totalCost: dailySales[0]?.totalCost || 0,
+    totalDiscounts: roundMoney(dailySales[0]?.totalDiscounts || 0),
+    // Collected for the State: not part of the profit
+    totalTax: roundMoney(dailySales[0]?.totalTax || 0),
+    grossProfit: (dailySales[0]?.totalUSD || 0) - (dailySales[0]?.totalTax || 0) - (dailySales[0]?.totalCost || 0),
+    // Revenue less the value of goods returned that day
+    netRevenue: roundMoney((dailySales[0]?.totalUSD || 0) - returnsSummary.totalUSD),
+    totalItems: dailySales[0]?.totalItems || 0,
+    tenders,
+    // Received on reservations not collected yet (not revenue)
+    deposits: {
+      amountUSD: roundMoney(depositTenders.reduce((sum, tender) => sum + tender.amountUSD, 0)),
+      tenders: depositTenders,
+    },
+    accountPayments,
+    returns: returnsSummary,
+    cash,
+    sales,
+  };
+}
+
+module.exports = {
+  dailyStats,
+};
@@ -0,0 +1,109 @@
+const { roundMoney } = require("./currency");
+
+// Discounts are given per line and/or on the whole order, as a percentage
+// or a fixed amount (in the sale currency). Each role may give at most a
+// percentage of the amount discounted (ShopSettings.discountLimits).
+const DISCOUNT_TYPES = ["percent", "fixed"];
+
+const DEFAULT_DISCOUNT_LIMITS = {
+  staff: 5,
+  cashier_supervisor: 10,
+  inventory_manager: 5,
+  manager: 20,
+  admin: 100,
+};
+
+function discountError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Validate a requested discount and compute its amount
+ * @param {Object|undefined} discount - { type: percent|fixed, value, reason }
+ * @param {number} base - Amount the discount applies to
+ * @param {string} label - Line or order, for error messages
+ * @returns {{type: string, value: number, amount: number, reason: string}|null}
+ *   null when no discount was requested
+ * @throws {Error} status 400 for an invalid discount
+ */
+function normalizeDiscount(discount, base, label) {
+  if (!discount || discount.value === undefined || discount.value === null || discount.value === "") {
+    return null;
+  }
+  const type = String(discount.type || "percent").toLowerCase();
+  if (!DISCOUNT_TYPES.includes(type)) {
+    throw discountError(400, `Invalid discount type for ${label}. Use one of: ${DISCOUNT_TYPES.join(", ")}`);
+  }
+  const value = Number(discount.value);
+  if (!(value >= 0)) {
+    throw discountError(400, `Discount for ${label} must be a number >= 0`);
+  }
+  if (value === 0) return null;
+  if (type === "percent" && value > 100) {
+    throw discountError(400, `Discount for ${label} cannot exceed 100%`);
+  }
+  const amount = roundMoney(type === "percent" ? (base * value) / 100 : value);
+  if (amount > base + 0.005) {
+    throw discountError(400, `Discount for ${label} (${amount}) exceeds its amount (${roundMoney(base)})`);
+  }
+  return { type, value, amount: Math.min(amount, roundMoney(base)), reason: String(discount.reason || "").trim() };
+}
+
+/**
+ * Highest discount (percent) the user's role may give
+ * @param {Object} user - req.user
+ * @param {Object} settings - ShopSettings
+ * @returns {number}
+ */
+function discountLimitFor(user, settings) {
+  const limits = settings?.discountLimits || {};
+  const limit = limits[user.role] ?? DEFAULT_DISCOUNT_LIMITS[user.role];
+  return typeof limit === "number" ? limit : 0;
+}
+
+/**
+ * Reject a discount above the user's limit
+ * @param {number} amount - Discount given
+ * @param {number} base - Amount before the discount
+ * @param {number} limit - Percent allowed (discountLimitFor)
+ * @param {string} label
+ * @throws {Error} status 403
+ */
+function assertDiscountAllowed(amount, base, limit, label) {
+  if (!(amount > 0) || !(base > 0)) return;
+  const percent = (amount / base) * 100;
+  if (percent > limit + 0.001) {
+    throw discountError(
+      403,
+      `Remise de ${roundMoney(percent)}% sur ${label} : votre limite est de ${limit}%. Autorisation d'un manager requise.`
+    );
+  }
+}
+
+/**
+ * Spread an order discount over the lines in proportion to their totals, so
+ * per-line reports (margins) add up to the sale total
+ * @param {Array} items - Sale lines (total after line discounts)
+ * @param {number} amount - Order discount
+ */
+function allocateOrderDiscount(items, amount) {
+  const base = items.reduce((sum, item) => sum + item.total, 0);
+  let remaining = roundMoney(amount);
+  items.forEach((item, index) => {
+    const share = index === items.length - 1 || base <= 0
+      ? remaining
+      : roundMoney((amount * item.total) / base);
+    item.orderDiscountShare = Math.min(share, remaining);
+    remaining = roundMoney(remaining - item.orderDiscountShare);
+  });
+}
+
+module.exports = {
+  DEFAULT_DISCOUNT_LIMITS,
+  normalizeDiscount,
+  discountLimitFor,
+  assertDiscountAllowed,
+  allocateOrderDiscount,
+};
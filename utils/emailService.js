@@ -14,6 +14,17 @@ const COMPANY_NAME = "EST. DIEU MERCI";
 const COMPANY_SLOGAN = "Votre Partenaire de Confiance";
 const COMPANY_COLOR = "#1e40af";
 const COMPANY_SECONDARY_COLOR = "#dc2626";
+// Base URL of the POS web app, for links to its pages
+const POS_BASE_URL = (process.env.POS_URL || "https://etsdieumerci.netlify.app").replace(/\/+$/, "");
+
+// Customer-entered text put into email HTML
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
 
 // Fonction DEBUG pour voir tous les utilisateurs
 async function debugAllUsers() {
@@ -285,7 +296,102 @@ async function sendEmailToRecipients(expense, recipientEmails) {
   }
 }
 
+// Emails des administrateurs et gérants actifs (suivi des réservations)
+async function getStaffEmails() {
+  const staff = await User.find({
+    role: { $in: ["admin", "manager"] },
+    isActive: true,
+  }).select("email");
+  return staff.map((user) => user.email).filter(Boolean);
+}
+
+// Notification des réservations arrivées à échéance et non récupérées
+async function sendReservationOverdueNotification(reservations) {
+  try {
+    const recipientEmails = await getStaffEmails();
+    if (recipientEmails.length === 0) {
+      console.log("⚠️ Aucun destinataire pour la notification des réservations échues");
+      return;
+    }
+
+    const rows = reservations.map((reservation) => {
+      const currency = reservation.currency || "USD";
+      const paid = reservation.amountPaid ?? reservation.total;
+      return `
+                            <tr>
+                                <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; font-weight: 600;">${escapeHtml(reservation.saleNumber || reservation.saleId)}</td>
+                                <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${escapeHtml(reservation.customer?.name)}<br><span style="color: #6b7280;">${escapeHtml(reservation.customer?.phone)}</span></td>
+                                <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${new Date(reservation.reservationExpiresAt).toLocaleDateString("fr-FR")}</td>
+                                <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: right;">${reservation.total} ${currency}</td>
+                                <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: right;">${paid} ${currency}</td>
+                            </tr>`;
+    }).join("");
+
+    const mailOptions = {
+      from: `${COMPANY_NAME} <${process.env.GMAIL_USER}>`,
+      to: recipientEmails.join(", "),
+      subject: `⏰ ${COMPANY_NAME} - ${reservations.length} réservation(s) échue(s) non récupérée(s)`,
+      html: `
+        <!DOCTYPE html>
+        <html lang="fr">
+        <head>
+            <meta charset="UTF-8">
+            <title>Réservations échues - ${COMPANY_NAME}</title>
+        </head>
+        <body style="font-family: 'Segoe UI', Arial, sans-serif; margin: 0; padding: 0; background-color: #f8fafc;">
+            <div style="max-width: 600px; margin: 0 auto; background: white; border-radius: 12px; overflow: hidden;">
+                <div style="background: linear-gradient(135deg, ${COMPANY_COLOR}, ${COMPANY_SECONDARY_COLOR}); padding: 30px 20px; text-align: center; color: white;">
+                    <h1 style="margin: 0; font-size: 28px; font-weight: 700;">${COMPANY_NAME}</h1>
+                    <p style="margin: 5px 0 0 0; font-size: 16px; opacity: 0.9;">${COMPANY_SLOGAN}</p>
+                </div>
+
+                <div style="padding: 25px;">
+                    <h2 style="margin: 0 0 10px 0; color: ${COMPANY_SECONDARY_COLOR}; font-size: 20px;">Réservations échues</h2>
+                    <p style="margin: 0 0 20px 0; color: #6b7280; font-size: 14px;">
+                        Ces réservations n'ont pas été récupérées à la date prévue. Sans action de votre part,
+                        elles seront annulées à la fin du délai de grâce et les articles remis en stock.
+                        Les acomptes éventuels restent à régler avec le client.
+                    </p>
+
+                    <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+                        <tr style="background: #f8fafc; color: ${COMPANY_COLOR};">
+                            <th style="padding: 8px; text-align: left;">N°</th>
+                            <th style="padding: 8px; text-align: left;">Client</th>
+                            <th style="padding: 8px; text-align: left;">Échéance</th>
+                            <th style="padding: 8px; text-align: right;">Total</th>
+                            <th style="padding: 8px; text-align: right;">Payé</th>
+                        </tr>${rows}
+                    </table>
+
+                    <div style="text-align: center; margin: 25px 0;">
+                        <a href="${POS_BASE_URL}/reservations"
+                           style="background: linear-gradient(135deg, ${COMPANY_COLOR}, ${COMPANY_SECONDARY_COLOR}); color: white; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 15px; display: inline-block;">
+                            🔍 Voir les réservations
+                        </a>
+                    </div>
+                </div>
+
+                <div style="background: #1f2937; color: #9ca3af; padding: 20px; text-align: center; font-size: 12px;">
+                    <p style="margin: 0;">
+                        Cet email a été envoyé automatiquement aux administrateurs et gérants.<br>
+                        © ${new Date().getFullYear()} ${COMPANY_NAME}. Tous droits réservés.
+                    </p>
+                </div>
+            </div>
+        </body>
+        </html>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ ${COMPANY_NAME} - Notification de ${reservations.length} réservation(s) échue(s) envoyée à: ${recipientEmails.join(", ")}`);
+  } catch (error) {
+    console.error("❌ Échec de la notification des réservations échues:", error);
+  }
+}
+
 module.exports = {
   sendExpenseNotification,
+  sendReservationOverdueNotification,
   getAdminEmails,
 };
\ No newline at end of file
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+const HeldCart = require("../models/HeldCart");
+
+/**
+ * Quantities soft-reserved by held carts whose reservation has not lapsed
+ * @param {Object} options
+ * @param {string|ObjectId|null} options.excludeCartId - Cart being resumed
+ *   or edited, whose own reservation does not count against it
+ * @param {ClientSession} options.session - Optional MongoDB session
+ * @returns {Promise<Map>} productId (string) -> reserved quantity
+ */
+async function reservedQuantities({ excludeCartId = null, session = null } = {}) {
+  const match = { status: "held", reserveStock: true, reservedUntil: { $gt: new Date() } };
+  if (excludeCartId) {
+    match._id = { $ne: new mongoose.Types.ObjectId(String(excludeCartId)) };
+  }
+  const rows = await HeldCart.aggregate([
+    { $match: match },
+    { $unwind: "$items" },
+    { $group: { _id: "$items.productId", quantity: { $sum: "$items.quantity" } } },
+  ]).session(session);
+  return new Map(rows.map((row) => [String(row._id), row.quantity]));
+}
+
+/**
+ * Whether a cart still holds its quantities
+ * @param {Object} cart
+ * @returns {boolean}
+ */
+function isReserving(cart) {
+  return cart.status === "held" && cart.reserveStock && cart.reservedUntil > new Date();
+}
+
+module.exports = {
+  reservedQuantities,
+  isReserving,
+};
@@ -0,0 +1,84 @@
+const { normalizeCurrency, convertAmount, roundMoney } = require("./currency");
+
+// Tenders of sales, deposits and customer repayments
+
+function paymentError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Normalize a tender method to the payment enum (Sale.payments[].method).
+// Customer repayments use the same values except store_credit.
+function normalizeTenderMethod(method) {
+  const v = String(method || "cash").toLowerCase();
+  if (["cash", "card", "other"].includes(v)) return v;
+  if (["mpesa", "m-pesa"].includes(v)) return "mpesa";
+  if (["bank", "transfer", "wire", "bank transfer"].includes(v)) return "bank";
+  if (["store_credit", "store credit", "avoir"].includes(v)) return "store_credit";
+  return "other";
+}
+
+/**
+ * Validate the tenders of a sale. Without a payments array the whole total
+ * is paid with paymentMethod in the sale currency. Payments in the other
+ * currency are converted at the sale's snapshotted rate and must add up to
+ * the total (within 0.01), or to at most the total for credit sales.
+ * @param {Array} payments - [{ method, amount, currency, reference }]
+ * @param {Object} sale
+ * @param {number} sale.total
+ * @param {string} sale.currency
+ * @param {number|null} sale.exchangeRate
+ * @param {string} sale.paymentMethod - Single tender used when payments is empty
+ * @param {boolean} sale.onAccount - Credit sale: the payments may be less
+ *   than the total (or empty), the rest is owed by the customer
+ * @returns {Array} payments to store on the sale
+ */
+function buildPayments(payments, { total, currency, exchangeRate, paymentMethod, onAccount = false }) {
+  const hasPayments = Array.isArray(payments) && payments.length > 0;
+  if (!hasPayments && onAccount) {
+    return [];
+  }
+  const requested = hasPayments
+    ? payments
+    : [{ method: paymentMethod, amount: total, currency }];
+
+  let paid = 0;
+  const built = requested.map((payment) => {
+    const amount = Number(payment?.amount);
+    if (!(amount > 0)) {
+      throw paymentError(400, "Each payment requires an amount > 0");
+    }
+    const paymentCurrency = normalizeCurrency(payment.currency || currency);
+    if (paymentCurrency !== currency && !exchangeRate) {
+      throw paymentError(400, "Aucun taux de change actif : paiement dans une autre devise impossible");
+    }
+
+    const { usd, fc } = convertAmount(amount, paymentCurrency, exchangeRate);
+    const saleAmount = paymentCurrency === currency
+      ? roundMoney(amount)
+      : currency === "FC" ? fc : usd;
+    paid += saleAmount;
+
+    return {
+      method: normalizeTenderMethod(payment.method),
+      amount: roundMoney(amount),
+      currency: paymentCurrency,
+      saleAmount,
+      amountUSD: usd,
+      reference: String(payment.reference || "").trim(),
+    };
+  });
+
+  if (onAccount ? roundMoney(paid) - total > 0.01 : Math.abs(roundMoney(paid) - total) > 0.01) {
+    throw paymentError(400, onAccount
+      ? `Payments (${roundMoney(paid)} ${currency}) exceed the sale total (${total} ${currency})`
+      : `Payments (${roundMoney(paid)} ${currency}) must add up to the sale total (${total} ${currency})`);
+  }
+  return built;
+}
+
+module.exports = {
+  normalizeTenderMethod,
+  buildPayments,
+};
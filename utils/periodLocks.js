@@ -0,0 +1,137 @@
+const Counter = require("../models/Counter");
+const PeriodLock = require("../models/PeriodLock");
+const { formatDateKey } = require("./counters");
+
+function lockError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Bounds of a period: YYYY-MM-DD (a day) or YYYY-MM (a month), server timezone
+ * @param {string} value
+ * @returns {{period: string, granularity: string, start: Date, end: Date}}
+ * @throws {Error} status 400 for an invalid period
+ */
+function parsePeriod(value) {
+  const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(String(value || ""));
+  if (match) {
+    const year = Number(match[1]);
+    const month = Number(match[2]) - 1;
+    const start = new Date(year, month, match[3] ? Number(match[3]) : 1);
+    const end = match[3]
+      ? new Date(year, month, Number(match[3]) + 1)
+      : new Date(year, month + 1, 1);
+    end.setMilliseconds(-1);
+    const valid = start.getMonth() === month && (!match[3] || start.getDate() === Number(match[3]));
+    if (valid) {
+      return { period: match[0], granularity: match[3] ? "day" : "month", start, end };
+    }
+  }
+  throw lockError(400, "period must be YYYY-MM-DD or YYYY-MM");
+}
+
+/**
+ * Locked period containing one of the dates, if any
+ * @param {...(Date|null)} dates - Dates of the document (nulls are ignored)
+ * @returns {Promise<Object|null>}
+ */
+async function findLock(...dates) {
+  const filter = dates
+    .filter(Boolean)
+    .map((date) => ({ start: { $lte: new Date(date) }, end: { $gte: new Date(date) } }));
+  if (filter.length === 0) return null;
+  return PeriodLock.findOne({ status: "locked", $or: filter }).sort({ start: 1 }).lean();
+}
+
+/**
+ * Reject changes to a document dated inside a locked period
+ * @param {...(Date|null)} dates - Dates of the document (e.g. createdAt,
+ *   completedAt); nulls are ignored
+ * @throws {Error} status 423 when a date falls in a locked period
+ */
+async function assertPeriodOpen(...dates) {
+  const lock = await findLock(...dates);
+  if (lock) {
+    throw lockError(
+      423,
+      `La période ${lock.period} est verrouillée : un administrateur doit la rouvrir pour modifier ce document`
+    );
+  }
+}
+
+/**
+ * Write the day's guard counter. The Z report and the sale transactions
+ * both write it, so they conflict and one of them is retried: a sale cannot
+ * slip in between the closing totals and the lock.
+ * @param {Date} date - Any time of the day
+ * @param {ClientSession} session - MongoDB transaction session
+ * @returns {Promise<void>}
+ */
+async function touchDayGuard(date, session) {
+  await Counter.updateOne(
+    { _id: `day-guard:${formatDateKey(date)}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, session }
+  );
+}
+
+/**
+ * Transactional check that a day is open, to run inside the transaction
+ * that records the document (see touchDayGuard)
+ * @param {ClientSession} session - MongoDB transaction session
+ * @param {Date} date - Any time of the day, defaults to now
+ * @throws {Error} status 423 when the day is in a locked period
+ */
+async function assertDayOpen(session, date = new Date()) {
+  await touchDayGuard(date, session);
+  const lock = await PeriodLock.findOne({ status: "locked", start: { $lte: date }, end: { $gte: date } })
+    .session(session)
+    .lean();
+  if (lock) {
+    throw lockError(
+      423,
+      `La période ${lock.period} est verrouillée : un administrateur doit la rouvrir pour modifier ce document`
+    );
+  }
+}
+
+/**
+ * Lock a period unless it is already locked (a reopened period is locked
+ * again), e.g. the day of a Z report
+ * @param {string} value - YYYY-MM-DD or YYYY-MM
+ * @param {Object} user - req.user
+ * @param {string} reason - Kept in the lock history
+ * @param {ClientSession} session - Optional MongoDB session
+ * @returns {Promise<void>}
+ */
+async function ensurePeriodLocked(value, user, reason, session = null) {
+  const { period, granularity, start, end } = parsePeriod(value);
+  const event = { action: "lock", by: user._id, byName: user.username, reason };
+  const existing = await PeriodLock.findOne({ period }).session(session);
+  if (existing?.status === "locked") return;
+
+  const locked = { lockedBy: user._id, lockedByName: user.username, lockedAt: new Date() };
+  if (existing) {
+    await PeriodLock.updateOne(
+      { _id: existing._id },
+      { status: "locked", ...locked, $push: { history: event } },
+      { session }
+    );
+    return;
+  }
+  await PeriodLock.create(
+    [{ period, granularity, start, end, ...locked, history: [event] }],
+    { session }
+  );
+}
+
+module.exports = {
+  parsePeriod,
+  findLock,
+  assertPeriodOpen,
+  assertDayOpen,
+  touchDayGuard,
+  ensurePeriodLocked,
+};
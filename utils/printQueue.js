@@ -0,0 +1,266 @@
+const PrintJob = require("../models/PrintJob");
+const Sale = require("../models/Sale");
+const DailyClosing = require("../models/DailyClosing");
+const ShopSettings = require("../models/ShopSettings");
+const { getPrinter, openPrinter, closePrinter } = require("./printers");
+const {
+  DEFAULT_COLUMNS,
+  buildSaleReceipt,
+  buildSaleStub,
+  buildClosingReport,
+  renderEscpos,
+} = require("./receiptRenderer");
+
+const POLL_INTERVAL_MS = Number(process.env.PRINT_QUEUE_INTERVAL_MS) || 5000;
+const RETRY_BASE_SECONDS = Number(process.env.PRINT_RETRY_BASE_SECONDS) || 10;
+const RETRY_MAX_SECONDS = 300;
+// An attempt the printer has not completed after this long fails (retried)
+const PRINT_TIMEOUT_MS = Number(process.env.PRINT_TIMEOUT_MS) || 30000;
+// A job still "printing" after this long was interrupted (server restart)
+const STALE_PRINTING_MS = 2 * 60 * 1000;
+
+const SALE_DOCUMENTS = {
+  receipt: { build: buildSaleReceipt, counter: "receiptPrintCount" },
+  stub: { build: buildSaleStub, counter: "stubPrintCount" },
+};
+
+// Failure that retrying cannot fix (sale deleted, unknown printer...)
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+// Delay before the next attempt: 10s, 20s, 40s... capped at 5 minutes
+function retryDelayMs(attempts) {
+  const seconds = Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+  return seconds * 1000;
+}
+
+// Map the receiptData sent by the till to the sale/settings shape used by
+// the layouts
+function legacyDocument(receiptData, type, settings) {
+  const sale = {
+    dateLabel: receiptData.date,
+    saleNumber: receiptData.receiptNumber,
+    stubNumber: receiptData.stubNumber,
+    customer: {
+      name: receiptData.customerName,
+      phone: receiptData.customerPhone,
+      email: receiptData.customerEmail,
+    },
+    items: receiptData.items,
+    total: receiptData.total,
+    currency: receiptData.currency || "USD",
+    exchangeRate: receiptData.exchangeRate || null,
+    paymentMethod: receiptData.paymentMethod,
+    salesPerson: receiptData.salesPerson,
+    type,
+  };
+  const shop = {
+    ...settings.toObject(),
+    shopAddress: receiptData.shopAddress,
+    shopRegistration: `RCCM: ${receiptData.shopRegistration}`,
+    shopNumber: receiptData.shopNumber,
+    receiptFooter: "✅ Merci pour votre achat !",
+  };
+  return { sale, shop };
+}
+
+async function sendToPrinter(printerId, blocks) {
+  const { profile, printer, error, status } = await getPrinter(printerId);
+  if (!printer) {
+    throw status === 404 ? permanentError(error) : new Error(error);
+  }
+  const print = (async () => {
+    await openPrinter(printer);
+    renderEscpos(printer, blocks, profile?.columns || DEFAULT_COLUMNS);
+    printer.cut();
+    await closePrinter(printer);
+  })();
+
+  // A printer that never answers (unplugged, offline network printer)
+  // would otherwise block the queue
+  let timer;
+  let timedOut = false;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      timedOut = true;
+      reject(new Error(`Printer did not answer within ${PRINT_TIMEOUT_MS / 1000}s`));
+    }, PRINT_TIMEOUT_MS);
+  });
+  try {
+    await Promise.race([print, timeout]);
+  } finally {
+    clearTimeout(timer);
+    if (timedOut) {
+      // Release the device so the next attempt can open it
+      print.catch(() => {});
+      try {
+        printer.adapter.close(() => {});
+      } catch (closeError) {
+        console.error("Failed to close printer after timeout:", closeError.message);
+      }
+    }
+  }
+}
+
+// Print a stored sale. The print counter is bumped before printing so the
+// first successful print is the original and any later one a DUPLICATA;
+// it is rolled back when the printer fails.
+async function printSaleJob(job) {
+  const { build, counter } = SALE_DOCUMENTS[job.document];
+  const existing = await Sale.findById(job.sale).select("status").lean();
+  if (!existing) {
+    throw permanentError("Sale not found");
+  }
+  if (existing.status === "voided") {
+    throw permanentError("Cannot print a voided sale");
+  }
+
+  const settings = await ShopSettings.getCurrent();
+  const sale = await Sale.findByIdAndUpdate(
+    job.sale,
+    { $inc: { [counter]: 1 }, lastPrintedAt: new Date() },
+    { new: false }
+  ).lean();
+  // Deleted since the check above
+  if (!sale) {
+    throw permanentError("Sale not found");
+  }
+  const duplicate = sale[counter] > 0;
+
+  try {
+    await sendToPrinter(job.printerId, build(sale, settings, { duplicate }));
+  } catch (error) {
+    await Sale.updateOne({ _id: sale._id }, { $inc: { [counter]: -1 } });
+    throw error;
+  }
+  return { duplicate };
+}
+
+// Print a Z report; like sales, any print after the first is a DUPLICATA
+async function printClosingJob(job) {
+  const closing = await DailyClosing.findByIdAndUpdate(
+    job.closing,
+    { $inc: { printCount: 1 }, lastPrintedAt: new Date() },
+    { new: false }
+  ).lean();
+  if (!closing) {
+    throw permanentError("Closing not found");
+  }
+  const duplicate = closing.printCount > 0;
+  const settings = await ShopSettings.getCurrent();
+
+  try {
+    await sendToPrinter(job.printerId, buildClosingReport(closing, settings, { duplicate }));
+  } catch (error) {
+    await DailyClosing.updateOne({ _id: closing._id }, { $inc: { printCount: -1 } });
+    throw error;
+  }
+  return { duplicate };
+}
+
+async function printPayloadJob(job) {
+  const { receiptData, type = "sale" } = job.payload || {};
+  if (!receiptData) {
+    throw permanentError("Missing receiptData");
+  }
+  const settings = await ShopSettings.getCurrent();
+  const { sale, shop } = legacyDocument(receiptData, type, settings);
+  await sendToPrinter(job.printerId, SALE_DOCUMENTS[job.document].build(sale, shop));
+  return { duplicate: false };
+}
+
+async function runJob(job) {
+  try {
+    let print = printPayloadJob;
+    if (job.closing) print = printClosingJob;
+    else if (job.sale) print = printSaleJob;
+    const { duplicate } = await print(job);
+    await PrintJob.updateOne(
+      { _id: job._id, status: "printing" },
+      { status: "done", printedAt: new Date(), duplicate, lastError: "" }
+    );
+  } catch (error) {
+    console.error(`Print job ${job._id} failed (attempt ${job.attempts}):`, error.message);
+    const giveUp = error.permanent || job.attempts >= job.maxAttempts;
+    await PrintJob.updateOne(
+      { _id: job._id, status: "printing" },
+      giveUp
+        ? { status: "failed", lastError: error.message }
+        : {
+            status: "queued",
+            lastError: error.message,
+            nextAttemptAt: new Date(Date.now() + retryDelayMs(job.attempts)),
+          }
+    );
+  }
+}
+
+// Atomically take the next due job so two workers never print it twice
+function claimNextJob() {
+  return PrintJob.findOneAndUpdate(
+    { status: "queued", nextAttemptAt: { $lte: new Date() } },
+    { status: "printing", startedAt: new Date(), $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1, createdAt: 1 } }
+  ).lean();
+}
+
+// Pass in progress ({ activeAt }), refreshed after each job
+let running = null;
+
+/**
+ * Print every job that is due. Safe to call at any time: overlapping calls
+ * return immediately, unless the running pass has been stuck for longer
+ * than STALE_PRINTING_MS, in which case it is taken over.
+ */
+async function processQueue() {
+  if (running && Date.now() - running.activeAt < STALE_PRINTING_MS) return;
+  const pass = { activeAt: Date.now() };
+  running = pass;
+  try {
+    await PrintJob.updateMany(
+      { status: "printing", startedAt: { $lt: new Date(Date.now() - STALE_PRINTING_MS) } },
+      { status: "queued", nextAttemptAt: new Date(), lastError: "Interrupted" }
+    );
+
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+      pass.activeAt = Date.now();
+    }
+  } catch (error) {
+    console.error("Print queue error:", error);
+  } finally {
+    // A pass that was taken over must not release its successor
+    if (running === pass) running = null;
+  }
+}
+
+/**
+ * Queue a print job and try to print it right away
+ * @param {Object} data - PrintJob fields (document, sale or payload, printerId...)
+ * @returns {Promise<Object>} the created job
+ */
+async function enqueuePrintJob(data) {
+  const job = await PrintJob.create(data);
+  setImmediate(processQueue);
+  return job;
+}
+
+/**
+ * Start polling for due jobs (retries). Call once the database is connected.
+ */
+function startPrintQueue() {
+  const timer = setInterval(processQueue, POLL_INTERVAL_MS);
+  timer.unref();
+  setImmediate(processQueue);
+  return timer;
+}
+
+module.exports = {
+  enqueuePrintJob,
+  processQueue,
+  startPrintQueue,
+};
@@ -0,0 +1,108 @@
+const fs = require("fs");
+const path = require("path");
+const escpos = require("escpos");
+escpos.USB = require("escpos-usb");
+escpos.Network = require("escpos-network");
+const PrinterProfile = require("../models/PrinterProfile");
+
+/**
+ * Virtual printer: an escpos adapter appending the ESC/POS byte stream of
+ * each print job to a file, to check receipt layouts without hardware.
+ * The file must lie under PRINT_FILE_DIR (PrinterProfile.resolveFilePath).
+ */
+class FileAdapter {
+  constructor(filePath) {
+    this.filePath = PrinterProfile.resolveFilePath(filePath);
+    if (!this.filePath) {
+      throw new Error(`Invalid virtual printer file: ${filePath}`);
+    }
+    this.chunks = [];
+  }
+
+  open(callback) {
+    this.chunks = [];
+    fs.mkdir(path.dirname(this.filePath), { recursive: true }, (error) => {
+      callback && callback(error || null);
+    });
+    return this;
+  }
+
+  write(data, callback) {
+    this.chunks.push(Buffer.from(data));
+    callback && callback(null);
+    return this;
+  }
+
+  close(callback) {
+    fs.appendFile(this.filePath, Buffer.concat(this.chunks), (error) => {
+      this.chunks = [];
+      callback && callback(error || null);
+    });
+    return this;
+  }
+}
+
+// escpos adapter for a printer profile (null profile = first USB printer)
+function createAdapter(profile) {
+  if (!profile || profile.transport === "usb") {
+    return profile && profile.vendorId && profile.productId
+      ? new escpos.USB(profile.vendorId, profile.productId)
+      : new escpos.USB();
+  }
+  if (profile.transport === "network") {
+    return new escpos.Network(profile.host, profile.port || 9100);
+  }
+  if (profile.transport === "file") {
+    return new FileAdapter(profile.filePath);
+  }
+  throw new Error(`Unknown printer transport: ${profile.transport}`);
+}
+
+/**
+ * Resolve the printer to use for a print request: the profile named by
+ * printerId, else the default profile, else the first USB printer found.
+ * @param {string} printerId - Optional PrinterProfile.printerId
+ * @returns {Promise<{profile: Object|null, printer: escpos.Printer|null, error: string|null, status: number|null}>}
+ *   error/status describe why no printer could be created
+ */
+async function getPrinter(printerId) {
+  let profile = null;
+  if (printerId) {
+    profile = await PrinterProfile.findOne({
+      printerId: String(printerId).toLowerCase(),
+      isActive: true,
+    }).lean();
+    if (!profile) {
+      return { profile: null, printer: null, error: `Unknown printer: ${printerId}`, status: 404 };
+    }
+  } else {
+    profile = await PrinterProfile.findOne({ isDefault: true, isActive: true }).lean();
+  }
+
+  try {
+    return { profile, printer: new escpos.Printer(createAdapter(profile)), error: null, status: null };
+  } catch (error) {
+    console.error(`Printer unavailable (${profile ? profile.printerId : "usb"}):`, error);
+    return { profile, printer: null, error: "No printer found", status: 500 };
+  }
+}
+
+// Promise wrappers around the callback-based escpos adapter
+function openPrinter(printer) {
+  return new Promise((resolve, reject) => {
+    printer.adapter.open((error) => (error ? reject(error) : resolve(printer)));
+  });
+}
+
+function closePrinter(printer) {
+  return new Promise((resolve, reject) => {
+    printer.close((error) => (error ? reject(error) : resolve()));
+  });
+}
+
+module.exports = {
+  FileAdapter,
+  getPrinter,
+  openPrinter,
+  closePrinter,
+};
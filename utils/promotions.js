@@ -0,0 +1,86 @@
+const { roundMoney, fromUSD } = require("./currency");
+
+// Promotions (models/Promotion.js) are applied automatically to sale lines
+// when the sale is built: each line gets the running promotion that saves
+// the customer the most, before any manual discount. Bundles and BOGO
+// offers count the units of a single line.
+
+function matchesProduct(promotion, product) {
+  if (promotion.target === "category") {
+    return (promotion.categories || []).includes(product.category);
+  }
+  if (promotion.target === "product") {
+    return (promotion.products || []).some((id) => String(id) === String(product._id));
+  }
+  return true;
+}
+
+/**
+ * Discount a promotion gives on a line, in the sale currency
+ * @param {Object} promotion
+ * @param {number} unitPrice
+ * @param {number} quantity
+ * @param {string} currency
+ * @param {number|null} exchangeRate
+ * @returns {number}
+ */
+function promotionAmount(promotion, unitPrice, quantity, currency, exchangeRate) {
+  const gross = unitPrice * quantity;
+  let amount = 0;
+  switch (promotion.type) {
+    case "percentage":
+      amount = (gross * promotion.value) / 100;
+      break;
+    case "fixed":
+      amount = fromUSD(promotion.value, currency, exchangeRate) * quantity;
+      break;
+    case "bundle": {
+      const bundles = Math.floor(quantity / promotion.bundleQuantity);
+      const bundlePrice = fromUSD(promotion.bundlePrice, currency, exchangeRate);
+      amount = bundles * Math.max(promotion.bundleQuantity * unitPrice - bundlePrice, 0);
+      break;
+    }
+    case "bogo": {
+      const groups = Math.floor(quantity / (promotion.buyQuantity + promotion.getQuantity));
+      const discounted = groups * promotion.getQuantity;
+      amount = (discounted * unitPrice * (promotion.getDiscountPercent ?? 100)) / 100;
+      break;
+    }
+    default:
+      amount = 0;
+  }
+  return roundMoney(Math.min(Math.max(amount, 0), gross));
+}
+
+/**
+ * Best running promotion for a line
+ * @param {Array} promotions - Running promotions (Promotion.findRunning)
+ * @param {Object} product
+ * @param {Object} line
+ * @param {number} line.unitPrice
+ * @param {number} line.quantity
+ * @param {Object} options
+ * @param {string} options.currency
+ * @param {number|null} options.exchangeRate
+ * @param {number|null} options.basketUSD - Sale before discounts, in USD
+ * @returns {{promotion: Object, amount: number}|null}
+ */
+function bestPromotion(promotions, product, { unitPrice, quantity }, { currency, exchangeRate, basketUSD }) {
+  let best = null;
+  for (const promotion of promotions || []) {
+    if (!matchesProduct(promotion, product)) continue;
+    if (promotion.minBasket > 0 && !(basketUSD >= promotion.minBasket)) continue;
+    // Fixed amounts cannot be converted for an FC sale without a rate
+    if (currency === "FC" && !exchangeRate && ["fixed", "bundle"].includes(promotion.type)) continue;
+    const amount = promotionAmount(promotion, unitPrice, quantity, currency, exchangeRate);
+    if (amount > 0 && (!best || amount > best.amount)) {
+      best = { promotion, amount };
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  bestPromotion,
+  promotionAmount,
+};
@@ -0,0 +1,258 @@
+// Quotation (facture proforma) layout for A4, built once and rendered to
+// HTML (preview, browser print) or PDF (pdfkit), like the receipt layouts
+// of receiptRenderer.js.
+
+const PDFDocument = require("pdfkit");
+const { formatAmount, convertAmount } = require("./currency");
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString("fr-FR");
+}
+
+/**
+ * Content of a quotation, independent of the output format
+ * @param {Object} quotation - Quotation document (plain object)
+ * @param {Object} settings - ShopSettings
+ * @returns {Object} { shop, title, meta, customer, columns, rows, totals, footer }
+ */
+function buildQuotationDocument(quotation, settings) {
+  const currency = quotation.currency || "USD";
+  const money = (amount) => formatAmount(amount, currency);
+
+  const shop = [
+    settings.shopTagline,
+    settings.shopAddress,
+    settings.shopNumber ? `Tél: ${settings.shopNumber}` : "",
+    settings.shopRegistration,
+    settings.taxNumber ? `NIF: ${settings.taxNumber}` : "",
+  ].filter(Boolean);
+
+  const { customer = {} } = quotation;
+  const customerLines = [
+    customer.company,
+    customer.name,
+    customer.address,
+    customer.phone ? `Tél: ${customer.phone}` : "",
+    customer.email,
+    customer.taxNumber ? `NIF: ${customer.taxNumber}` : "",
+  ].filter(Boolean);
+
+  const rows = quotation.items.map((item) => {
+    const reductions = [];
+    if (item.promotionDiscount > 0) reductions.push(`Promo ${item.promotionName}: -${money(item.promotionDiscount)}`);
+    if (item.discountAmount > 0) reductions.push(`Remise: -${money(item.discountAmount)}`);
+    return {
+      cells: [item.name, String(item.quantity), money(item.price), money(item.total)],
+      note: reductions.join(" · "),
+    };
+  });
+
+  const totals = [
+    ["Sous-total", money(quotation.subtotal)],
+  ];
+  if (quotation.promotionTotal > 0) totals.push(["Promotions", `-${money(quotation.promotionTotal)}`]);
+  if (quotation.discountTotal > 0) totals.push(["Remises", `-${money(quotation.discountTotal)}`]);
+  if (quotation.taxTotal > 0) {
+    totals.push(["Total HT", money(quotation.total - quotation.taxTotal)]);
+    (quotation.taxBreakdown || []).forEach((tax) => {
+      totals.push([`${tax.label || tax.code} ${tax.rate}%`, money(tax.taxAmount)]);
+    });
+    totals.push(["TOTAL TTC", money(quotation.total), true]);
+  } else {
+    totals.push(["TOTAL", money(quotation.total), true]);
+  }
+  if (quotation.exchangeRate) {
+    const { usd, fc } = convertAmount(quotation.total, currency, quotation.exchangeRate);
+    totals.push([
+      `Soit (1 USD = ${formatAmount(quotation.exchangeRate, "FC")})`,
+      currency === "FC" ? formatAmount(usd, "USD") : formatAmount(fc, "FC"),
+    ]);
+  }
+
+  const footer = [
+    `Proforma valable jusqu'au ${formatDate(quotation.validUntil)}.`,
+    "Prix et disponibilité confirmés à la commande.",
+    settings.quotationTerms,
+    quotation.notes,
+  ].filter(Boolean);
+
+  return {
+    shopName: settings.shopName,
+    shop,
+    title: `FACTURE PROFORMA N° ${quotation.quotationNumber}`,
+    meta: [
+      `Date: ${formatDate(quotation.createdAt || Date.now())}`,
+      `Valable jusqu'au: ${formatDate(quotation.validUntil)}`,
+      `Établie par: ${quotation.createdByName || ""}`,
+    ],
+    customer: customerLines,
+    columns: ["Désignation", "Qté", "Prix unitaire", "Total"],
+    rows,
+    totals,
+    footer,
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Quotation as a printable HTML page
+ * @param {Object} quotation
+ * @param {Object} settings - ShopSettings
+ * @returns {string}
+ */
+function renderQuotationHtml(quotation, settings) {
+  const doc = buildQuotationDocument(quotation, settings);
+  const lines = (values) => values.map((value) => `<div>${escapeHtml(value)}</div>`).join("\n");
+  const rows = doc.rows.map((row) => `
+      <tr>
+        <td>${escapeHtml(row.cells[0])}${row.note ? `<div class="note">${escapeHtml(row.note)}</div>` : ""}</td>
+        <td class="num">${escapeHtml(row.cells[1])}</td>
+        <td class="num">${escapeHtml(row.cells[2])}</td>
+        <td class="num">${escapeHtml(row.cells[3])}</td>
+      </tr>`).join("");
+  const totals = doc.totals.map(([label, value, bold]) => `
+      <tr${bold ? ' class="b"' : ""}><td>${escapeHtml(label)}</td><td class="num">${escapeHtml(value)}</td></tr>`).join("");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(doc.title)}</title>
+  <style>
+    body { background: #f3f3f3; margin: 0; padding: 20px; font-family: Helvetica, Arial, sans-serif; font-size: 13px; }
+    .page { background: #fff; width: 190mm; min-height: 270mm; margin: 0 auto; padding: 10mm; box-sizing: border-box; }
+    .head { display: flex; justify-content: space-between; }
+    .shop-name { font-size: 20px; font-weight: bold; }
+    h1 { font-size: 16px; margin: 24px 0 8px; }
+    .customer { border: 1px solid #999; padding: 8px; width: 45%; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    .items th, .items td { border-bottom: 1px solid #ddd; padding: 6px; text-align: left; }
+    .items th { background: #eee; }
+    .num { text-align: right !important; white-space: nowrap; }
+    .note { color: #666; font-size: 11px; }
+    .totals { width: 45%; margin-left: auto; }
+    .totals td { padding: 4px 6px; }
+    .b { font-weight: bold; }
+    .footer { margin-top: 32px; color: #444; font-size: 12px; }
+    @media print { body { background: #fff; padding: 0; } .page { width: auto; min-height: 0; } }
+  </style>
+</head>
+<body>
+<div class="page">
+  <div class="head">
+    <div>
+      <div class="shop-name">${escapeHtml(doc.shopName)}</div>
+      ${lines(doc.shop)}
+    </div>
+    <div class="customer">
+      ${lines(doc.customer)}
+    </div>
+  </div>
+  <h1>${escapeHtml(doc.title)}</h1>
+  ${lines(doc.meta)}
+  <table class="items">
+    <thead><tr>${doc.columns.map((column, i) => `<th${i > 0 ? ' class="num"' : ""}>${escapeHtml(column)}</th>`).join("")}</tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <table class="totals">${totals}
+  </table>
+  <div class="footer">
+    ${lines(doc.footer)}
+  </div>
+</div>
+</body>
+</html>`;
+}
+
+/**
+ * Quotation as an A4 PDF
+ * @param {Object} quotation
+ * @param {Object} settings - ShopSettings
+ * @returns {Promise<Buffer>}
+ */
+function renderQuotationPdf(quotation, settings) {
+  const doc = buildQuotationDocument(quotation, settings);
+  const pdf = new PDFDocument({ size: "A4", margin: 40, info: { Title: doc.title } });
+  const chunks = [];
+  pdf.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    pdf.on("end", () => resolve(Buffer.concat(chunks)));
+    pdf.on("error", reject);
+  });
+
+  const left = pdf.page.margins.left;
+  const width = pdf.page.width - left - pdf.page.margins.right;
+
+  // Shop on the left, customer box on the right
+  const top = pdf.y;
+  pdf.font("Helvetica-Bold").fontSize(16).text(doc.shopName || "", left, top, { width: width / 2 });
+  pdf.font("Helvetica").fontSize(9);
+  doc.shop.forEach((line) => pdf.text(line, { width: width / 2 }));
+  const shopBottom = pdf.y;
+  const boxX = left + width * 0.55;
+  pdf.fontSize(10).text(doc.customer.join("\n"), boxX + 6, top + 6, { width: width * 0.45 - 12 });
+  pdf.rect(boxX, top, width * 0.45, pdf.y - top + 6).stroke();
+  pdf.y = Math.max(shopBottom, pdf.y + 6) + 20;
+
+  pdf.font("Helvetica-Bold").fontSize(13).text(doc.title, left);
+  pdf.font("Helvetica").fontSize(10);
+  doc.meta.forEach((line) => pdf.text(line, left));
+  pdf.moveDown();
+
+  // Items table
+  const widths = [width * 0.46, width * 0.1, width * 0.22, width * 0.22];
+  const drawRow = (cells, { bold = false } = {}) => {
+    const y = pdf.y;
+    let x = left;
+    pdf.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+    cells.forEach((cell, i) => {
+      pdf.text(cell, x + 2, y, { width: widths[i] - 4, align: i === 0 ? "left" : "right" });
+      x += widths[i];
+    });
+    pdf.y = Math.max(pdf.y, y + 12);
+  };
+  drawRow(doc.columns, { bold: true });
+  pdf.moveTo(left, pdf.y + 2).lineTo(left + width, pdf.y + 2).stroke();
+  pdf.y += 6;
+  doc.rows.forEach((row) => {
+    if (pdf.y > pdf.page.height - pdf.page.margins.bottom - 60) pdf.addPage();
+    drawRow(row.cells);
+    if (row.note) {
+      pdf.fontSize(8).fillColor("#666").text(row.note, left + 2, pdf.y, { width: widths[0] });
+      pdf.fillColor("black");
+    }
+    pdf.y += 4;
+  });
+  pdf.moveTo(left, pdf.y).lineTo(left + width, pdf.y).stroke();
+  pdf.y += 8;
+
+  // Totals on the right
+  const labelX = left + width * 0.5;
+  doc.totals.forEach(([label, value, bold]) => {
+    const y = pdf.y;
+    pdf.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+    pdf.text(label, labelX, y, { width: width * 0.28 });
+    pdf.text(value, labelX + width * 0.28, y, { width: width * 0.22, align: "right" });
+    pdf.y = Math.max(pdf.y, y + 12);
+  });
+
+  pdf.moveDown(2);
+  pdf.font("Helvetica").fontSize(9).fillColor("#444");
+  doc.footer.forEach((line) => pdf.text(line, left, pdf.y, { width }));
+  pdf.end();
+  return done;
+}
+
+module.exports = {
+  buildQuotationDocument,
+  renderQuotationHtml,
+  renderQuotationPdf,
+};
@@ -0,0 +1,161 @@
+const Promotion = require("../models/Promotion");
+const { buildSaleItems, applyOrderDiscount } = require("./salePricing");
+const { applySaleTaxes } = require("./taxes");
+const { discountLimitFor } = require("./discounts");
+const { normalizeCurrency, resolveExchangeRate, moneyFields } = require("./currency");
+
+// Quotations (models/Quotation.js): pricing, validity and the body of the
+// sale they are converted into.
+
+function quotationError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Last day a quotation can be accepted, from YYYY-MM-DD or a date.
+ * Defaults to the shop's quotationValidityDays from today.
+ * @param {string|undefined} value
+ * @param {Object} settings - ShopSettings
+ * @returns {Date} end of that day
+ * @throws {Error} status 400 for an invalid or past date
+ */
+function parseValidUntil(value, settings) {
+  let validUntil;
+  if (value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    validUntil = match
+      ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+      : new Date(value);
+    if (isNaN(validUntil.getTime())) {
+      throw quotationError(400, "validUntil must be a date (YYYY-MM-DD)");
+    }
+  } else {
+    validUntil = new Date();
+    validUntil.setDate(validUntil.getDate() + (settings.quotationValidityDays || 15));
+  }
+  validUntil.setHours(23, 59, 59, 999);
+  if (validUntil < new Date()) {
+    throw quotationError(400, "validUntil cannot be in the past");
+  }
+  return validUntil;
+}
+
+/**
+ * Price the items of a quotation like a sale (catalog prices, minimum
+ * prices, promotions, discounts and tax) without checking stock
+ * @param {Object} body - { customer, items, currency, discount, discountReason }
+ * @param {Object} user - req.user
+ * @param {Object} settings - ShopSettings
+ * @returns {Promise<Object>} customer, items and totals to store
+ */
+async function priceQuotation(body, user, settings) {
+  const { customer, items, discount, discountReason } = body;
+  if (!customer || !customer.name || !customer.phone) {
+    throw quotationError(400, "Customer name and phone are required");
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw quotationError(400, "A quotation needs at least one item");
+  }
+  const currency = normalizeCurrency(body.currency);
+  const exchangeRate = await resolveExchangeRate(currency);
+
+  const discountLimit = discountLimitFor(user, settings);
+  const built = await buildSaleItems(items, user, {
+    checkStock: false,
+    currency,
+    exchangeRate,
+    discountLimit,
+    discountReason,
+    taxSettings: settings,
+    promotions: await Promotion.findRunning(),
+  });
+  const { total: netTotal, fields: discountFields } = applyOrderDiscount(built, discount, {
+    user,
+    currency,
+    exchangeRate,
+    discountLimit,
+    discountReason,
+  });
+  const { total, fields: taxFields } = applySaleTaxes(built.items, netTotal, settings, {
+    currency,
+    exchangeRate,
+  });
+
+  return {
+    customer: {
+      name: customer.name,
+      phone: customer.phone,
+      email: customer.email || "",
+      company: customer.company || "",
+      address: customer.address || "",
+      taxNumber: customer.taxNumber || "",
+    },
+    items: built.items,
+    ...discountFields,
+    taxTotal: taxFields.taxTotal,
+    taxBreakdown: taxFields.taxBreakdown,
+    total,
+    ...moneyFields(total, currency, exchangeRate, "total"),
+  };
+}
+
+/**
+ * Whether the validity of a quotation has passed
+ * @param {Object} quotation
+ * @returns {boolean}
+ */
+function isExpired(quotation) {
+  return new Date(quotation.validUntil) < new Date();
+}
+
+/**
+ * Body of POST /api/sales for an accepted quotation: its lines at the
+ * quoted prices and discounts, its customer and currency, and the payment
+ * details sent with the conversion
+ * @param {Object} quotation
+ * @param {Object} options - { type: sale|reservation, payments, paymentMethod,
+ *   deposit, onAccount, reservationDate, reservationTime,
+ *   reservationExpiresAt, notes, salesPerson }
+ * @returns {Object}
+ */
+function saleBodyFromQuotation(quotation, options = {}) {
+  const lineDiscount = (line) => (line.discountType
+    ? { type: line.discountType, value: line.discountValue, reason: line.discountReason }
+    : undefined);
+  return {
+    type: options.type === "reservation" ? "reservation" : "sale",
+    customer: {
+      name: quotation.customer.name,
+      phone: quotation.customer.phone,
+      email: quotation.customer.email,
+    },
+    isWalkIn: false,
+    currency: quotation.currency,
+    items: quotation.items.map((line) => ({
+      productId: line.productId,
+      name: line.name,
+      quantity: line.quantity,
+      price: line.price,
+      discount: lineDiscount(line),
+    })),
+    discount: lineDiscount(quotation),
+    payments: options.payments,
+    paymentMethod: options.paymentMethod,
+    deposit: options.deposit,
+    onAccount: options.onAccount,
+    reservationDate: options.reservationDate,
+    reservationTime: options.reservationTime,
+    reservationExpiresAt: options.reservationExpiresAt,
+    notes: options.notes || `Proforma ${quotation.quotationNumber}`,
+    salesPerson: options.salesPerson,
+  };
+}
+
+module.exports = {
+  parseValidUntil,
+  priceQuotation,
+  isExpired,
+  saleBodyFromQuotation,
+};
@@ -0,0 +1,521 @@
+// Receipt and stub layouts, built once as a list of blocks and rendered to
+// ESC/POS (thermal printer), plain text (32/48 columns) or HTML, so the
+// on-screen preview matches what the printer produces.
+//
+// Blocks:
+//   { type: "text", text, align: "lt" | "ct" | "rt", bold, size: 1 | 2 }
+//   { type: "row", left, right, bold }   left and right on one line
+//   { type: "feed", lines }
+
+const { formatAmount, convertAmount } = require("./currency");
+
+const DEFAULT_COLUMNS = 48;
+
+function text(value, options = {}) {
+  return { type: "text", text: String(value ?? ""), align: "lt", bold: false, size: 1, ...options };
+}
+
+function row(left, right, options = {}) {
+  return { type: "row", left: String(left ?? ""), right: String(right ?? ""), bold: false, ...options };
+}
+
+function feed(lines = 1) {
+  return { type: "feed", lines };
+}
+
+function formatMoney(amount, sale) {
+  return formatAmount(amount, sale.currency || "USD");
+}
+
+// Rate and other-currency equivalent of the total, when a rate was snapshotted
+function exchangeLines(sale) {
+  if (!sale.exchangeRate) return [];
+  const { usd, fc } = convertAmount(sale.total, sale.currency || "USD", sale.exchangeRate);
+  return [
+    text(`Taux: 1 USD = ${formatAmount(sale.exchangeRate, "FC")}`),
+    text(`Soit: ${sale.currency === "FC" ? formatAmount(usd, "USD") : formatAmount(fc, "FC")}`),
+  ];
+}
+
+function formatPaymentMethod(method) {
+  return String(method || "cash").toUpperCase();
+}
+
+const TENDER_LABELS = {
+  cash: "ESPÈCES",
+  card: "CARTE",
+  mpesa: "M-PESA",
+  bank: "VIREMENT",
+  store_credit: "AVOIR",
+  other: "AUTRE",
+};
+
+// "Paiement: CASH", or one row per tender for split / foreign-currency
+// payments and payments with a reference
+function paymentBlocks(sale, options = {}) {
+  const payments = sale.payments || [];
+  const single = payments[0];
+  const blocks = (
+    payments.length === 0 ||
+    (payments.length === 1 && single.currency === (sale.currency || "USD") && !single.reference)
+  )
+    ? [text(`Paiement: ${formatPaymentMethod(sale.paymentMethod)}`, options)]
+    : [
+        text("Paiement:", options),
+        ...payments.map((payment) => row(
+          `- ${TENDER_LABELS[payment.method] || payment.method}${payment.reference ? ` (${payment.reference})` : ""}`,
+          formatAmount(payment.amount, payment.currency)
+        )),
+      ];
+  // Deposits on a reservation, or a credit sale
+  if (sale.balanceDue > 0) {
+    blocks.push(row("Reste à payer:", formatAmount(sale.balanceDue, sale.currency || "USD")));
+  }
+  return blocks;
+}
+
+// Tax added on top of tax-exclusive prices (included in sale.total)
+function addedTax(sale) {
+  return (sale.items || [])
+    .filter((item) => item.taxInclusive === false)
+    .reduce((sum, item) => sum + (item.taxAmount || 0), 0);
+}
+
+// "Remise 10%" or "Remise"
+function discountLabel({ discountType, discountValue }) {
+  return discountType === "percent" ? `Remise ${discountValue}%` : "Remise";
+}
+
+function formatDate(sale) {
+  if (sale.dateLabel) return sale.dateLabel;
+  return new Date(sale.createdAt).toLocaleString("fr-FR");
+}
+
+// Shop header shared by receipts and stubs
+function shopHeader(settings, { duplicate, large }) {
+  const blocks = [text(settings.shopName, { align: "ct", bold: true, size: large ? 2 : 1 })];
+  if (settings.shopTagline) {
+    blocks.push(text(settings.shopTagline, { align: "ct", bold: true }));
+  }
+  if (duplicate) {
+    blocks.push(text("*** DUPLICATA ***", { align: "ct", bold: true }));
+  }
+  return blocks;
+}
+
+/**
+ * Layout of a sale receipt
+ * @param {Object} sale - Sale document (plain object)
+ * @param {Object} settings - ShopSettings
+ * @param {Object} options
+ * @param {boolean} options.duplicate - Reprint of an already printed receipt
+ * @returns {Array} blocks
+ */
+function buildSaleReceipt(sale, settings, { duplicate = false } = {}) {
+  const blocks = [
+    ...shopHeader(settings, { duplicate, large: true }),
+    text(settings.shopAddress),
+    text(settings.shopRegistration),
+    ...(settings.taxNumber ? [text(`NIF: ${settings.taxNumber}`)] : []),
+    text(settings.shopNumber),
+    text(`Date: ${formatDate(sale)}`),
+    text(`Reçu #: ${sale.saleNumber}`),
+    feed(),
+    text("CLIENT", { bold: true }),
+    text(`Nom: ${sale.customer?.name || ""}`),
+  ];
+
+  if (sale.customer?.phone) blocks.push(text(`Tél: ${sale.customer.phone}`));
+  if (sale.customer?.email) blocks.push(text(`Email: ${sale.customer.email}`));
+
+  blocks.push(feed(), text("ARTICLES", { bold: true }));
+  (sale.items || []).forEach((item) => {
+    // Before promotion and discount, so the rows below add up to the line total
+    blocks.push(row(`${item.quantity}x ${item.name}`, formatMoney(item.price * item.quantity, sale)));
+    if (item.promotionDiscount > 0) {
+      blocks.push(row(`  Promo ${item.promotionName}`, `-${formatMoney(item.promotionDiscount, sale)}`));
+    }
+    if (item.discountAmount > 0) {
+      blocks.push(row(`  ${discountLabel(item)}`, `-${formatMoney(item.discountAmount, sale)}`));
+    }
+  });
+
+  if (sale.discountAmount > 0) {
+    blocks.push(
+      feed(),
+      row("Sous-total:", formatMoney(sale.total - addedTax(sale) + sale.discountAmount, sale)),
+      row(discountLabel(sale), `-${formatMoney(sale.discountAmount, sale)}`)
+    );
+  }
+
+  const taxed = sale.taxTotal > 0;
+  if (taxed) {
+    const taxable = (sale.taxBreakdown || []).reduce((sum, entry) => sum + entry.taxableAmount, 0);
+    blocks.push(feed(), row("Total HT:", formatMoney(taxable, sale)));
+    (sale.taxBreakdown || []).forEach((entry) => {
+      blocks.push(row(`${entry.label} ${entry.rate}%:`, formatMoney(entry.taxAmount, sale)));
+    });
+  }
+
+  blocks.push(
+    feed(),
+    row(taxed ? "TOTAL TTC:" : "TOTAL:", formatMoney(sale.total, sale), { bold: true }),
+    ...exchangeLines(sale),
+    ...paymentBlocks(sale),
+    feed(),
+    text(`Agent: ${sale.salesPerson}`),
+    feed(),
+    text(settings.receiptFooter, { align: "ct" }),
+    text("Non échangeable - Non remboursable", { align: "ct" }),
+    feed(2)
+  );
+
+  if (sale.type === "reservation") {
+    blocks.push(text("✅ RESERVATION CONFIRMÉE", { align: "ct", bold: true }), feed());
+  }
+
+  return blocks;
+}
+
+/**
+ * Layout of a sale stub (souche)
+ * @param {Object} sale - Sale document (plain object)
+ * @param {Object} settings - ShopSettings
+ * @param {Object} options
+ * @param {boolean} options.duplicate - Reprint of an already printed stub
+ * @returns {Array} blocks
+ */
+function buildSaleStub(sale, settings, { duplicate = false } = {}) {
+  const blocks = [
+    text("SOUCHE", { align: "ct", bold: true }),
+    ...shopHeader(settings, { duplicate, large: false }),
+    text(`Date: ${formatDate(sale)}`),
+    text(`Reçu #: ${sale.saleNumber}`),
+    feed(),
+    text(`Client: ${sale.customer?.name || ""}`),
+  ];
+
+  if (sale.customer?.phone) blocks.push(text(`Tél: ${sale.customer.phone}`));
+
+  blocks.push(feed(), text("ARTICLES:", { bold: true }));
+  (sale.items || []).forEach((item) => {
+    blocks.push(text(`${item.quantity}x ${item.name}`));
+  });
+
+  blocks.push(
+    feed(),
+    text(`Total: ${formatMoney(sale.total, sale)}`, { bold: true }),
+    ...paymentBlocks(sale, { bold: true }),
+    feed(),
+    text(`Agent: ${sale.salesPerson}`),
+    feed(),
+    text(`SOUCHE N°${sale.stubNumber ?? "-"} DU JOUR`, { align: "ct", bold: true }),
+    feed()
+  );
+
+  if (sale.type === "reservation") {
+    blocks.push(text("✅ RESERVATION CONFIRMÉE", { align: "ct" }));
+  }
+
+  blocks.push(feed(2));
+  return blocks;
+}
+
+const METHOD_LABELS = { ...TENDER_LABELS, transfer: "VIREMENT", credit: "CRÉDIT", mixed: "MIXTE" };
+
+// One row per method and currency: "ESPÈCES (FC) x3    150 000 FC"
+function methodRows(rows) {
+  if (!rows || rows.length === 0) return [text("Aucun")];
+  return rows.map((entry) => row(
+    `${METHOD_LABELS[entry.method] || formatPaymentMethod(entry.method)} x${entry.count}`,
+    formatAmount(entry.amount, entry.currency)
+  ));
+}
+
+function section(title) {
+  return [feed(), text(title, { bold: true })];
+}
+
+/**
+ * Layout of an end-of-day closing (Z report)
+ * @param {Object} closing - DailyClosing document (plain object)
+ * @param {Object} settings - ShopSettings
+ * @param {Object} options
+ * @param {boolean} options.duplicate - Reprint of an already printed report
+ * @returns {Array} blocks
+ */
+function buildClosingReport(closing, settings, { duplicate = false } = {}) {
+  const report = closing.report || {};
+  const usd = (amount) => formatAmount(amount || 0, "USD");
+  const blocks = [
+    ...shopHeader(settings, { duplicate, large: false }),
+    text(settings.shopRegistration, { align: "ct" }),
+    feed(),
+    text(`RAPPORT Z N° ${closing.closingNumber}`, { align: "ct", bold: true }),
+    text(`Journée du ${closing.date}`, { align: "ct" }),
+    text(`Édité le ${new Date(closing.createdAt || Date.now()).toLocaleString("fr-FR")}`),
+    text(`Par: ${closing.generatedByName}`),
+  ];
+  if (report.exchangeRate) {
+    blocks.push(text(`Taux: 1 USD = ${formatAmount(report.exchangeRate, "FC")}`));
+  }
+
+  const sales = report.sales || {};
+  blocks.push(
+    ...section("VENTES"),
+    row("Nombre de ventes:", String(sales.count || 0)),
+    row("Chiffre d'affaires:", usd(sales.revenueUSD), { bold: true }),
+    row("  dont en USD:", formatAmount(sales.revenueByCurrency?.USD || 0, "USD")),
+    row("  dont en FC:", formatAmount(sales.revenueByCurrency?.FC || 0, "FC")),
+    row("Remises:", usd(sales.discountsUSD)),
+    row("Promotions:", usd(sales.promotionsUSD))
+  );
+  if (sales.taxUSD > 0) blocks.push(row("TVA collectée:", usd(sales.taxUSD)));
+  blocks.push(row("Retours:", `-${usd(report.returns?.totalUSD)}`), row("CA net:", usd(sales.netRevenueUSD), { bold: true }));
+
+  blocks.push(...section("ENCAISSEMENTS"), ...methodRows(report.tenders));
+  if ((report.accountPayments || []).length > 0) {
+    blocks.push(text("Règlements clients:"), ...methodRows(report.accountPayments));
+  }
+
+  const reservations = report.reservations || {};
+  blocks.push(
+    ...section("RÉSERVATIONS"),
+    row("Créées:", String(reservations.created || 0)),
+    row("Retirées:", String(reservations.collected || 0)),
+    row("En attente:", String(reservations.pending || 0)),
+    row("Acomptes reçus:", usd(reservations.depositsUSD))
+  );
+
+  const voids = report.voids || {};
+  blocks.push(
+    ...section("ANNULATIONS"),
+    row(`Annulées: ${voids.count || 0} (expirées: ${voids.expired || 0})`, usd(voids.totalUSD))
+  );
+
+  const returns = report.returns || {};
+  blocks.push(
+    ...section("RETOURS"),
+    row(`Retours: ${returns.count || 0}`, usd(returns.totalUSD)),
+    row("Avoirs émis:", usd(returns.storeCreditUSD))
+  );
+  if ((returns.refunds || []).length > 0) {
+    blocks.push(text("Remboursements:"), ...methodRows(returns.refunds));
+  }
+
+  blocks.push(
+    ...section("ENTRÉES"),
+    ...methodRows(report.entries?.byMethod),
+    row("Total entrées:", usd(report.entries?.totalUSD), { bold: true }),
+    ...section("DÉPENSES VALIDÉES"),
+    ...methodRows([...(report.expenses?.validated || []), ...(report.expenses?.till || [])]),
+    row("Total dépenses:", usd(report.expenses?.totalUSD), { bold: true })
+  );
+
+  const cash = report.cash || {};
+  blocks.push(
+    ...section("ESPÈCES DU JOUR"),
+    row("USD:", formatAmount(cash.USD || 0, "USD")),
+    row("FC:", formatAmount(cash.FC || 0, "FC"))
+  );
+  const sessions = report.cashSessions?.sessions || [];
+  if (sessions.length > 0) {
+    blocks.push(...section("SESSIONS DE CAISSE"));
+    sessions.forEach((cashSession) => {
+      blocks.push(
+        text(`${cashSession.sessionNumber} - ${cashSession.openedByName}`),
+        row("  Écart USD:", formatAmount(cashSession.variance?.USD || 0, "USD")),
+        row("  Écart FC:", formatAmount(cashSession.variance?.FC || 0, "FC"))
+      );
+    });
+  }
+
+  if (closing.notes) {
+    blocks.push(feed(), text(`Notes: ${closing.notes}`));
+  }
+  blocks.push(
+    feed(2),
+    text("Caissier: ______________"),
+    feed(2),
+    text("Gérant:   ______________"),
+    feed(2)
+  );
+  return blocks;
+}
+
+// ==================== TEXT LAYOUT ====================
+
+// Split text into lines of at most `width` characters, on word boundaries
+function wrap(value, width) {
+  const lines = [];
+  let current = "";
+  for (const word of String(value).split(/\s+/).filter(Boolean)) {
+    let rest = word;
+    while (rest.length > width) {
+      if (current) {
+        lines.push(current);
+        current = "";
+      }
+      lines.push(rest.slice(0, width));
+      rest = rest.slice(width);
+    }
+    if (!current) {
+      current = rest;
+    } else if (current.length + 1 + rest.length <= width) {
+      current += ` ${rest}`;
+    } else {
+      lines.push(current);
+      current = rest;
+    }
+  }
+  if (current || lines.length === 0) lines.push(current);
+  return lines;
+}
+
+function alignLine(line, align, width) {
+  if (align === "ct") {
+    const left = Math.floor((width - line.length) / 2);
+    return `${" ".repeat(Math.max(left, 0))}${line}`;
+  }
+  if (align === "rt") {
+    return line.padStart(width);
+  }
+  return line;
+}
+
+// Left text and right-aligned amount on one line, wrapping the left side
+// when both do not fit
+function rowLines(left, right, width) {
+  const leftWidth = Math.max(width - right.length - 1, 1);
+  const leftLines = wrap(left, leftWidth);
+  const last = leftLines.pop();
+  return [
+    ...leftLines,
+    `${last}${" ".repeat(Math.max(width - last.length - right.length, 1))}${right}`,
+  ];
+}
+
+/**
+ * Lay out blocks as fixed-width lines (double-size text uses double width)
+ * @param {Array} blocks
+ * @param {number} columns - Printer characters per line (32 or 48)
+ * @returns {Array<{text: string, bold: boolean, size: number}>}
+ */
+function layoutLines(blocks, columns = DEFAULT_COLUMNS) {
+  const lines = [];
+  for (const block of blocks) {
+    if (block.type === "feed") {
+      for (let i = 0; i < block.lines; i++) lines.push({ text: "", bold: false, size: 1 });
+    } else if (block.type === "row") {
+      rowLines(block.left, block.right, columns).forEach((line) =>
+        lines.push({ text: line, bold: block.bold, size: 1 })
+      );
+    } else {
+      const width = Math.floor(columns / block.size);
+      wrap(block.text, width).forEach((line) =>
+        lines.push({ text: alignLine(line, block.align, width), bold: block.bold, size: block.size })
+      );
+    }
+  }
+  return lines;
+}
+
+// ==================== RENDERERS ====================
+
+/**
+ * Plain-text rendering
+ * @param {Array} blocks
+ * @param {number} columns - 32 or 48
+ * @returns {string}
+ */
+function renderText(blocks, columns = DEFAULT_COLUMNS) {
+  return layoutLines(blocks, columns)
+    .map((line) => line.text.replace(/\s+$/, ""))
+    .join("\n");
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Standalone HTML page reproducing the thermal receipt (also suitable for
+ * emailing to the customer)
+ * @param {Array} blocks
+ * @param {Object} options
+ * @param {number} options.columns - 32 or 48
+ * @param {string} options.title - Page title
+ * @returns {string}
+ */
+function renderHtml(blocks, { columns = DEFAULT_COLUMNS, title = "Reçu" } = {}) {
+  const body = layoutLines(blocks, columns)
+    .map((line) => {
+      const classes = ["line", line.bold ? "b" : "", line.size > 1 ? "big" : ""].filter(Boolean);
+      return `<div class="${classes.join(" ")}">${escapeHtml(line.text) || "&nbsp;"}</div>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { background: #f3f3f3; margin: 0; padding: 20px; }
+    .receipt { background: #fff; width: ${columns}ch; margin: 0 auto; padding: 12px; font-family: "Courier New", monospace; font-size: 13px; line-height: 1.35; }
+    .line { white-space: pre; }
+    .b { font-weight: bold; }
+    .big { font-size: 26px; line-height: 1.2; letter-spacing: 0; }
+  </style>
+</head>
+<body>
+<div class="receipt">
+${body}
+</div>
+</body>
+</html>`;
+}
+
+/**
+ * Send blocks to an open escpos printer. Rows are laid out to the printer
+ * width so the paper matches the text/HTML previews.
+ * @param {escpos.Printer} printer
+ * @param {Array} blocks
+ * @param {number} columns - 32 or 48
+ */
+function renderEscpos(printer, blocks, columns = DEFAULT_COLUMNS) {
+  printer.font("a");
+  for (const block of blocks) {
+    if (block.type === "feed") {
+      printer.feed(block.lines);
+      continue;
+    }
+
+    const size = block.type === "row" ? 1 : block.size;
+    printer
+      .align(block.type === "row" ? "lt" : block.align)
+      .style(block.bold ? "b" : "normal")
+      .size(size, size);
+
+    if (block.type === "row") {
+      rowLines(block.left, block.right, columns).forEach((line) => printer.text(line));
+    } else {
+      printer.text(block.text);
+    }
+  }
+  printer.style("normal").size(1, 1);
+}
+
+module.exports = {
+  DEFAULT_COLUMNS,
+  buildSaleReceipt,
+  buildSaleStub,
+  buildClosingReport,
+  renderText,
+  renderHtml,
+  renderEscpos,
+};
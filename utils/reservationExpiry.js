@@ -0,0 +1,185 @@
+const Sale = require("../models/Sale");
+const ShopSettings = require("../models/ShopSettings");
+const { voidSale } = require("./saleService");
+const { sendReservationOverdueNotification } = require("./emailService");
+
+// Reservations hold stock until collected. Once past reservationExpiresAt
+// they are flagged overdue and staff are notified; after the shop's grace
+// period they are cancelled like PATCH /api/sales/:id/void (stock returned).
+
+const POLL_INTERVAL_MS = Number(process.env.RESERVATION_EXPIRY_INTERVAL_MS) || 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function expiryError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// "YYYY-MM-DD" (or DD/MM/YYYY) + optional "HH:mm" → Date, or null when the
+// free-text fields cannot be read
+function parseReservationDate(reservationDate, reservationTime) {
+  if (!reservationDate) return null;
+  const value = String(reservationDate).trim();
+  let match = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  let year, month, day;
+  if (match) {
+    [, year, month, day] = match;
+  } else if ((match = value.match(/^(\d{2})\/(\d{2})\/(\d{4})$/))) {
+    [, day, month, year] = match;
+  } else {
+    return null;
+  }
+
+  const date = new Date(Number(year), Number(month) - 1, Number(day), 23, 59, 59, 999);
+  const time = String(reservationTime || "").trim().match(/^(\d{1,2})[:hH](\d{2})/);
+  if (time) {
+    date.setHours(Number(time[1]), Number(time[2]), 0, 0);
+  }
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Expiry datetime of a reservation: an explicit `reservationExpiresAt`, else
+ * its reservationDate/Time, else `from` + the shop's hold period
+ * @param {Object} fields - reservationExpiresAt, reservationDate, reservationTime
+ * @param {Object} settings - ShopSettings
+ * @param {Date} from - Creation date of the reservation
+ * @returns {Date}
+ * @throws {Error} status 400 for an unreadable reservationExpiresAt
+ */
+function resolveReservationExpiry(fields, settings, from = new Date()) {
+  const { reservationExpiresAt, reservationDate, reservationTime } = fields;
+  if (reservationExpiresAt) {
+    const date = new Date(reservationExpiresAt);
+    if (isNaN(date.getTime())) {
+      throw expiryError("Invalid reservationExpiresAt. Use an ISO date, e.g. 2026-01-15T18:00:00");
+    }
+    return date;
+  }
+  return parseReservationDate(reservationDate, reservationTime) ||
+    new Date(from.getTime() + (settings.reservationHoldDays || 14) * DAY_MS);
+}
+
+// Reservations recorded before expiry dates existed get one, never earlier
+// than now so staff are warned before anything is cancelled
+async function backfillExpiryDates(settings, now) {
+  const reservations = await Sale.find({
+    type: "reservation",
+    status: "pending",
+    reservationExpiresAt: null,
+  })
+    .select("reservationDate reservationTime createdAt")
+    .lean();
+
+  for (const reservation of reservations) {
+    const expiry = resolveReservationExpiry(reservation, settings, reservation.createdAt);
+    await Sale.updateOne(
+      { _id: reservation._id, reservationExpiresAt: null },
+      { reservationExpiresAt: expiry < now ? now : expiry }
+    );
+  }
+  return reservations.length;
+}
+
+// Flag newly overdue reservations and notify staff once
+async function flagOverdue(now) {
+  const overdue = await Sale.find({
+    type: "reservation",
+    status: "pending",
+    reservationExpiresAt: { $lte: now },
+    overdueNotifiedAt: null,
+  })
+    .sort({ reservationExpiresAt: 1 })
+    .lean();
+  if (overdue.length === 0) return [];
+
+  await Sale.updateMany(
+    { _id: { $in: overdue.map((reservation) => reservation._id) }, overdueNotifiedAt: null },
+    { overdueNotifiedAt: now }
+  );
+  await sendReservationOverdueNotification(overdue);
+  return overdue;
+}
+
+// Cancel reservations overdue for longer than the grace period. Those in a
+// locked period are left pending and reported until an admin reopens it.
+async function expireOverdue(settings, now) {
+  const cutoff = new Date(now.getTime() - (settings.reservationGraceDays ?? 7) * DAY_MS);
+  const stale = await Sale.find({
+    type: "reservation",
+    status: "pending",
+    reservationExpiresAt: { $lte: cutoff },
+    // Staff always get the full grace period after the warning
+    overdueNotifiedAt: { $lte: cutoff },
+  })
+    .select("_id saleNumber")
+    .lean();
+
+  const expired = [];
+  const locked = [];
+  for (const reservation of stale) {
+    try {
+      const voided = await voidSale(reservation._id, {
+        reason: "Réservation expirée (non récupérée)",
+        extra: { expiredAt: now },
+      });
+      if (voided) expired.push(voided);
+    } catch (error) {
+      if (error.status === 423) {
+        locked.push(reservation);
+        continue;
+      }
+      console.error(`Failed to expire reservation ${reservation.saleNumber}:`, error.message);
+    }
+  }
+  return { expired, locked };
+}
+
+let running = false;
+
+/**
+ * Flag overdue reservations and cancel those past the grace period. Safe to
+ * call at any time: overlapping calls return null.
+ * @returns {Promise<Object|null>} { backfilled, overdue, expired, locked }
+ */
+async function processReservationExpiry() {
+  if (running) return null;
+  running = true;
+  try {
+    const now = new Date();
+    const settings = await ShopSettings.getCurrent();
+    const backfilled = await backfillExpiryDates(settings, now);
+    const overdue = await flagOverdue(now);
+    const { expired, locked } = await expireOverdue(settings, now);
+    if (overdue.length || expired.length) {
+      console.log(`⏰ Reservations: ${overdue.length} overdue, ${expired.length} expired`);
+    }
+    if (locked.length) {
+      console.warn(`⏰ Reservations in a locked period not expired: ${locked.map((sale) => sale.saleNumber).join(", ")}`);
+    }
+    return { backfilled, overdue, expired, locked };
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Run the expiry check periodically. Call once the database is connected.
+ */
+function startReservationExpiry() {
+  const run = () =>
+    processReservationExpiry().catch((error) => {
+      console.error("Reservation expiry error:", error);
+    });
+  const timer = setInterval(run, POLL_INTERVAL_MS);
+  timer.unref();
+  setImmediate(run);
+  return timer;
+}
+
+module.exports = {
+  resolveReservationExpiry,
+  processReservationExpiry,
+  startReservationExpiry,
+};
@@ -0,0 +1,260 @@
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const { normalizeDiscount, assertDiscountAllowed, allocateOrderDiscount } = require("./discounts");
+const { productTax } = require("./taxes");
+const { bestPromotion } = require("./promotions");
+const { fromUSD, convertAmount, roundMoney } = require("./currency");
+
+// Pricing of sale lines, shared by sales (routes/sales.js) and quotations
+// (routes/quotations.js)
+
+function pricingError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// A line sold below its product's minimum price, once promotions and
+// discounts are taken off, needs a manager; it is reported in priceOverrides
+function checkMinPrice(built, index, effectivePrice, user, currency) {
+  const floor = built.minPrices[index];
+  const item = built.items[index];
+  if (floor == null || effectivePrice >= floor) return;
+  if (built.priceOverrides.some((override) => override.productId === String(item.productId))) return;
+  if (!user.canValidate) {
+    const label = effectivePrice === item.price ? "Le prix" : "Le prix après remises";
+    throw pricingError(403, `${label} de ${item.name} (${effectivePrice} ${currency}) est inférieur au minimum autorisé (${floor} ${currency}). Autorisation d'un manager requise.`);
+  }
+  built.priceOverrides.push({
+    productId: String(item.productId),
+    name: item.name,
+    price: item.price,
+    effectivePrice,
+    minPrice: floor,
+    currency,
+    catalogPrice: item.catalogPrice,
+  });
+}
+
+/**
+ * Validate requested sale items against the product catalog.
+ * Lines sent without a price use the product's catalog price. A unit price
+ * below the product's minimum after promotions and line discounts requires
+ * a manager (or admin) and is reported in priceOverrides so the caller can
+ * record it in editHistory (applyOrderDiscount checks the order discount).
+ * Catalog prices and costs are in USD and are converted for FC sales.
+ * A line may carry a discount ({ type: percent|fixed, value, reason }),
+ * limited to the user's discountLimit unless already approved on the sale.
+ * @param {Array} items - Items from the request body
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} options
+ * @param {boolean} options.checkStock - Reject lines exceeding current stock
+ * @param {Map} options.reservedStock - productId -> quantity soft-reserved by
+ *   held carts, not available to this sale
+ * @param {Map} options.approvedPrices - productId -> price already approved
+ *   on the sale being edited (not re-checked against the minimum while its
+ *   line discount is unchanged)
+ * @param {string} options.currency - Sale currency ("USD" or "FC")
+ * @param {number|null} options.exchangeRate - FC per USD snapshotted on the sale
+ * @param {number} options.discountLimit - Highest discount (percent) allowed
+ * @param {Map} options.approvedDiscounts - productId -> line discount already
+ *   approved on the sale being edited
+ * @param {string} options.discountReason - Default reason for line discounts
+ * @param {Object|null} options.taxSettings - ShopSettings: lines get the
+ *   tax rate of their product (computed later by applySaleTaxes)
+ * @param {Array} options.promotions - Running promotions, applied to the
+ *   lines before manual discounts (utils/promotions.js)
+ * @returns {Promise<{items: Array, subtotal: number, grossTotal: number,
+ *   lineDiscountTotal: number, promotionTotal: number, priceOverrides: Array,
+ *   minPrices: Array}>} subtotal is after promotions and line discounts,
+ *   grossTotal before; minPrices holds the minimum unit price of each line
+ *   (null if none, or already approved)
+ */
+async function buildSaleItems(items, user, {
+  checkStock = true,
+  reservedStock = new Map(),
+  approvedPrices = new Map(),
+  currency = "USD",
+  exchangeRate = null,
+  discountLimit = 0,
+  approvedDiscounts = new Map(),
+  discountReason = "",
+  taxSettings = null,
+  promotions = [],
+} = {}) {
+  let subtotal = 0;
+  let grossTotal = 0;
+  let lineDiscountTotal = 0;
+  let promotionTotal = 0;
+  const priced = [];
+  const enrichedItems = [];
+  const priceOverrides = [];
+  const minPrices = [];
+
+  for (const item of items) {
+    const { productId, quantity, price, name } = item || {};
+    const hasPrice = price !== undefined && price !== null && price !== "";
+    if (!productId || !quantity || quantity <= 0 || (hasPrice && !(Number(price) >= 0))) {
+      throw pricingError(400, "Each item requires productId, quantity>0, and price>=0");
+    }
+
+    const product = await Product.findById(productId).lean();
+    if (!product) {
+      throw pricingError(400, `Product not found: ${productId}`);
+    }
+
+    const reserved = reservedStock.get(String(product._id)) || 0;
+    const available = (product.stock ?? 0) - reserved;
+    if (checkStock && (typeof product.stock !== "number" || available < quantity)) {
+      throw pricingError(400, `Insufficient stock for ${
+        product.name || name || productId
+      }. Available: ${Math.max(available, 0)}${reserved > 0 ? ` (${reserved} reserved in held carts)` : ""}`);
+    }
+
+    const catalogPrice = typeof product.price === "number"
+      ? fromUSD(product.price, currency, exchangeRate)
+      : null;
+    const minPrice = fromUSD(product.minPrice, currency, exchangeRate);
+    if (!hasPrice && !catalogPrice) {
+      throw pricingError(400, `No catalog price set for ${product.name}. Please send a price.`);
+    }
+    const unitPrice = hasPrice ? Number(price) : catalogPrice;
+
+    const grossLine = unitPrice * Number(quantity);
+    grossTotal += grossLine;
+    priced.push({ item, product, unitPrice, catalogPrice, minPrice, grossLine });
+  }
+
+  // Promotions depend on the whole basket (minimum amount)
+  const basketUSD = convertAmount(grossTotal, currency, exchangeRate).usd;
+  for (const { item, product, unitPrice, catalogPrice, minPrice, grossLine } of priced) {
+    const { productId, quantity, name } = item;
+    const promotion = bestPromotion(promotions, product, { unitPrice, quantity: Number(quantity) }, {
+      currency,
+      exchangeRate,
+      basketUSD,
+    });
+    const promotionDiscount = promotion?.amount || 0;
+    const promotedLine = grossLine - promotionDiscount;
+
+    const discount = normalizeDiscount(item.discount, promotedLine, product.name);
+    if (discount) {
+      if (approvedDiscounts.get(String(productId)) !== discount.amount) {
+        assertDiscountAllowed(discount.amount, promotedLine, discountLimit, product.name);
+      }
+      discount.reason = discount.reason || discountReason;
+      if (!discount.reason) {
+        throw pricingError(400, `A discount reason is required (${product.name})`);
+      }
+    }
+    const lineTotal = roundMoney(promotedLine - (discount?.amount || 0));
+    const tax = productTax(product, taxSettings);
+    lineDiscountTotal += discount?.amount || 0;
+    promotionTotal += promotionDiscount;
+    subtotal += lineTotal;
+
+    enrichedItems.push({
+      productId: new mongoose.Types.ObjectId(productId),
+      name: name || product.name,
+      quantity: Number(quantity),
+      price: unitPrice,
+      catalogPrice,
+      unitCost: product.costPrice > 0 ? fromUSD(product.costPrice, currency, exchangeRate) : null,
+      discountType: discount?.type || null,
+      discountValue: discount?.value || 0,
+      discountAmount: discount?.amount || 0,
+      discountReason: discount?.reason || "",
+      promotionId: promotion?.promotion._id || null,
+      promotionName: promotion?.promotion.name || "",
+      promotionDiscount,
+      total: lineTotal,
+      taxCode: tax?.taxCode || null,
+      taxRate: tax ? tax.taxRate : null,
+      taxInclusive: tax ? tax.taxInclusive : null,
+    });
+
+    const alreadyApproved = approvedPrices.get(String(productId)) === unitPrice &&
+      (approvedDiscounts.get(String(productId)) || 0) === (discount?.amount || 0);
+    minPrices.push(alreadyApproved ? null : minPrice);
+  }
+
+  const built = {
+    items: enrichedItems,
+    subtotal: roundMoney(subtotal),
+    grossTotal: roundMoney(grossTotal),
+    lineDiscountTotal: roundMoney(lineDiscountTotal),
+    promotionTotal: roundMoney(promotionTotal),
+    priceOverrides,
+    minPrices,
+  };
+  enrichedItems.forEach((line, index) => {
+    checkMinPrice(built, index, roundMoney(line.total / line.quantity), user, currency);
+  });
+  return built;
+}
+
+/**
+ * Apply the order discount to lines built by buildSaleItems. The order
+ * discount, added to the line discounts, must stay within the user's limit
+ * unless unchanged from the sale being edited. Its share of each line is
+ * checked against the minimum prices like line discounts.
+ * @param {Object} built - Result of buildSaleItems
+ * @param {Object|undefined} discount - { type: percent|fixed, value, reason }
+ * @param {Object} options
+ * @param {Object} options.user - req.user
+ * @param {string} options.currency
+ * @param {number|null} options.exchangeRate
+ * @param {number} options.discountLimit
+ * @param {number|null} options.approvedAmount - Order discount already approved
+ * @param {string} options.discountReason - Default reason
+ * @returns {{total: number, fields: Object}} the sale total, and the
+ *   subtotal, discount and promotion fields to store on the sale
+ */
+function applyOrderDiscount(built, discount, {
+  user,
+  currency,
+  exchangeRate,
+  discountLimit = 0,
+  approvedAmount = null,
+  discountReason = "",
+}) {
+  const order = normalizeDiscount(discount, built.subtotal, "la commande");
+  if (order) {
+    order.reason = order.reason || discountReason;
+    if (!order.reason) {
+      throw pricingError(400, "A discount reason is required");
+    }
+  }
+  const orderAmount = order?.amount || 0;
+  const discountTotal = roundMoney(built.lineDiscountTotal + orderAmount);
+  if (orderAmount > 0 && orderAmount !== approvedAmount) {
+    assertDiscountAllowed(discountTotal, built.grossTotal - built.promotionTotal, discountLimit, "la commande");
+  }
+  allocateOrderDiscount(built.items, orderAmount);
+  if (orderAmount > 0 && orderAmount !== approvedAmount) {
+    built.items.forEach((line, index) => {
+      const effectivePrice = roundMoney((line.total - line.orderDiscountShare) / line.quantity);
+      checkMinPrice(built, index, effectivePrice, user, currency);
+    });
+  }
+
+  return {
+    total: roundMoney(built.subtotal - orderAmount),
+    fields: {
+      subtotal: built.grossTotal,
+      discountType: order?.type || null,
+      discountValue: order?.value || 0,
+      discountAmount: orderAmount,
+      discountReason: order?.reason || "",
+      discountTotal,
+      discountTotalUSD: convertAmount(discountTotal, currency, exchangeRate).usd || 0,
+      promotionTotal: built.promotionTotal,
+      promotionTotalUSD: convertAmount(built.promotionTotal, currency, exchangeRate).usd || 0,
+    },
+  };
+}
+
+module.exports = {
+  buildSaleItems,
+  applyOrderDiscount,
+};
@@ -0,0 +1,217 @@
+const mongoose = require("mongoose");
+const Sale = require("../models/Sale");
+const Customer = require("../models/Customer");
+const SaleReturn = require("../models/SaleReturn");
+const { adjustStock, saleSource } = require("./stockLedger");
+const { paymentStatusFor, recalculateCustomerStats } = require("./customerAccounts");
+const { convertAmount, roundMoney } = require("./currency");
+const { findOpenSession } = require("./cashSessions");
+const { assertDayOpen } = require("./periodLocks");
+
+const CONDITIONS = ["restock", "damaged"];
+const REFUND_METHODS = ["cash", "card", "mpesa", "bank", "other"];
+
+function returnError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Line of the sale a requested item refers to: by line id (itemId), or the
+// first line of that product with units left to return
+function findSaleLine(sale, requested) {
+  if (requested.itemId) {
+    return sale.items.id(requested.itemId);
+  }
+  if (requested.productId) {
+    const lines = sale.items.filter(
+      (line) => String(line.productId) === String(requested.productId)
+    );
+    return lines.find((line) => line.quantity - (line.returnedQuantity || 0) > 0) || lines[0];
+  }
+  return null;
+}
+
+/**
+ * Return lines of a completed sale. Restocked units go back to inventory;
+ * the value of the lines first cancels the sale's balance due, the rest is
+ * refunded or credited to the customer.
+ * @param {string|ObjectId} saleId
+ * @param {Object} params
+ * @param {Array} params.items - [{ itemId | productId, quantity, condition }]
+ * @param {string} params.resolution - refund | store_credit
+ * @param {string} params.refundMethod - cash | card | mpesa | bank | other
+ * @param {string} params.reason
+ * @param {Object} params.user - req.user
+ * @returns {Promise<{saleReturn: Object, sale: Object}>}
+ * @throws {Error} with a status (400/404) for invalid requests
+ */
+async function createSaleReturn(saleId, { items, resolution = "refund", refundMethod = "cash", reason = "", user }) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw returnError(400, "A return must contain at least one item");
+  }
+  if (!["refund", "store_credit"].includes(resolution)) {
+    throw returnError(400, "resolution must be 'refund' or 'store_credit'");
+  }
+
+  return mongoose.connection.transaction(async (session) => {
+    // The refund is dated today: conflicts with a Z report of the day
+    await assertDayOpen(session);
+
+    const sale = await Sale.findById(saleId).session(session);
+    if (!sale || sale.type === "expense") {
+      throw returnError(404, "Sale not found");
+    }
+    if (sale.status !== "completed") {
+      throw returnError(400, sale.type === "reservation" && sale.status === "pending"
+        ? "Reservation not collected yet: edit or void it instead"
+        : `Cannot return items of a ${sale.status} sale`);
+    }
+
+    const returnNumber = `RET-${Date.now()}-${Math.random()
+      .toString(36)
+      .substr(2, 5)
+      .toUpperCase()}`;
+
+    const returnItems = [];
+    let total = 0;
+    let taxAmount = 0;
+    for (const requested of items) {
+      const line = findSaleLine(sale, requested || {});
+      if (!line) {
+        throw returnError(400, "Item not found on this sale");
+      }
+      const quantity = Number(requested.quantity);
+      const returnable = line.quantity - (line.returnedQuantity || 0);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw returnError(400, `Invalid quantity for ${line.name}`);
+      }
+      if (quantity > returnable) {
+        throw returnError(400, `Only ${returnable} unit(s) of ${line.name} can be returned`);
+      }
+      const condition = requested.condition || "restock";
+      if (!CONDITIONS.includes(condition)) {
+        throw returnError(400, `Invalid condition: ${condition}. Use one of: ${CONDITIONS.join(", ")}`);
+      }
+
+      line.returnedQuantity = (line.returnedQuantity || 0) + quantity;
+      // Refunded at the price actually paid: discounts included, and tax
+      // added on top of tax-exclusive prices
+      const addedTax = line.taxInclusive === false ? line.taxAmount || 0 : 0;
+      const unitPaid = ((line.total ?? line.price * line.quantity) - (line.orderDiscountShare || 0) + addedTax) / line.quantity;
+      const lineTotal = roundMoney(unitPaid * quantity);
+      const lineTax = roundMoney(((line.taxAmount || 0) * quantity) / line.quantity);
+      total += lineTotal;
+      taxAmount += lineTax;
+      returnItems.push({
+        saleItemId: line._id,
+        productId: line.productId,
+        name: line.name,
+        quantity,
+        price: roundMoney(unitPaid),
+        total: lineTotal,
+        taxCode: line.taxCode || null,
+        taxRate: line.taxRate ?? null,
+        taxAmount: lineTax,
+        condition,
+      });
+
+      // Damaged goods are not sellable: they stay out of stock
+      if (condition === "restock") {
+        await adjustStock({
+          productId: line.productId,
+          delta: quantity,
+          reason: "return",
+          ...saleSource(sale),
+          user,
+          note: returnNumber,
+          session,
+        });
+      }
+    }
+    total = roundMoney(total);
+    taxAmount = roundMoney(taxAmount);
+
+    const currency = sale.currency || "USD";
+    const appliedToBalance = roundMoney(Math.min(total, sale.balanceDue || 0));
+    const refundAmount = roundMoney(total - appliedToBalance);
+    const finalResolution = refundAmount > 0 ? resolution : "none";
+    if (finalResolution === "store_credit" && !sale.customerId) {
+      throw returnError(400, "Store credit needs a customer account (walk-in sale)");
+    }
+    const method = String(refundMethod || "cash").toLowerCase();
+    if (finalResolution === "refund" && !REFUND_METHODS.includes(method)) {
+      throw returnError(400, `Invalid refundMethod: ${refundMethod}. Use one of: ${REFUND_METHODS.join(", ")}`);
+    }
+
+    const totalUSD = convertAmount(total, currency, sale.exchangeRate).usd;
+    const refundAmountUSD = convertAmount(refundAmount, currency, sale.exchangeRate).usd || 0;
+
+    const [saleReturn] = await SaleReturn.create([{
+      returnNumber,
+      sale: sale._id,
+      saleNumber: sale.saleNumber,
+      customerId: sale.customerId,
+      customerName: sale.customer?.name || "",
+      items: returnItems,
+      total,
+      currency,
+      exchangeRate: sale.exchangeRate,
+      totalUSD,
+      taxAmount,
+      taxAmountUSD: convertAmount(taxAmount, currency, sale.exchangeRate).usd || 0,
+      appliedToBalance,
+      resolution: finalResolution,
+      refundMethod: finalResolution === "refund" ? method : null,
+      cashSession: (await findOpenSession(user, session))?._id || null,
+      refundAmount,
+      refundAmountUSD,
+      reason: String(reason || "").trim(),
+      processedBy: user._id,
+      processedByName: user.username,
+    }], { session });
+
+    const fullyReturned = sale.items.every((line) => (line.returnedQuantity || 0) >= line.quantity);
+    sale.returnedTotal = roundMoney((sale.returnedTotal || 0) + total);
+    sale.returnedTotalUSD = roundMoney((sale.returnedTotalUSD || 0) + (totalUSD || 0));
+    sale.balanceDue = roundMoney((sale.balanceDue || 0) - appliedToBalance);
+    sale.amountPaid = roundMoney((sale.amountPaid ?? sale.total) - refundAmount);
+    sale.paymentStatus = paymentStatusFor(sale.total - sale.returnedTotal, sale.amountPaid);
+    sale.returns.push(saleReturn._id);
+    if (fullyReturned) {
+      sale.status = "refunded";
+    }
+    sale.editHistory.push({
+      editedBy: user.username,
+      editedAt: new Date(),
+      changes: {
+        return: {
+          returnNumber,
+          total,
+          items: returnItems.map(({ name, quantity, condition }) => ({ name, quantity, condition })),
+          resolution: finalResolution,
+        },
+        ...(fullyReturned ? { status: { from: "completed", to: "refunded" } } : {}),
+      },
+      reason: String(reason || "").trim() || "Retour d'articles",
+    });
+    await sale.save({ session });
+
+    if (sale.customerId) {
+      if (finalResolution === "store_credit") {
+        await Customer.updateOne(
+          { _id: sale.customerId },
+          { $inc: { storeCredit: refundAmountUSD } },
+          { session }
+        );
+      }
+      await recalculateCustomerStats(sale.customerId, session);
+    }
+
+    return { saleReturn, sale };
+  });
+}
+
+module.exports = {
+  createSaleReturn,
+};
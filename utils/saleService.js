@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+const Sale = require("../models/Sale");
+const Customer = require("../models/Customer");
+const { adjustStock, saleSource } = require("./stockLedger");
+const { recalculateCustomerStats, storeCreditUsed } = require("./customerAccounts");
+const { assertPeriodOpen } = require("./periodLocks");
+
+/**
+ * Void a sale or reservation: return its items to stock (less units already
+ * returned), give back store credit spent on it, mark it voided and refresh
+ * the customer's stats. Used by PATCH /api/sales/:id/void and by the
+ * reservation expiry job. Refused while the sale's dates or today fall in
+ * a locked period.
+ * @param {string|ObjectId} saleId
+ * @param {Object} options
+ * @param {Object|null} options.user - req.user, or null for the system
+ * @param {string} options.reason - Recorded in editHistory and the stock ledger
+ * @param {Object} options.extra - Additional fields to set on the sale
+ * @returns {Promise<Object|null>} the voided sale, or null when it was
+ *   already voided (e.g. by a concurrent request)
+ * @throws {Error} status 423 when the period is locked
+ */
+async function voidSale(saleId, { user = null, reason = "", extra = {} } = {}) {
+  return mongoose.connection.transaction(async (session) => {
+    const voidedAt = new Date();
+    const original = await Sale.findOneAndUpdate(
+      { _id: saleId, status: { $ne: "voided" } },
+      {
+        status: "voided",
+        voidedBy: user ? user._id : null,
+        voidedAt,
+        ...extra,
+      },
+      { new: false, session }
+    ).lean();
+    if (!original) {
+      return null;
+    }
+    // Throwing aborts the transaction, so the sale stays as it was
+    await assertPeriodOpen(original.createdAt, original.completedAt, voidedAt);
+
+    // Return stock to inventory (only for sales and reservations with items)
+    const withStock = original.type === "sale" || original.type === "reservation";
+    if (withStock && original.items && original.items.length > 0) {
+      for (const item of original.items) {
+        const quantity = item.quantity - (item.returnedQuantity || 0);
+        if (quantity <= 0) continue;
+        await adjustStock({
+          productId: item.productId,
+          delta: quantity,
+          reason: "void",
+          ...saleSource(original),
+          user,
+          note: reason,
+          session,
+        });
+      }
+    }
+
+    const voided = await Sale.findByIdAndUpdate(
+      original._id,
+      {
+        $push: {
+          editHistory: {
+            editedBy: user ? user.username : "system",
+            editedAt: new Date(),
+            changes: { status: { from: original.status, to: "voided" } },
+            reason: reason || "Sale voided",
+          },
+        },
+      },
+      { new: true, session }
+    );
+
+    if (original.customerId && withStock) {
+      const credit = storeCreditUsed(original.payments);
+      if (credit > 0) {
+        await Customer.updateOne(
+          { _id: original.customerId },
+          { $inc: { storeCredit: credit } },
+          { session }
+        );
+      }
+      await recalculateCustomerStats(original.customerId, session);
+    }
+
+    return voided;
+  });
+}
+
+module.exports = {
+  voidSale,
+};
@@ -7,7 +7,8 @@ const Product = require("../models/Product");
 
 // --- DB Connect ---
 const MONGO_URI =
-  process.env.MONGO_URI || "mongodb://localhost:27017/ets-dieu-merci";
+  process.env.MONGO_URI ||
+  "mongodb://localhost:27017/ets-dieu-merci?replicaSet=rs0&directConnection=true";
 
 async function connectDB() {
   try {
@@ -0,0 +1,89 @@
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+
+/**
+ * Apply a stock change to a product and record it in the stock ledger.
+ * Every inventory mutation should go through here so the StockMovement
+ * history always explains the current stock.
+ * @param {Object} params
+ * @param {string|ObjectId} params.productId
+ * @param {number} params.delta - Signed quantity (negative = stock out)
+ * @param {string} params.reason - sale | edit | void | delete | adjustment | receiving | return
+ * @param {boolean} params.requireStock - For stock outs, only apply when the
+ *   product has at least -delta units
+ * @param {number|null} params.expectedStock - Only apply when the stock is
+ *   still this value (the one a counted quantity was compared with)
+ * @param {string} params.sourceType - Model of the source document ("Sale", "Product")
+ * @param {ObjectId} params.sourceId - Source document id
+ * @param {string} params.sourceRef - Human-readable source reference
+ * @param {Object} params.user - User making the change (req.user)
+ * @param {string} params.note - Free text
+ * @param {ClientSession} params.session - Optional MongoDB session
+ * @returns {Promise<Object|null>} Updated product, or null when the product
+ *   does not exist, does not have enough stock or no longer has expectedStock
+ */
+async function adjustStock({
+  productId,
+  delta,
+  reason,
+  requireStock = false,
+  expectedStock = null,
+  sourceType = null,
+  sourceId = null,
+  sourceRef = "",
+  user = null,
+  note = "",
+  session = null,
+}) {
+  const filter = { _id: productId };
+  if (requireStock && delta < 0) {
+    filter.stock = { $gte: -delta };
+  }
+  if (expectedStock !== null) {
+    filter.stock = expectedStock;
+  }
+
+  const product = await Product.findOneAndUpdate(
+    filter,
+    { $inc: { stock: delta } },
+    { new: true, session }
+  );
+  if (!product) {
+    return null;
+  }
+
+  await StockMovement.create(
+    [
+      {
+        product: product._id,
+        productName: product.name,
+        delta,
+        balance: product.stock,
+        reason,
+        sourceType,
+        sourceId,
+        sourceRef: sourceRef || "",
+        user: user ? user._id : null,
+        username: user ? user.username : "",
+        note: note || "",
+      },
+    ],
+    { session }
+  );
+
+  return product;
+}
+
+// Ledger source fields for a sale document
+function saleSource(sale) {
+  return {
+    sourceType: "Sale",
+    sourceId: sale._id,
+    sourceRef: sale.saleNumber || sale.saleId || "",
+  };
+}
+
+module.exports = {
+  adjustStock,
+  saleSource,
+};
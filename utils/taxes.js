@@ -0,0 +1,100 @@
+const { roundMoney, convertAmount } = require("./currency");
+
+// Tax (TVA) on sales. Each product uses one of ShopSettings.taxRates (its
+// taxCode, or the shop default) and a price that includes tax or not. Tax
+// is computed on what the customer pays for a line: after the line discount
+// and the line's share of the order discount. Tax on tax-exclusive lines is
+// added to the sale total; on tax-inclusive lines it is already in it.
+
+function taxError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Rate and pricing mode a product is sold with
+ * @param {Object} product
+ * @param {Object} settings - ShopSettings
+ * @returns {{taxCode: string, taxRate: number, taxInclusive: boolean}|null}
+ *   null when tax is disabled for the shop
+ * @throws {Error} status 400 when the rate does not exist
+ */
+function productTax(product, settings) {
+  if (!settings?.taxEnabled) return null;
+  const code = product.taxCode || settings.defaultTaxCode;
+  const rate = (settings.taxRates || []).find((taxRate) => taxRate.code === code);
+  if (!rate) {
+    throw taxError(400, `Unknown tax code ${code} for ${product.name}. Check the shop's tax rates.`);
+  }
+  return {
+    taxCode: rate.code,
+    taxRate: rate.rate,
+    taxInclusive: product.priceIncludesTax ?? settings.pricesIncludeTax,
+  };
+}
+
+/**
+ * Compute the tax of each line (taxableAmount, taxAmount) and of the sale.
+ * Call once the order discount has been allocated to the lines.
+ * @param {Array} items - Sale lines carrying productTax() fields
+ * @param {number} netTotal - Sale total after discounts, before added tax
+ * @param {Object} settings - ShopSettings (rate labels)
+ * @param {Object} options
+ * @param {string} options.currency
+ * @param {number|null} options.exchangeRate
+ * @returns {{total: number, fields: Object}} the sale total including
+ *   added tax, and the tax fields to store on the sale
+ */
+function applySaleTaxes(items, netTotal, settings, { currency, exchangeRate }) {
+  const breakdown = new Map();
+  let taxTotal = 0;
+  let taxAdded = 0;
+
+  for (const item of items) {
+    if (item.taxRate === null || item.taxRate === undefined) {
+      item.taxableAmount = null;
+      item.taxAmount = 0;
+      continue;
+    }
+    const net = roundMoney(item.total - (item.orderDiscountShare || 0));
+    const taxAmount = roundMoney(item.taxInclusive
+      ? (net * item.taxRate) / (100 + item.taxRate)
+      : (net * item.taxRate) / 100);
+    item.taxAmount = taxAmount;
+    item.taxableAmount = roundMoney(item.taxInclusive ? net - taxAmount : net);
+    taxTotal += taxAmount;
+    if (!item.taxInclusive) taxAdded += taxAmount;
+
+    const key = `${item.taxCode}:${item.taxRate}`;
+    const entry = breakdown.get(key) || {
+      code: item.taxCode,
+      label: (settings?.taxRates || []).find((rate) => rate.code === item.taxCode)?.label || item.taxCode,
+      rate: item.taxRate,
+      taxableAmount: 0,
+      taxAmount: 0,
+    };
+    entry.taxableAmount = roundMoney(entry.taxableAmount + item.taxableAmount);
+    entry.taxAmount = roundMoney(entry.taxAmount + taxAmount);
+    breakdown.set(key, entry);
+  }
+
+  taxTotal = roundMoney(taxTotal);
+  return {
+    total: roundMoney(netTotal + taxAdded),
+    fields: {
+      taxTotal,
+      taxTotalUSD: convertAmount(taxTotal, currency, exchangeRate).usd || 0,
+      taxBreakdown: [...breakdown.values()].map((entry) => ({
+        ...entry,
+        taxableAmountUSD: convertAmount(entry.taxableAmount, currency, exchangeRate).usd || 0,
+        taxAmountUSD: convertAmount(entry.taxAmount, currency, exchangeRate).usd || 0,
+      })),
+    },
+  };
+}
+
+module.exports = {
+  productTax,
+  applySaleTaxes,
+};